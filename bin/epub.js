@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+var fs = require('fs');
+var pathlib = require('path');
+var EPub = require('../epub');
+
+var USAGE = [
+    "Usage: epub <command> <file> [arguments] [--json] [--lenient]",
+    "",
+    "Commands:",
+    "  info <file>                  metadata, version and counts",
+    "  toc <file>                   table of contents as a tree",
+    "  spine <file>                 chapters in reading order",
+    "  cat <file> <id> [--text | --markdown]",
+    "                               chapter as HTML, plain text or Markdown",
+    "  extract <file> <dir>         unpack the files of the book into a directory",
+    "  cover <file> [output]        save the cover image",
+    "  validate <file>              check the book, exits with 1 if there are errors",
+    "",
+    "Options:",
+    "  --json                       print JSON instead of text",
+    "  --lenient                    recover from problems in broken books"
+].join("\n");
+
+/**
+ *  parseArgs(argv) -> Object
+ *  - argv (Array): command line arguments without node and the script
+ *
+ *  Splits the arguments into the "command", the positional "args" and
+ *  the "flags" (--json etc.)
+ **/
+function parseArgs(argv) {
+    var result = {command: "", args: [], flags: {}};
+
+    argv.forEach(function (arg) {
+        if (arg.substr(0, 2) == "--") {
+            result.flags[arg.substr(2)] = true;
+        } else if (!result.command) {
+            result.command = arg;
+        } else {
+            result.args.push(arg);
+        }
+    });
+
+    return result;
+}
+
+/**
+ *  print(flags, value, text) -> undefined
+ *  - flags (Object): command line flags
+ *  - value (Object): result for --json
+ *  - text (String | Function): text output or a function that returns it
+ *
+ *  Prints the result of a command as JSON or as text
+ **/
+function print(flags, value, text) {
+    if (flags.json) {
+        console.log(JSON.stringify(value, null, 2));
+    } else {
+        console.log(typeof text == "function" ? text() : text);
+    }
+}
+
+/**
+ *  fail(message[, exitCode]) -> undefined
+ *  - message (String): error message
+ *  - exitCode (Number): process exit code, 1 by default
+ *
+ *  Prints an error and sets the exit code
+ **/
+function fail(message, exitCode) {
+    console.error("epub: " + message);
+    process.exitCode = exitCode || 1;
+}
+
+/**
+ *  safePath(dir, name) -> String | null
+ *  - dir (String): target directory
+ *  - name (String): archive entry name
+ *
+ *  Returns the path to extract an archive entry to, or null if the name
+ *  is absolute or would end up outside of the target directory ("../")
+ **/
+function safePath(dir, name) {
+    var root = pathlib.resolve(dir),
+        normalized = String(name).replace(/\\/g, "/"),
+        target;
+
+    if (!normalized || normalized.indexOf("\u0000") >= 0 || normalized.charAt(0) == "/" ||
+            normalized.match(/^[a-z]:/i)) {
+        return null;
+    }
+
+    target = pathlib.resolve(root, normalized);
+    if (target.indexOf(root + pathlib.sep) !== 0) {
+        return null;
+    }
+    return target;
+}
+
+var COMMANDS = {
+    info: function (epub, args, flags, callback) {
+        var items = Object.keys(epub.manifest).map(function (id) {
+                return epub.manifest[id];
+            }),
+            info = {
+                title: epub.metadata.title || "",
+                creator: epub.metadata.creator || "",
+                language: epub.metadata.language || "",
+                identifier: epub.metadata.uniqueIdentifier || "",
+                version: epub.version,
+                layout: epub.rendition.layout,
+                cover: epub.cover ? epub.cover.href : "",
+                counts: {
+                    manifest: items.length,
+                    chapters: epub.flow.length,
+                    toc: epub.toc.length,
+                    images: items.filter(function (item) {
+                        return (item['media-type'] || "").substr(0, 6) == "image/";
+                    }).length
+                }
+            };
+
+        print(flags, info, function () {
+            return [
+                "Title:      " + info.title,
+                "Creator:    " + info.creator,
+                "Language:   " + info.language,
+                "Identifier: " + info.identifier,
+                "Version:    " + info.version,
+                "Layout:     " + info.layout,
+                "Cover:      " + (info.cover || "-"),
+                "Manifest:   " + info.counts.manifest + " items",
+                "Chapters:   " + info.counts.chapters,
+                "TOC:        " + info.counts.toc + " entries",
+                "Images:     " + info.counts.images
+            ].join("\n");
+        });
+        callback();
+    },
+
+    toc: function (epub, args, flags, callback) {
+        print(flags, epub.toc, function () {
+            return epub.toc.map(function (entry) {
+                return new Array((entry.level || 0) + 1).join("  ") + entry.title + " (" + entry.href + ")";
+            }).join("\n");
+        });
+        callback();
+    },
+
+    spine: function (epub, args, flags, callback) {
+        var spine = epub.flow.map(function (chapter) {
+            return {id: chapter.id, href: chapter.href, linear: chapter.linear !== false};
+        });
+
+        print(flags, spine, function () {
+            return spine.map(function (chapter, i) {
+                return (i + 1) + ". " + chapter.id + " " + chapter.href + (chapter.linear ? "" : " (non-linear)");
+            }).join("\n");
+        });
+        callback();
+    },
+
+    cat: function (epub, args, flags, callback) {
+        var id = args[0];
+
+        if (!id) {
+            callback(new Error("Missing chapter id"), 2);
+            return;
+        }
+
+        if (flags.text || flags.markdown) {
+            epub.getChapterText(id, {format: flags.markdown ? "markdown" : "text"}, function (err, result) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                print(flags, {id: id, text: result.text}, result.text);
+                callback();
+            });
+        } else {
+            epub.getChapter(id, function (err, html) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                print(flags, {id: id, html: html}, html);
+                callback();
+            });
+        }
+    },
+
+    extract: function (epub, args, flags, callback) {
+        var dir = args[0],
+            names = epub.zip.names.filter(function (name) {
+                return name.substr(-1) != "/";
+            }),
+            result = {extracted: [], skipped: []},
+            i = 0;
+
+        if (!dir) {
+            callback(new Error("Missing target directory"), 2);
+            return;
+        }
+
+        var next = function () {
+            if (i >= names.length) {
+                print(flags, result, function () {
+                    return result.extracted.map(function (name) {
+                        return "extracted " + name;
+                    }).concat(result.skipped.map(function (entry) {
+                        return "skipped " + entry.name + " (" + entry.reason + ")";
+                    })).join("\n");
+                });
+                callback();
+                return;
+            }
+
+            var name = names[i++],
+                target = safePath(dir, name);
+
+            if (!target) {
+                result.skipped.push({name: name, reason: "unsafe path"});
+                next();
+                return;
+            }
+
+            epub.readFile(name, function (err, data) {
+                if (err) {
+                    result.skipped.push({name: name, reason: err.code == "RESOURCE_ENCRYPTED" ? "encrypted" : "read failed"});
+                    next();
+                    return;
+                }
+                fs.mkdir(pathlib.dirname(target), {recursive: true}, function (err) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    fs.writeFile(target, data, function (err) {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+                        result.extracted.push(name);
+                        next();
+                    });
+                });
+            });
+        };
+
+        next();
+    },
+
+    cover: function (epub, args, flags, callback) {
+        if (!epub.cover) {
+            callback(new Error("Cover not found"));
+            return;
+        }
+
+        var output = args[0] || pathlib.basename(epub.cover.href);
+
+        epub.getCover(function (err, data, mimeType) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            fs.writeFile(output, data, function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                print(flags, {id: epub.cover.id, href: epub.cover.href, mediaType: mimeType, output: output},
+                    "Saved " + epub.cover.href + " as " + output);
+                callback();
+            });
+        });
+    }
+};
+
+/**
+ *  validate(file, flags) -> undefined
+ *  - file (String): path of the book
+ *  - flags (Object): command line flags
+ *
+ *  Prints the diagnostics of validate(), the exit code is 1 if there are
+ *  errors
+ **/
+function validate(file, flags) {
+    var epub = new EPub(file, {lenient: !!flags.lenient});
+
+    epub.validate(function (err, diagnostics) {
+        if (err) {
+            fail(err.message);
+            return;
+        }
+
+        var errors = diagnostics.filter(function (diagnostic) {
+            return diagnostic.severity == "error";
+        });
+
+        print(flags, {valid: !errors.length, diagnostics: diagnostics}, function () {
+            return diagnostics.map(function (diagnostic) {
+                return diagnostic.severity.toUpperCase() + " " + diagnostic.code + " " +
+                    (diagnostic.path ? diagnostic.path + ": " : "") + diagnostic.message;
+            }).concat(errors.length ? errors.length + " error(s)" : "OK").join("\n");
+        });
+
+        if (errors.length) {
+            process.exitCode = 1;
+        }
+    });
+}
+
+/**
+ *  main(argv) -> undefined
+ *  - argv (Array): command line arguments without node and the script
+ *
+ *  Opens the book and runs a command
+ **/
+function main(argv) {
+    var options = parseArgs(argv),
+        file = options.args.shift();
+
+    if (options.flags.help || !options.command) {
+        console.log(USAGE);
+        return;
+    }
+    if (options.command != "validate" && !COMMANDS.hasOwnProperty(options.command)) {
+        fail("Unknown command \"" + options.command + "\"\n\n" + USAGE, 2);
+        return;
+    }
+    if (!file) {
+        fail("Missing file\n\n" + USAGE, 2);
+        return;
+    }
+
+    if (options.command == "validate") {
+        validate(file, options.flags);
+        return;
+    }
+
+    EPub.open(file, {lenient: !!options.flags.lenient}).then(function (epub) {
+        COMMANDS[options.command](epub, options.args, options.flags, function (err, exitCode) {
+            if (err) {
+                fail(err.message, exitCode);
+            }
+        });
+    }, function (err) {
+        fail(err.message);
+    });
+}
+
+main(process.argv.slice(2));
@@ -2,37 +2,104 @@ var xml2js = require('xml2js');
 var xml2jsOptions = xml2js.defaults['0.1'];
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
+var AdmZip = require('adm-zip');
+var pathlib = require('path').posix;
+var promisify = require('./lib/promisify');
+var paths = require('./lib/paths');
+var dom = require('./lib/dom');
+var sanitize = require('./lib/sanitizer');
+var resolvers = require('./lib/resolvers');
+var css = require('./lib/css');
+var obfuscation = require('./lib/obfuscation');
+var extract = require('./lib/text');
+var search = require('./lib/search');
+var cfi = require('./lib/cfi');
+var EPubWriter = require('./lib/writer');
+var ZipWriter = require('./lib/zip');
+var ZipReader = ZipWriter.ZipReader;
+var thumbnail = require('./lib/thumbnail');
+var rendition = require('./lib/rendition');
+var smil = require('./lib/smil');
+var encoding = require('./lib/encoding');
+var middleware = require('./lib/middleware');
+var cache = require('./lib/cache');
+var fs = require('fs');
+var crypto = require('crypto');
+var resolvePath = require('path').resolve;
+
+// Mock zipfile using pure-JS adm-zip. Also used for in-memory archives
+// (Buffers) as the native zipfile module only opens files from disk
+var AdmZipFile = function(source) {
+    this.admZip = new AdmZip(source);
+    this.names = this.admZip.getEntries().map(function(zipEntry) {
+        return zipEntry.entryName;
+    });
+    this.count = this.names.length;
+};
+AdmZipFile.prototype.readFile = function(name, cb) {
+    var entry = this.admZip.getEntry(name);
+    if (!entry) {
+        return cb(new Error("Entry not found"));
+    }
+    this.admZip.readFileAsync(entry, function(buffer, error) {
+        // `error` is bogus right now, so let's just drop it.
+        // see https://github.com/cthackers/adm-zip/pull/88
+        return cb(null, buffer);
+    });
+};
+AdmZipFile.prototype.readRaw = function(name, cb) {
+    var entry = this.admZip.getEntry(name);
+    if (!entry) {
+        return cb(new Error("Entry not found"));
+    }
+    // compressed data as it is stored in the archive
+    cb(null, {
+        method: entry.header.method,
+        crc: entry.header.crc,
+        size: entry.header.size,
+        data: entry.getCompressedData(),
+        date: entry.header.time
+    });
+};
+AdmZipFile.prototype.stat = function(name) {
+    var entry = this.admZip.getEntry(name);
+    // checksum and size from the central directory, nothing is uncompressed
+    return entry ? {crc: entry.header.crc >>> 0, size: entry.header.size} : null;
+};
+AdmZipFile.prototype.close = function() {
+    // the archive is kept in memory, let it be garbage collected
+    this.admZip = null;
+    this.names = [];
+    this.count = 0;
+};
 
 try {
     // zipfile is an optional dependency:
     var ZipFile = require("zipfile").ZipFile;
 } catch (err) {
-    // Mock zipfile using pure-JS adm-zip:
-    var AdmZip = require('adm-zip');
-    
-    var ZipFile = function(filename) {
-        this.admZip = new AdmZip(filename);
-        this.names = this.admZip.getEntries().map(function(zipEntry) {
-            return zipEntry.entryName;
-        });
-        this.count = this.names.length;
-    };
-    ZipFile.prototype.readFile = function(name, cb) {
-        this.admZip.readFileAsync(this.admZip.getEntry(name), function(buffer, error) {
-            // `error` is bogus right now, so let's just drop it.
-            // see https://github.com/cthackers/adm-zip/pull/88
-            return cb(null, buffer);
-        });
-    };
+    var ZipFile = AdmZipFile;
 }
 
-//TODO: Cache parsed data
+// Bumped when the format of the cached data changes, old entries are ignored
+var CACHE_VERSION = 5;
+
+// refinements EPubWriter generates for titles, creators, identifiers and collections
+var GENERATED_REFINEMENTS = ["identifier-type", "title-type", "file-as", "display-seq", "role",
+    "collection-type", "group-position"];
+
+// Properties that are restored from the cache as they are
+var CACHED_PROPERTIES = ["version", "packageAttributes", "mimeFile", "containerFile", "rootFile", "metadata",
+    "manifest", "toc", "landmarks", "pageList", "guide", "rendition", "mediaOverlay", "refinements", "encryption",
+    "diagnostics"];
 
 /**
  *  new EPub(fname[, imageroot][, linkroot])
- *  - fname (String): filename for the ebook
+ *  new EPub(fname[, options])
+ *  - fname (String | Buffer | Stream): filename, contents or a readable
+ *    stream of the ebook
  *  - imageroot (String): URL prefix for images
  *  - linkroot (String): URL prefix for links
+ *  - options (Object): options object with "imageroot" and "linkroot" keys
  *
  *  Creates an Event Emitter type object for parsing epub files
  *
@@ -57,8 +124,14 @@ function EPub(fname, imageroot, linkroot) {
     EventEmitter.call(this);
     this.filename = fname;
 
-    this.imageroot = (imageroot || "/images/").trim();
-    this.linkroot = (linkroot || "/links/").trim();
+    if (imageroot && typeof imageroot == "object") {
+        this.options = imageroot;
+    } else {
+        this.options = {imageroot: imageroot, linkroot: linkroot};
+    }
+
+    this.imageroot = (this.options.imageroot || "/images/").trim();
+    this.linkroot = (this.options.linkroot || "/links/").trim();
 
     if (this.imageroot.substr(-1) != "/") {
         this.imageroot += "/";
@@ -66,9 +139,37 @@ function EPub(fname, imageroot, linkroot) {
     if (this.linkroot.substr(-1) != "/") {
         this.linkroot += "/";
     }
+
+    // archive reads that are running and the ones waiting for their turn
+    this.activeReads = 0;
+    this.readQueue = [];
 }
 util.inherits(EPub, EventEmitter);
 
+/**
+ *  EPub.open(fname[, options]) -> Promise
+ *  - fname (String | Buffer | Stream): filename, contents or a readable
+ *    stream of the ebook
+ *  - options (Object): options object, see the EPub constructor
+ *
+ *  Creates and parses an EPub object. The promise resolves with the
+ *  parsed object on "end" and rejects with the first "error"
+ *
+ *      EPub.open("book.epub").then(function (epub) {
+ *          console.log(epub.metadata.title);
+ *      });
+ **/
+EPub.open = function (fname, options) {
+    return new Promise(function (resolve, reject) {
+        var epub = new EPub(fname, options);
+        epub.on("end", function () {
+            resolve(epub);
+        });
+        epub.on("error", reject);
+        epub.parse();
+    });
+};
+
 /**
  *  EPub#parse() -> undefined
  *
@@ -76,660 +177,4063 @@ util.inherits(EPub, EventEmitter);
  **/
 EPub.prototype.parse = function () {
 
+    this.parsed = false;
+    this.parsing = true;
+    this.closed = false;
+    // callbacks of an earlier parse (or one stopped by close()) are dropped
+    this.generation = (this.generation || 0) + 1;
+
+    // set before the other "end" listeners run, they may already read the book
+    if (this._onParsed) {
+        this.removeListener("end", this._onParsed);
+    }
+    this._onParsed = (function () {
+        this.parsed = true;
+        this.parsing = false;
+        // fonts stay readable when setMetadata() changes the identifiers
+        this.obfuscationKeys = {
+            idpf: this._getObfuscationKey("idpf"),
+            adobe: this._getObfuscationKey("adobe")
+        };
+    }).bind(this);
+    this.prependOnceListener("end", this._onParsed);
+
     this.containerFile = false;
     this.mimeFile = false;
     this.rootFile = false;
+    this.navFile = false;
 
     this.metadata = {};
+    // "prefix", "xml:lang" and "dir" of the <package> element as "prefix", "lang" and "dir"
+    this.packageAttributes = {prefix: "", lang: "", dir: ""};
     this.manifest = {};
-    this.spine    = {toc: false, contents: []};
+    this.spine    = {toc: false, contents: [], pageProgressionDirection: "default"};
     this.flow = [];
     this.toc = [];
+    this.landmarks = [];
+    this.pageList = [];
+    this.guide = [];
+    this.cover = null;
+    this.rendition = {};
+    this.mediaOverlay = {};
+    // EPUB 3 refinements by the id of the refined element, {property, value, scheme}
+    this.refinements = {};
+
+    // archive path -> {algorithm, type} from META-INF/encryption.xml
+    this.encryption = {};
+    this.obfuscationKeys = null;
+    this.searchIndex = null;
+    // parsed package document for CFIs, read when first needed
+    this.packageDocument = null;
+
+    // archive path -> new contents (null for removed files) for save()
+    this.modifiedFiles = {};
+    this.diagnostics = [];
 
     this._open();
 };
 
 /**
- *  EPub#_open() -> undefined
+ *  EPub#validate([callback]) -> undefined | Promise
+ *  - callback (Function): callback function, returns a Promise if omitted
  *
- *  Opens the epub file with Zip unpacker, retrieves file listing
- *  and runs mime type check
+ *  Parses the book and checks its structure. Instead of stopping on the
+ *  first problem, collects a list of diagnostics with "severity" ("error"
+ *  or "warning"), "code", "path" (archive path) and "message". Checks the
+ *  mimetype entry, container and rootfile, manifest files and ids, spine
+ *  idrefs, TOC links and resources referenced from chapters.
+ *  Callback gets an error object and the list of diagnostics
+ *
+ *  The book is checked with a separate instance, so the listeners and the
+ *  parsed state of this one are left as they are
+ *
+ *      epub.validate(function (err, diagnostics) {
+ *          diagnostics.forEach(function (diagnostic) {
+ *              console.log(diagnostic.severity, diagnostic.code, diagnostic.path);
+ *          });
+ *      });
  **/
-EPub.prototype._open = function () {
-    try {
-        this.zip = new ZipFile(this.filename);
-    } catch (E) {
-        this.emit("error", new Error("Invalid/missing file"));
-        return;
-    }
+EPub.prototype.validate = function (callback) {
+    var checker = new EPub(this.filename, this.options),
+        finish;
 
-    if (!this.zip.names || !this.zip.names.length) {
-        this.emit("error", new Error("No files in archive"));
-        return;
-    }
+    finish = (function (parsed) {
+        checker.removeAllListeners("end");
+        checker.removeAllListeners("error");
+        checker.validating = false;
 
-    this._checkMimeType();
+        // a stream can be read only once, the buffered copy is used when this book is parsed
+        if (this.filename && typeof this.filename.pipe == "function" && Buffer.isBuffer(checker.filename)) {
+            this.filename = checker.filename;
+        }
+
+        checker._validateArchive(function () {
+            var done = function () {
+                checker.close(function () {
+                    callback(null, checker.diagnostics);
+                });
+            };
+
+            if (!parsed) {
+                done();
+                return;
+            }
+            checker._validateManifest();
+            checker._validateChapters(done);
+        });
+    }).bind(this);
+
+    checker.validating = true;
+    checker.on("end", function () {
+        finish(true);
+    });
+    checker.on("error", function () {
+        finish(false);
+    });
+    checker.parse();
 };
 
 /**
- *  EPub#_checkMimeType() -> undefined
+ *  EPub#_validateArchive(callback) -> undefined
+ *  - callback (Function): callback function
  *
- *  Checks if there's a file called "mimetype" and that it's contents
- *  are "application/epub+zip". On success runs root file check.
+ *  Checks that the mimetype entry is the first one in the archive and
+ *  that it isn't compressed
  **/
-EPub.prototype._checkMimeType = function () {
-    var i, len;
+EPub.prototype._validateArchive = function (callback) {
+    if (!this.zip || !this.mimeFile) {
+        callback();
+        return;
+    }
 
-    for (i = 0, len = this.zip.names.length; i < len; i++) {
-        if (this.zip.names[i].toLowerCase() == "mimetype") {
-            this.mimeFile = this.zip.names[i];
-            break;
-        }
+    if (this.zip.names[0] != this.mimeFile) {
+        this._diagnose("error", "MIMETYPE_NOT_FIRST", "Mime type file is not the first file in archive", this.mimeFile);
     }
-    if (!this.mimeFile) {
-        this.emit("error", new Error("No mimetype file in archive"));
+
+    // the native zipfile backend doesn't expose compression methods
+    if (typeof this.zip.readRaw != "function") {
+        callback();
         return;
     }
-    this.zip.readFile(this.mimeFile, (function (err, data) {
-        if (err) {
-            this.emit("error", new Error("Reading archive failed"));
-            return;
+
+    this._readEntry("readRaw", this.mimeFile, (function (err, raw) {
+        if (!err && raw.method !== 0) {
+            this._diagnose("error", "MIMETYPE_COMPRESSED", "Mime type file is compressed", this.mimeFile);
         }
-        var txt = data.toString("utf-8").toLowerCase().trim();
+        callback();
+    }).bind(this));
+};
 
-        if (txt  !=  "application/epub+zip") {
-            this.emit("error", new Error("Unsupported mime type"));
+/**
+ *  EPub#_validateManifest() -> undefined
+ *
+ *  Checks that manifest files exist in the archive and that
+ *  TOC, landmark and page list links point to manifest items
+ **/
+EPub.prototype._validateManifest = function () {
+    var hrefs = {};
+
+    Object.keys(this.manifest).forEach(function (id) {
+        var href = this.manifest[id].href;
+        hrefs[href] = true;
+
+        if (!href || paths.isRemote(href)) {
+            // remote resource
             return;
         }
+        if (!this._findZipName(href) && !this.modifiedFiles[href]) {
+            this._diagnose("error", "MANIFEST_FILE_MISSING", "Manifest item \"" + id + "\" not found from archive", href);
+        }
+        if (this.manifest[id].fallback && !this.manifest[this.manifest[id].fallback]) {
+            this._diagnose("error", "MANIFEST_FALLBACK_MISSING", "Fallback \"" + this.manifest[id].fallback +
+                "\" of manifest item \"" + id + "\" is not in the manifest", href);
+        }
+    }, this);
 
-        this._getRootFiles();
-    }).bind(this));
+    [this.toc, this.landmarks, this.pageList, this.guide].forEach(function (list) {
+        list.forEach(function (entry) {
+            if (entry.href && !hrefs[entry.href.split("#")[0]]) {
+                this._diagnose("error", "TOC_HREF_BROKEN", "Link \"" + (entry.title || entry.href) + "\" doesn't point to a manifest item",
+                    entry.href);
+            }
+        }, this);
+    }, this);
 };
 
 /**
- *  EPub#_getRootFiles() -> undefined
+ *  EPub#_validateChapters(callback) -> undefined
+ *  - callback (Function): callback function
  *
- *  Looks for a "meta-inf/container.xml" file and searches for a
- *  rootfile element with mime type "application/oebps-package+xml".
- *  On success calls the rootfile parser
+ *  Checks that images, stylesheets, links etc. referenced from the spine
+ *  documents exist in the archive and are listed in the manifest
  **/
-EPub.prototype._getRootFiles = function () {
-    var i, len;
-    for (i = 0, len = this.zip.names.length; i < len; i++) {
-        if (this.zip.names[i].toLowerCase() == "meta-inf/container.xml") {
-            this.containerFile = this.zip.names[i];
-            break;
-        }
-    }
-    if (!this.containerFile) {
-        this.emit("error", new Error("No container file in archive"));
-        return;
-    }
+EPub.prototype._validateChapters = function (callback) {
+    var hrefs = {}, i = 0,
+        chapters = this.spine.contents.filter(function (element) {
+            return element['media-type'] == "application/xhtml+xml" || element['media-type'] == "image/svg+xml";
+        });
 
-    this.zip.readFile(this.containerFile, (function (err, data) {
-        if (err) {
-            this.emit("error", new Error("Reading archive failed"));
+    Object.keys(this.manifest).forEach(function (id) {
+        hrefs[this.manifest[id].href] = true;
+    }, this);
+
+    var next = (function () {
+        if (i >= chapters.length) {
+            callback();
             return;
         }
-        var xml = data.toString("utf-8").toLowerCase().trim(),
-            xmlparser = new xml2js.Parser(xml2jsOptions);
 
-        xmlparser.on("end", (function (result) {
+        var chapter = chapters[i++], seen = {};
 
-            if (!result.rootfiles || !result.rootfiles.rootfile) {
-                this.emit("error", new Error("No rootfiles found"));
-                console.dir(result);
+        this._readZipFile(chapter.href, (function (err, data) {
+            if (err) {
+                // already reported as a missing manifest file
+                process.nextTick(next);
                 return;
             }
 
-            var rootfile = result.rootfiles.rootfile,
-                filename = false, i, len;
+            var root = dom.parse(this._decode(data)),
+                refs = [];
 
-            if (Array.isArray(rootfile)) {
+            var collect = function (url) {
+                refs.push(url);
+                return url;
+            };
 
-                for (i = 0, len = rootfile.length; i < len; i++) {
-                    if (rootfile[i]["@"]["media-type"] &&
-                            rootfile[i]["@"]["media-type"] == "application/oebps-package+xml" &&
-                            rootfile[i]["@"]["full-path"]) {
-                        filename = rootfile[i]["@"]["full-path"].toLowerCase().trim();
-                        break;
+            sanitize.rewriteUrls(root.children, collect);
+            (function walk(node) {
+                node.children.forEach(function (child) {
+                    if (child.type != "element") {
+                        return;
                     }
-                }
+                    if (child.name.toLowerCase().split(":").pop() == "style") {
+                        css.rewrite(dom.textNodes(child).map(function (text) {
+                            return text.value;
+                        }).join(""), collect);
+                    }
+                    walk(child);
+                });
+            })(root);
 
-            } else if (rootfile["@"]) {
-                if (rootfile["@"]["media-type"]  !=  "application/oebps-package+xml" || !rootfile["@"]["full-path"]) {
-                    this.emit("error", new Error("Rootfile in unknown format"));
+            refs.forEach(function (url) {
+                var ref = url.trim().split("#")[0], target;
+
+                if (!ref || paths.isRemote(ref)) {
                     return;
                 }
-                filename = rootfile["@"]["full-path"].toLowerCase().trim();
-            }
-
-            if (!filename) {
-                this.emit("error", new Error("Empty rootfile"));
-                return;
-            }
-
 
-            for (i = 0, len = this.zip.names.length; i < len; i++) {
-                if (this.zip.names[i].toLowerCase() == filename) {
-                    this.rootFile = this.zip.names[i];
-                    break;
+                target = paths.resolveHref(chapter.href, ref);
+                if (target === null) {
+                    this._diagnose("error", "RESOURCE_OUTSIDE", "Reference \"" + ref + "\" points outside of the archive",
+                        chapter.href);
+                    return;
                 }
-            }
-
-            if (!this.rootFile) {
-                this.emit("error", new Error("Rootfile not found from archive"));
-                return;
-            }
+                if (seen[target]) {
+                    return;
+                }
+                seen[target] = true;
 
-            this._handleRootFile();
+                if (!this._findZipName(target) && !this.modifiedFiles[target]) {
+                    this._diagnose("error", "RESOURCE_MISSING", "Referenced file \"" + target + "\" not found from archive",
+                        chapter.href);
+                } else if (!hrefs[target]) {
+                    this._diagnose("error", "RESOURCE_UNDECLARED", "Referenced file \"" + target + "\" is not in the manifest",
+                        chapter.href);
+                }
+            }, this);
 
+            process.nextTick(next);
         }).bind(this));
+    }).bind(this);
 
-        xmlparser.on("error", (function (err) {
-            this.emit("error", new Error("Parsing container XML failed"));
-            return;
-        }).bind(this));
+    next();
+};
 
-        xmlparser.parseString(xml);
+/**
+ *  EPub#_open() -> undefined
+ *
+ *  Opens the epub file with Zip unpacker, retrieves file listing
+ *  and runs mime type check. Readable streams are buffered first
+ **/
+EPub.prototype._open = function () {
+    if (this.filename && typeof this.filename.pipe == "function") {
+        this._bufferStream();
+        return;
+    }
 
+    if (this.options.lazy && typeof this.filename == "string") {
+        this._openLazy();
+        return;
+    }
 
-    }).bind(this));
+    try {
+        if (Buffer.isBuffer(this.filename)) {
+            try {
+                this.zip = new ZipFile(this.filename);
+            } catch (E) {
+                // native backend can't open in-memory archives
+                this.zip = new AdmZipFile(this.filename);
+            }
+        } else {
+            this.zip = new ZipFile(this.filename);
+        }
+    } catch (E) {
+        this._fail("ARCHIVE_INVALID", "Invalid/missing file");
+        return;
+    }
+
+    this._opened();
 };
 
 /**
- *  EPub#_handleRootFile() -> undefined
+ *  EPub#_openLazy() -> undefined
  *
- *  Parses the rootfile XML and calls rootfile parser
+ *  Opens the epub file with the "lazy" option. Only the list of files is
+ *  read, the files are read from disk when they are needed
  **/
-EPub.prototype._handleRootFile = function () {
+EPub.prototype._openLazy = function () {
+    var zip = new ZipReader(this.filename),
+        generation = this.generation;
 
-    this.zip.readFile(this.rootFile, (function (err, data) {
-        if (err) {
-            this.emit("error", new Error("Reading archive failed"));
+    zip.open((function (err) {
+        if (generation != this.generation) {
             return;
         }
-        var xml = data.toString("utf-8"),
-            xmlparser = new xml2js.Parser(xml2jsOptions);
-
-        xmlparser.on("end", this._parseRootFile.bind(this));
-
-        xmlparser.on("error", (function (err) {
-            this.emit("error", new Error("Parsing container XML failed"));
+        if (err) {
+            this._fail("ARCHIVE_INVALID", "Invalid/missing file");
             return;
-        }).bind(this));
-
-        xmlparser.parseString(xml);
-
+        }
+        this.zip = zip;
+        this._opened();
     }).bind(this));
 };
 
 /**
- *  EPub#_parseRootFile() -> undefined
+ *  EPub#_opened() -> undefined
  *
- *  Parses elements "metadata," "manifest," "spine" and TOC.
- *  Emits "end" if no TOC
+ *  Checks the file listing of the opened archive and goes on with the
+ *  cached data or the mime type check
  **/
-EPub.prototype._parseRootFile = function (rootfile) {
-
-    this.version = rootfile['@'].version || '2.0';
-
-    var i, len, keys, keyparts, key;
-    keys = Object.keys(rootfile);
-    for (i = 0, len = keys.length; i < len; i++) {
-        keyparts = keys[i].split(":");
-        key = (keyparts.pop() || "").toLowerCase().trim();
-        switch (key) {
-        case "metadata":
-            this._parseMetadata(rootfile[keys[i]]);
-            break;
-        case "manifest":
-            this._parseManifest(rootfile[keys[i]]);
-            break;
-        case "spine":
-            this._parseSpine(rootfile[keys[i]]);
-            break;
-        case "guide":
-            //this.parseGuide(rootfile[keys[i]]);
-            break;
-        }
+EPub.prototype._opened = function () {
+    if (!this.zip.names || !this.zip.names.length) {
+        this._fail("ARCHIVE_EMPTY", "No files in archive");
+        return;
     }
 
-    if (this.spine.toc) {
-        this._parseTOC();
+    // validate() always parses the book for fresh diagnostics
+    if (this.options.cache && !this.validating) {
+        this._readCache();
     } else {
-        this.emit("end");
+        this._checkMimeType();
     }
 };
 
 /**
- *  EPub#_parseMetadata() -> undefined
+ *  EPub#_readCache() -> undefined
  *
- *  Parses "metadata" block (book metadata, title, author etc.)
+ *  Looks up the parsed book from the "cache" store. On a hit the parsed
+ *  data is restored and "end" is emitted without reading the package
+ *  documents, otherwise the book is parsed and the result is stored.
+ *  Cache errors are treated as misses
  **/
-EPub.prototype._parseMetadata = function (metadata) {
-    var myMetadata = this.metadata;
+EPub.prototype._readCache = function () {
+    var store = this.options.cache,
+        generation = this.generation;
 
-    Object.keys(metadata).forEach(function (key) {
-        var keyparts = key.split(":");
-        var name = (keyparts.pop() || "").toLowerCase().trim();
-        var val = metadata[key];
+    this._getCacheKey((function (err, key) {
+        var done = false, onValue;
 
-        switch (name) {
-        case "publisher":
-        case "language":
-        case "title":
-        case "subject":
-        case "description":
-        case "date":
-        case "creator":
-            if (Array.isArray(val)) {
-                myMetadata[name] = String(val[0] && val[0]["#"] || val[0] || "").trim();
-            } else {
-                myMetadata[name] = String(val["#"] || val || "").trim();
+        if (generation != this.generation) {
+            return;
+        }
+        if (err) {
+            this._checkMimeType();
+            return;
+        }
+
+        onValue = (function (err, value) {
+            var data = null;
+
+            // a broken store could call back twice
+            if (done || generation != this.generation) {
+                return;
             }
+            done = true;
 
-            if (name == 'creator') {
-                if (Array.isArray(val)) {
-                    myMetadata.creatorFileAs = String(val[0] && val[0]['@'] && val[0]['@']["opf:file-as"] || myMetadata.creator).trim();
-                } else {
-                    myMetadata.creatorFileAs = String(val['@'] && val['@']["opf:file-as"] || myMetadata.creator).trim();
-                }
+            try {
+                data = !err && value ? JSON.parse(value) : null;
+            } catch (E) {
+                data = null;
             }
-            break;
-        case "identifier":
-            if (val["@"] && val["@"]["opf:scheme"] == "ISBN") {
-                myMetadata.ISBN = String(val["#"] || "").trim();
-            } else if (val["@"] && val["@"].id && val["@"].id.match(/uuid/i)) {
-                myMetadata.UUID = String(val["#"] || "").replace('urn:uuid:', '').toUpperCase().trim();
-            } else if (Array.isArray(val)) {
-                val.forEach(function(item) {
-                    if (item["@"]) {
-                        if (item["@"]["opf:scheme"] == "ISBN") {
-                            myMetadata.ISBN = String(item["#"] || "").trim();
-                        } else if (item["@"].id && item["@"].id.match(/uuid/i)) {
-                            myMetadata.UUID = String(item["#"] || "").replace('urn:uuid:', '').toUpperCase().trim();
-                        }
-                    }
-                });
+
+            if (this._isValidCache(data)) {
+                this._restoreCache(data);
+                this._end();
+                return;
             }
-            break;
-        }
-    });
-    
-    var metas = metadata['meta'] || {};
-    Object.keys(metas).forEach(function(key) {
-        var meta = metas[key];
-        if (meta['@'] && meta['@'].name) {
-            var name = meta['@'].name;
-            this.metadata[name] = meta['@'].content;
-        }
-        if (meta['#'] && meta['@'].property) {
-            this.metadata[meta['@'].property] = meta['#'];
+
+            // before the other listeners, they could already change the book
+            this.prependOnceListener("end", (function () {
+                try {
+                    store.set(key, JSON.stringify(this._getCacheData()), function () {});
+                } catch (E) {
+                    // not cached then
+                }
+            }).bind(this));
+            this._checkMimeType();
+        }).bind(this);
+
+        try {
+            store.get(key, onValue);
+        } catch (E) {
+            onValue(E);
         }
-    }, this);
+    }).bind(this));
 };
 
 /**
- *  EPub#_parseManifest() -> undefined
+ *  EPub#_getCacheKey(callback) -> undefined
+ *  - callback (Function): gets an error object and the key
  *
- *  Parses "manifest" block (all items included, html files, images, styles)
+ *  Builds the cache key of the book. Files are identified by their path,
+ *  size and modification time, or by a SHA-1 hash of the contents with
+ *  the "cacheKey" option set to "hash". Buffers and streams always use
+ *  the hash. Options that change the parsed data are part of the key
  **/
-EPub.prototype._parseManifest = function (manifest) {
-    var i, len, path = this.rootFile.split("/"), element, path_str;
-    path.pop();
-    path_str = path.join("/");
+EPub.prototype._getCacheKey = function (callback) {
+    var prefix = ["epub", CACHE_VERSION, this.options.lenient ? "lenient" : "", this.options.encoding || ""].join(":") + ":",
+        filename = this.filename,
+        hash;
 
-    if (manifest.item) {
-        for (i = 0, len = manifest.item.length; i < len; i++) {
-            if (manifest.item[i]['@']) {
-                element = manifest.item[i]['@'];
+    if (Buffer.isBuffer(filename)) {
+        callback(null, prefix + crypto.createHash("sha1").update(filename).digest("hex"));
+        return;
+    }
 
-                if (element.href && element.href.substr(0, path_str.length)  !=  path_str) {
-                    element.href = path.concat([element.href]).join("/");
-                }
+    if (this.options.cacheKey == "hash") {
+        hash = crypto.createHash("sha1");
+        fs.createReadStream(filename).on("error", callback).on("data", function (chunk) {
+            hash.update(chunk);
+        }).on("end", function () {
+            callback(null, prefix + hash.digest("hex"));
+        });
+        return;
+    }
 
-                this.manifest[manifest.item[i]['@'].id] = element;
-
-            }
+    fs.stat(filename, function (err, stats) {
+        if (err) {
+            callback(err);
+            return;
         }
-    }
+        callback(null, prefix + resolvePath(String(filename)) + ":" + stats.size + ":" + stats.mtime.getTime());
+    });
 };
 
 /**
- *  EPub#_parseSpine() -> undefined
+ *  EPub#_getCacheData() -> Object
  *
- *  Parses "spine" block (all html elements that are shown to the reader)
+ *  Returns the parsed data for the cache. Manifest items that are also in
+ *  the spine or the TOC, the TOC file, the navigation document and the
+ *  cover are stored as manifest ids
  **/
-EPub.prototype._parseSpine = function (spine) {
-    var i, len, path = this.rootFile.split("/"), element;
-    path.pop();
+EPub.prototype._getCacheData = function () {
+    var data = {};
 
-    if (spine['@'] && spine['@'].toc) {
-        this.spine.toc = this.manifest[spine['@'].toc] || false;
-    }
+    CACHED_PROPERTIES.forEach(function (name) {
+        data[name] = this[name];
+    }, this);
 
-    if (spine.itemref) {
-        if(!Array.isArray(spine.itemref)){
-            spine.itemref = [spine.itemref];
-        }
-        for (i = 0, len = spine.itemref.length; i < len; i++) {
-            if (spine.itemref[i]['@']) {
-                if (element = this.manifest[spine.itemref[i]['@'].idref]) {
-                    this.spine.contents.push(element);
-                }
-            }
-        }
-    }
-    this.flow = this.spine.contents;
+    // TOC entries of chapters are the manifest items themselves
+    data.toc = this.toc.map(function (element) {
+        return this.manifest[element.id] === element ? element.id : element;
+    }, this);
+
+    data.spine = {
+        toc: this.spine.toc ? this.spine.toc.id : "",
+        contents: this.spine.contents.map(function (element) {
+            return element.id;
+        }),
+        pageProgressionDirection: this.spine.pageProgressionDirection
+    };
+    data.navFile = this.navFile ? this.navFile.id : "";
+    data.cover = this.cover ? this.cover.id : "";
+
+    return data;
 };
 
 /**
- *  EPub#_parseTOC() -> undefined
+ *  EPub#_isValidCache(data) -> Boolean
+ *  - data (Object): parsed cache entry
  *
- *  Parses ncx file for table of contents (title, html file)
+ *  Checks that a cache entry has the shape _getCacheData makes, entries
+ *  from a broken or shared store are treated as misses
  **/
-EPub.prototype._parseTOC = function () {
-    var i, len, path = this.spine.toc.href.split("/"), id_list = {}, keys;
-    path.pop();
+EPub.prototype._isValidCache = function (data) {
+    var isObject = function (value) {
+            return !!value && typeof value == "object" && !Array.isArray(value);
+        },
+        manifest = isObject(data) && data.manifest,
+        inManifest = function (id) {
+            return typeof id == "string" && Object.prototype.hasOwnProperty.call(manifest, id);
+        };
 
-    keys = Object.keys(this.manifest);
-    for (i = 0, len = keys.length; i < len; i++) {
-        id_list[this.manifest[keys[i]].href] = keys[i];
+    if (!isObject(manifest) || !isObject(data.metadata) || !isObject(data.spine) || !Array.isArray(data.spine.contents)) {
+        return false;
     }
 
-    this.zip.readFile(this.spine.toc.href, (function (err, data) {
-        if (err) {
-            this.emit("error", new Error("Reading archive failed"));
-            return;
-        }
-        var xml = data.toString("utf-8"),
-            xmlparser = new xml2js.Parser(xml2jsOptions);
+    return ["landmarks", "pageList", "guide", "diagnostics"].every(function (name) {
+        return Array.isArray(data[name]) && data[name].every(isObject);
+    }) && Array.isArray(data.toc) && data.toc.every(function (element) {
+        return isObject(element) || inManifest(element);
+    }) && ["packageAttributes", "rendition", "mediaOverlay", "refinements", "encryption"].every(function (name) {
+        return isObject(data[name]);
+    }) && Object.keys(manifest).every(function (id) {
+        return isObject(manifest[id]) && manifest[id].id === id && typeof manifest[id].href == "string";
+    }) && data.spine.contents.every(inManifest) &&
+        [data.spine.toc, data.navFile, data.cover].every(function (id) {
+            return id === "" || inManifest(id);
+        });
+};
 
-        xmlparser.on("end", (function (result) {
-            if (result.navMap && result.navMap.navPoint) {
-                this.toc = this._walkNavMap(result.navMap.navPoint, path, id_list);
-            }
+/**
+ *  EPub#_restoreCache(data) -> undefined
+ *  - data (Object): parsed data from the cache
+ *
+ *  Restores the parsed data, the counterpart of _getCacheData. Manifest
+ *  ids are replaced with the manifest items so the spine and the TOC
+ *  share the objects like after a fresh parse
+ **/
+EPub.prototype._restoreCache = function (data) {
+    CACHED_PROPERTIES.forEach(function (name) {
+        this[name] = data[name];
+    }, this);
 
-            this.emit("end");
-        }).bind(this));
+    this.toc = data.toc.map(function (element) {
+        return typeof element == "string" ? this.manifest[element] : element;
+    }, this);
 
-        xmlparser.on("error", (function (err) {
-            this.emit("error", new Error("Parsing container XML failed"));
-            return;
-        }).bind(this));
+    this.spine = {
+        toc: this.manifest[data.spine.toc] || false,
+        contents: data.spine.contents.map(function (id) {
+            return this.manifest[id];
+        }, this),
+        pageProgressionDirection: data.spine.pageProgressionDirection
+    };
+    this.flow = this.spine.contents;
+    this.navFile = this.manifest[data.navFile] || false;
+    this.cover = this.manifest[data.cover] || null;
+};
 
-        xmlparser.parseString(xml);
+/**
+ *  EPub#_bufferStream() -> undefined
+ *
+ *  Reads the readable stream given to the constructor into a Buffer
+ *  and opens it. The Buffer replaces the stream so parse() can be rerun
+ **/
+EPub.prototype._bufferStream = function () {
+    var stream = this.filename, chunks = [],
+        generation = this.generation;
+
+    stream.on("data", function (chunk) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    });
+
+    stream.on("error", (function (err) {
+        if (generation == this.generation) {
+            this._fail("STREAM_READ_FAILED", "Reading stream failed");
+        }
+    }).bind(this));
 
+    stream.on("end", (function () {
+        this.filename = Buffer.concat(chunks);
+        if (generation != this.generation) {
+            return;
+        }
+        this._open();
     }).bind(this));
 };
 
 /**
- *  EPub#_walkNavMap(branch, path, id_list,[, level]) -> Array
- *  - branch (Array | Object): NCX NavPoint object
- *  - path (Array): Base path
- *  - id_list (Object): map of file paths and id values
- *  - level (Number): deepness
+ *  EPub#_fail(code, message[, path][, recoverable]) -> Boolean
+ *  - code (String): diagnostic code, set as the "code" property of the error
+ *  - message (String): error message
+ *  - path (String): archive path of the file with the problem
+ *  - recoverable (Boolean): validate() can go on after the problem
  *
- *  Walks the NavMap object through all levels and finds elements
- *  for TOC
+ *  Reports a problem that stops parsing. Emits "error" unless validate()
+ *  is running or lenient mode is on and the problem is recoverable.
+ *  Returns true if the parser should go on
  **/
-EPub.prototype._walkNavMap = function (branch, path, id_list, level) {
-    level = level || 0;
-
-    // don't go too far
-    if (level > 7) {
-        return [];
+EPub.prototype._fail = function (code, message, path, recoverable) {
+    if (recoverable && this.options.lenient) {
+        this._warn(code, message, path);
+        return true;
     }
 
-    var output = [];
+    this._diagnose("error", code, message, path);
 
-    if (!Array.isArray(branch)) {
-        branch = [branch];
+    if (this.validating && recoverable) {
+        return true;
     }
 
-    for (var i = 0; i < branch.length; i++) {
-        if (branch[i].navLabel) {
+    var err = new Error(message);
+    err.code = code;
+    this.parsing = false;
+    this.emit("error", err);
+    return false;
+};
 
-            var title = '';
-            if (branch[i].navLabel && typeof branch[i].navLabel.text == 'string') {
-                title = branch[i].navLabel.text.trim();
-            }
-            var order = Number(branch[i]["@"] && branch[i]["@"].playOrder || 0);
-            if (isNaN(order)) {
-                order = 0;
-            }
-            var href = '';
-            if (branch[i].content && branch[i].content["@"] && typeof branch[i].content["@"].src == 'string') {
-                href = branch[i].content["@"].src.trim();
-            }
+/**
+ *  EPub#_warn(code, message[, path]) -> undefined
+ *  - code (String): diagnostic code
+ *  - message (String): description of the problem
+ *  - path (String): archive path of the file with the problem
+ *
+ *  Records a problem that lenient mode recovered from and emits it
+ *  as a "warning" event
+ **/
+EPub.prototype._warn = function (code, message, path) {
+    this._diagnose("warning", code, message, path);
+    this.emit("warning", this.diagnostics[this.diagnostics.length - 1]);
+};
 
-            var element = {
-                level: level,
-                order: order,
-                title: title
-            };
+/**
+ *  EPub#_diagnose(severity, code, message[, path]) -> undefined
+ *  - severity (String): "error" or "warning"
+ *  - code (String): diagnostic code
+ *  - message (String): description of the problem
+ *  - path (String): archive path of the file with the problem
+ *
+ *  Records a problem that doesn't stop parsing, see validate()
+ **/
+EPub.prototype._diagnose = function (severity, code, message, path) {
+    if (!this.diagnostics) {
+        this.diagnostics = [];
+    }
+    this.diagnostics.push({
+        severity: severity,
+        code: code,
+        path: path || "",
+        message: message
+    });
+};
 
-            if (href) {
-                href = path.concat([href]).join("/");
-                element.href = href;
+/**
+ *  EPub#_decode(data) -> String
+ *  - data (Buffer): contents of a text file
+ *
+ *  Decodes an XML, XHTML or CSS file to a string. The encoding is detected
+ *  from the byte order mark or the encoding declaration of the file unless
+ *  the "encoding" option is set, see lib/encoding.js
+ **/
+EPub.prototype._decode = function (data) {
+    return encoding.decode(data, this.options.encoding);
+};
 
-                if (id_list[element.href]) {
-                    // link existing object
-                    element = this.manifest[id_list[element.href]];
-                    element.title = title;
-                    element.order = order;
-                    element.level = level;
-                } else {
-                    // use new one
-                    element.href = href;
-                    element.id =  (branch[i]["@"] && branch[i]["@"].id || "").trim();
-                }
+/**
+ *  EPub#_findZipName(name) -> String | false
+ *  - name (String): archive path
+ *
+ *  Finds a file from the archive. An exact match wins, otherwise
+ *  the first path that differs only by case is returned. Nothing is
+ *  found after close()
+ **/
+EPub.prototype._findZipName = function (name) {
+    var i, len, lower = String(name).toLowerCase();
 
-                output.push(element);
-            }
-        }
-        if (branch[i].navPoint) {
-            output = output.concat(this._walkNavMap(branch[i].navPoint, path, id_list, level + 1));
+    if (!this.zip) {
+        return false;
+    }
+    if (this.zip.names.indexOf(name) >= 0) {
+        return name;
+    }
+    for (i = 0, len = this.zip.names.length; i < len; i++) {
+        if (this.zip.names[i].toLowerCase() == lower) {
+            return this.zip.names[i];
         }
     }
-    return output;
+    return false;
 };
 
 /**
- *  EPub#getChapter(id, callback) -> undefined
- *  - id (String): Manifest id value for a chapter
- *  - callback (Function): callback function
+ *  EPub#_entryStat(href) -> Object | null
+ *  - href (String): archive path
  *
- *  Finds a chapter text for an id. Replaces image and link URL's, removes
- *  <head> etc. elements. Return only chapters with mime type application/xhtml+xml
+ *  Returns the "crc" and "size" of an archive entry without reading it.
+ *  Null for files added or replaced before save() and when the zip
+ *  backend can't tell them (the native zipfile module)
  **/
-EPub.prototype.getChapter = function (id, callback) {
-    this.getChapterRaw(id, (function (err, str) {
+EPub.prototype._entryStat = function (href) {
+    var name = this._findZipName(href);
+
+    if (!name || typeof this.zip.stat != "function" || this.modifiedFiles && href in this.modifiedFiles) {
+        return null;
+    }
+    return this.zip.stat(name);
+};
+
+/**
+ *  EPub#_checkMimeType() -> undefined
+ *
+ *  Checks if there's a file called "mimetype" and that it's contents
+ *  are "application/epub+zip". On success runs root file check.
+ **/
+EPub.prototype._checkMimeType = function () {
+    this.mimeFile = this._findZipName("mimetype");
+
+    if (!this.mimeFile) {
+        if (this._fail("MIMETYPE_MISSING", "No mimetype file in archive", "mimetype", true)) {
+            this._parseEncryption();
+        }
+        return;
+    }
+    this._readEntry("readFile", this.mimeFile, (function (err, data) {
         if (err) {
-            callback(err);
+            this._fail("ARCHIVE_READ_FAILED", "Reading archive failed", this.mimeFile);
             return;
         }
+        var txt = data.toString("utf-8").toLowerCase().trim();
 
-        var i, len, path = this.rootFile.split("/"), keys = Object.keys(this.manifest);
-        path.pop();
-
-        // remove linebreaks (no multi line matches in JS regex!)
-        str = str.replace(/\r?\n/g, "\u0000");
-
-        // keep only <body> contents
-        str.replace(/<body[^>]*?>(.*)<\/body[^>]*?>/i, function (o, d) {
-            str = d.trim();
-        });
+        if (txt  !=  "application/epub+zip") {
+            if (!this._fail("MIMETYPE_INVALID", "Unsupported mime type", this.mimeFile, true)) {
+                return;
+            }
+        } else if (data.toString("utf-8") != "application/epub+zip") {
+            this._warn("MIMETYPE_INVALID", "Mime type file has extra whitespace or different case", this.mimeFile);
+        }
 
-        // remove <script> blocks if any
-        str = str.replace(/<script[^>]*?>(.*?)<\/script[^>]*?>/ig, function (o, s) {
-            return "";
-        });
+        this._parseEncryption();
+    }).bind(this));
+};
 
-        // remove <style> blocks if any
-        str = str.replace(/<style[^>]*?>(.*?)<\/style[^>]*?>/ig, function (o, s) {
-            return "";
-        });
+/**
+ *  EPub#_parseEncryption() -> undefined
+ *
+ *  Reads "META-INF/encryption.xml" if the archive has one. Fonts
+ *  obfuscated with the IDPF or Adobe algorithm are marked for
+ *  de-obfuscation, other encrypted resources can't be read. Runs the
+ *  root file check next
+ **/
+EPub.prototype._parseEncryption = function () {
+    var encryptionFile = this._findZipName("META-INF/encryption.xml");
 
-        // remove onEvent handlers
-        str = str.replace(/(\s)(on\w+)(\s*=\s*["']?[^"'\s>]*?["'\s>])/g, function (o, a, b, c) {
-            return a + "skip-" + b + c;
-        });
+    if (!encryptionFile) {
+        this._getRootFiles();
+        return;
+    }
 
-        // replace images
-        str = str.replace(/(\ssrc\s*=\s*["']?)([^"'\s>]*?)(["'\s>])/g, (function (o, a, b, c) {
-            var img = path.concat([b]).join("/").trim(),
-                element;
+    this._readEntry("readFile", encryptionFile, (function (err, data) {
+        if (err) {
+            this._fail("ARCHIVE_READ_FAILED", "Reading archive failed", encryptionFile);
+            return;
+        }
+        var xmlparser = new xml2js.Parser(xml2jsOptions),
+            failed = false;
 
+        // element names may or may not have a namespace prefix
+        function child(node, name) {
+            var keys = Object.keys(node || {}), i, len;
             for (i = 0, len = keys.length; i < len; i++) {
-                if (this.manifest[keys[i]].href == img) {
-                    element = this.manifest[keys[i]];
-                    break;
+                if (keys[i].split(":").pop() == name) {
+                    return node[keys[i]];
                 }
             }
+            return null;
+        }
 
-            // include only images from manifest
-            if (element) {
-                return a + this.imageroot + element.id + "/" + img + c;
-            } else {
-                return "";
+        xmlparser.on("end", (function (result) {
+            if (failed) {
+                return;
             }
 
-        }).bind(this));
+            [].concat(child(result, "EncryptedData") || []).forEach(function (encrypted) {
+                var method = child(encrypted, "EncryptionMethod"),
+                    reference = child(child(encrypted, "CipherData"), "CipherReference"),
+                    algorithm = method && method["@"] && method["@"].Algorithm || "",
+                    path;
 
-        // replace links
-        str = str.replace(/(\shref\s*=\s*["']?)([^"'\s>]*?)(["'\s>])/g, (function (o, a, b, c) {
-            var linkparts = b && b.split("#"),
-                link = path.concat([(linkparts.shift() || "")]).join("/").trim(),
-                element;
+                if (!reference || !reference["@"] || !reference["@"].URI) {
+                    return;
+                }
+                path = paths.resolveHref("", reference["@"].URI);
+                if (path === null) {
+                    return;
+                }
 
-            for (i = 0, len = keys.length; i < len; i++) {
-                if (this.manifest[keys[i]].href.split("#")[0] == link) {
-                    element = this.manifest[keys[i]];
-                    break;
+                if (algorithm == obfuscation.IDPF_ALGORITHM) {
+                    this.encryption[path] = {algorithm: algorithm, type: "idpf"};
+                } else if (algorithm == obfuscation.ADOBE_ALGORITHM) {
+                    this.encryption[path] = {algorithm: algorithm, type: "adobe"};
+                } else {
+                    this.encryption[path] = {algorithm: algorithm, type: "encrypted"};
+                    this._diagnose("warning", "RESOURCE_ENCRYPTED", "File is encrypted", path);
                 }
-            }
+            }, this);
 
-            if (linkparts.length) {
-                link  +=  "#" + linkparts.join("#");
-            }
+            this._getRootFiles();
+        }).bind(this));
 
-            // include only images from manifest
-            if (element) {
-                return a + this.linkroot + element.id + "/" + link + c;
-            } else {
-                return a + b + c;
+        xmlparser.on("error", (function (err) {
+            failed = true;
+            if (this._fail("ENCRYPTION_INVALID", "Parsing encryption XML failed", encryptionFile, true)) {
+                this._getRootFiles();
             }
-
         }).bind(this));
 
-        // bring back linebreaks
-        str = str.replace(/\u0000/g, "\n").trim();
-
-        callback(null, str);
+        xmlparser.parseString(this._decode(data));
     }).bind(this));
 };
 
-
 /**
- *  EPub#getChapterRaw(id, callback) -> undefined
- *  - id (String): Manifest id value for a chapter
- *  - callback (Function): callback function
+ *  EPub#_getObfuscationKey(type[, metadata]) -> Buffer | null
+ *  - type (String): "idpf" or "adobe"
+ *  - metadata (Object): "uniqueIdentifier" and "identifiers" to use
  *
- *  Returns the raw chapter text for an id.
+ *  Returns the font obfuscation key for the book. IDPF keys come from the
+ *  unique identifier, Adobe keys from the first "urn:uuid:" identifier.
+ *  Without metadata the keys of the parsed archive are used
  **/
-EPub.prototype.getChapterRaw = function (id, callback) {
-    if (this.manifest[id]) {
-
-        if (!(this.manifest[id]['media-type'] == "application/xhtml+xml" || this.manifest[id]['media-type'] == "image/svg+xml")) {
-            return callback(new Error("Invalid mime type for chapter"));
-        }
-
-        this.zip.readFile(this.manifest[id].href, (function (err, data) {
-            if (err) {
-                callback(new Error("Reading archive failed"));
-                return;
-            }
+EPub.prototype._getObfuscationKey = function (type, metadata) {
+    if (!metadata && this.obfuscationKeys) {
+        return this.obfuscationKeys[type] || null;
+    }
+    metadata = metadata || this.metadata;
 
-            var str = data.toString("utf-8");
+    var identifiers = [metadata.uniqueIdentifier].concat((metadata.identifiers || []).map(function (identifier) {
+            return identifier.value;
+        })),
+        i, len, key;
 
-            callback(null, str);
+    if (type == "idpf") {
+        return metadata.uniqueIdentifier ? obfuscation.idpfKey(metadata.uniqueIdentifier) : null;
+    }
 
-        }).bind(this));
-    } else {
-        callback(new Error("File not found"));
+    for (i = 0, len = identifiers.length; i < len; i++) {
+        if (identifiers[i] && (key = obfuscation.adobeKey(identifiers[i]))) {
+            return key;
+        }
     }
+    return null;
 };
 
-
 /**
- *  EPub#getImage(id, callback) -> undefined
- *  - id (String): Manifest id value for an image
- *  - callback (Function): callback function
+ *  EPub#_getRootFiles() -> undefined
  *
- *  Finds an image for an id. Returns the image as Buffer. Callback gets
- *  an error object, image buffer and image content-type.
- *  Return only images with mime type image
+ *  Looks for a "META-INF/container.xml" file and searches for a
+ *  rootfile element with mime type "application/oebps-package+xml".
+ *  On success calls the rootfile parser
  **/
-EPub.prototype.getImage = function (id, callback) {
-    if (this.manifest[id]) {
+EPub.prototype._getRootFiles = function () {
+    this.containerFile = this._findZipName("META-INF/container.xml");
 
-        if ((this.manifest[id]['media-type'] || "").toLowerCase().trim().substr(0, 6)  !=  "image/") {
-            return callback(new Error("Invalid mime type for image"));
+    if (!this.containerFile) {
+        if (this._fail("CONTAINER_MISSING", "No container file in archive", "META-INF/container.xml", this.options.lenient)) {
+            this._scanRootFile();
         }
-
-        this.getFile(id, callback);
-    } else {
-        callback(new Error("File not found"));
+        return;
     }
-};
 
+    this._readEntry("readFile", this.containerFile, (function (err, data) {
+        if (err) {
+            this._fail("ARCHIVE_READ_FAILED", "Reading archive failed", this.containerFile);
+            return;
+        }
+        var xml = this._decode(data).trim(),
+            xmlparser = new xml2js.Parser(xml2jsOptions),
+            failed = false;
 
-/**
- *  EPub#getFile(id, callback) -> undefined
- *  - id (String): Manifest id value for a file
- *  - callback (Function): callback function
- *
- *  Finds a file for an id. Returns the file as Buffer. Callback gets
- *  an error object, file contents buffer and file content-type.
- **/
-EPub.prototype.getFile = function (id, callback) {
-    if (this.manifest[id]) {
+        xmlparser.on("end", (function (result) {
+            if (failed) {
+                return;
+            }
 
-        this.zip.readFile(this.manifest[id].href, (function (err, data) {
-            if (err) {
-                callback(new Error("Reading archive failed"));
+            if (!result.rootfiles || !result.rootfiles.rootfile) {
+                if (this._fail("ROOTFILE_MISSING", "No rootfiles found", this.containerFile, this.options.lenient)) {
+                    this._scanRootFile();
+                }
                 return;
             }
 
-            callback(null, data, this.manifest[id]['media-type']);
+            var rootfile = result.rootfiles.rootfile,
+                filename = false, i, len;
+
+            if (Array.isArray(rootfile)) {
+
+                for (i = 0, len = rootfile.length; i < len; i++) {
+                    if (rootfile[i]["@"]["media-type"] &&
+                            rootfile[i]["@"]["media-type"] == "application/oebps-package+xml" &&
+                            rootfile[i]["@"]["full-path"]) {
+                        filename = rootfile[i]["@"]["full-path"].trim();
+                        break;
+                    }
+                }
+
+            } else if (rootfile["@"]) {
+                if (rootfile["@"]["media-type"]  !=  "application/oebps-package+xml" || !rootfile["@"]["full-path"]) {
+                    if (this._fail("ROOTFILE_INVALID", "Rootfile in unknown format", this.containerFile, this.options.lenient)) {
+                        this._scanRootFile();
+                    }
+                    return;
+                }
+                filename = rootfile["@"]["full-path"].trim();
+            }
+
+            if (!filename) {
+                if (this._fail("ROOTFILE_MISSING", "Empty rootfile", this.containerFile, this.options.lenient)) {
+                    this._scanRootFile();
+                }
+                return;
+            }
+
+
+            this.rootFile = this._findZipName(filename);
+
+            if (!this.rootFile) {
+                if (this._fail("ROOTFILE_NOT_FOUND", "Rootfile not found from archive", filename, this.options.lenient)) {
+                    this._scanRootFile();
+                }
+                return;
+            }
+
+            this._handleRootFile();
+
         }).bind(this));
-    } else {
-        callback(new Error("File not found"));
+
+        xmlparser.on("error", (function (err) {
+            failed = true;
+            if (this._fail("CONTAINER_INVALID", "Parsing container XML failed", this.containerFile, this.options.lenient)) {
+                this._scanRootFile();
+            }
+            return;
+        }).bind(this));
+
+        xmlparser.parseString(xml);
+
+
+    }).bind(this));
+};
+
+/**
+ *  EPub#_scanRootFile() -> undefined
+ *
+ *  Lenient mode fallback for a missing or broken container file. Uses
+ *  the *.opf file closest to the archive root as the rootfile
+ **/
+EPub.prototype._scanRootFile = function () {
+    var candidates = this.zip.names.filter(function (name) {
+        return name.toLowerCase().substr(-4) == ".opf";
+    }).sort(function (a, b) {
+        return a.split("/").length - b.split("/").length;
+    });
+
+    if (!candidates.length) {
+        this._fail("ROOTFILE_NOT_FOUND", "Rootfile not found from archive");
+        return;
     }
+
+    this.rootFile = candidates[0];
+    this._warn("ROOTFILE_GUESSED", "Using \"" + this.rootFile + "\" as the rootfile", this.rootFile);
+    this._handleRootFile();
+};
+
+/**
+ *  EPub#_handleRootFile() -> undefined
+ *
+ *  Parses the rootfile XML and calls rootfile parser
+ **/
+EPub.prototype._handleRootFile = function () {
+
+    this._readEntry("readFile", this.rootFile, (function (err, data) {
+        if (err) {
+            this._fail("ARCHIVE_READ_FAILED", "Reading archive failed", this.rootFile);
+            return;
+        }
+        var xml = this._decode(data),
+            xmlparser = new xml2js.Parser(xml2jsOptions),
+            failed = false;
+
+        xmlparser.on("end", (function (result) {
+            if (!failed) {
+                this._parseRootFile(result);
+            }
+        }).bind(this));
+
+        xmlparser.on("error", (function (err) {
+            failed = true;
+            if (this._fail("PACKAGE_INVALID", "Parsing container XML failed", this.rootFile, this.options.lenient)) {
+                this._parseLooseXML(xml, this._parseRootFile.bind(this));
+            }
+            return;
+        }).bind(this));
+
+        xmlparser.parseString(xml);
+
+    }).bind(this));
 };
 
+/**
+ *  EPub#_parseLooseXML(xml, callback) -> undefined
+ *  - xml (String): malformed XML source
+ *  - callback (Function): gets the parsed object
+ *
+ *  Lenient mode fallback that parses XML with the non-strict parser.
+ *  Element and attribute names are lowercased
+ **/
+EPub.prototype._parseLooseXML = function (xml, callback) {
+    var xmlparser = new xml2js.Parser(Object.assign({}, xml2jsOptions, {
+            strict: false,
+            normalizeTags: true,
+            attrNameProcessors: [function (name) {
+                return name.toLowerCase();
+            }]
+        })),
+        failed = false;
 
-EPub.prototype.readFile = function(filename, options, callback_) {
-    var callback = arguments[arguments.length - 1];
-    
-    if (util.isFunction(options) || !options) {
-        this.zip.readFile(filename, callback);
-    } else if (util.isString(options)) {
-        // options is an encoding
-        this.zip.readFile(filename, function(err, data) {
-            if (err) {
-                callback(new Error('Reading archive failed'));
-                return;
+    xmlparser.on("end", function (result) {
+        if (!failed) {
+            callback(result || {});
+        }
+    });
+
+    xmlparser.on("error", (function (err) {
+        failed = true;
+        this._fail("PACKAGE_INVALID", "Parsing container XML failed", this.rootFile);
+    }).bind(this));
+
+    xmlparser.parseString(xml);
+};
+
+/**
+ *  EPub#_parseRootFile() -> undefined
+ *
+ *  Parses elements "metadata," "manifest," "spine" and TOC.
+ *  The EPUB 3 navigation document is used for the TOC when the manifest
+ *  has one, the NCX file otherwise. Emits "end" if no TOC
+ **/
+EPub.prototype._parseRootFile = function (rootfile) {
+
+    var attrs = rootfile['@'] || {};
+
+    this.version = attrs.version || '2.0';
+    this.packageAttributes = {
+        prefix: String(attrs.prefix || "").trim(),
+        lang: String(attrs["xml:lang"] || "").trim(),
+        dir: String(attrs.dir || "").trim()
+    };
+
+    var i, len, keys, keyparts, key;
+    keys = Object.keys(rootfile);
+    for (i = 0, len = keys.length; i < len; i++) {
+        keyparts = keys[i].split(":");
+        key = (keyparts.pop() || "").toLowerCase().trim();
+        switch (key) {
+        case "metadata":
+            this._parseMetadata(rootfile[keys[i]], rootfile['@'] && rootfile['@']['unique-identifier']);
+            break;
+        case "manifest":
+            this._parseManifest(rootfile[keys[i]]);
+            break;
+        case "spine":
+            this._parseSpine(rootfile[keys[i]]);
+            break;
+        case "guide":
+            this._parseGuide(rootfile[keys[i]]);
+            break;
+        }
+    }
+
+    this._parseRendition();
+    this._parseMediaOverlays();
+
+    this._findCover((function () {
+        this._readViewports((function () {
+            if (this.navFile) {
+                this._parseNav();
+            } else if (this.spine.toc) {
+                this._parseTOC();
+            } else {
+                this._end();
+            }
+        }).bind(this));
+    }).bind(this));
+};
+
+/**
+ *  EPub#_parseRendition() -> undefined
+ *
+ *  Sets the "rendition" properties of the book (layout, orientation,
+ *  spread and viewport) from the rendition:* metadata and the "rendition"
+ *  of every spine item with the itemref overrides applied
+ **/
+EPub.prototype._parseRendition = function () {
+    Object.keys(rendition.DEFAULTS).forEach(function (name) {
+        this.rendition[name] = (this.metadata["rendition:" + name] || rendition.DEFAULTS[name]).trim().toLowerCase();
+    }, this);
+    this.rendition.viewport = rendition.parseViewport(this.metadata["rendition:viewport"]);
+
+    this.spine.contents.forEach(function (element) {
+        var viewport = (this.refinements[element.id] || []).filter(function (refinement) {
+            return refinement.property == "rendition:viewport";
+        })[0];
+
+        element.rendition = rendition.itemRendition(this.rendition, element.spineProperties || []);
+        if (viewport && rendition.parseViewport(viewport.value)) {
+            element.rendition.viewport = rendition.parseViewport(viewport.value);
+        }
+    }, this);
+};
+
+/**
+ *  EPub#_parseMediaOverlays() -> undefined
+ *
+ *  Sets the "mediaOverlay" properties of the book from the media:*
+ *  metadata, "duration" in seconds (null if not set), "activeClass" and
+ *  "playbackActiveClass". Media overlay manifest items get their own
+ *  "duration" from the refining media:duration
+ **/
+EPub.prototype._parseMediaOverlays = function () {
+    this.mediaOverlay = {
+        duration: smil.parseClock(this.metadata["media:duration"]),
+        activeClass: (this.metadata["media:active-class"] || "").trim(),
+        playbackActiveClass: (this.metadata["media:playback-active-class"] || "").trim()
+    };
+
+    Object.keys(this.manifest).forEach(function (id) {
+        var duration = (this.refinements[id] || []).filter(function (refinement) {
+            return refinement.property == "media:duration";
+        })[0];
+
+        if (duration) {
+            this.manifest[id].duration = smil.parseClock(duration.value);
+        }
+    }, this);
+};
+
+/**
+ *  EPub#_readViewports(callback) -> undefined
+ *  - callback (Function): called when done
+ *
+ *  Reads the viewport of every fixed-layout spine item from its
+ *  <meta name="viewport"> (or the size of an SVG document) into its
+ *  "rendition". Items that can't be read keep the viewport of the book
+ **/
+EPub.prototype._readViewports = function (callback) {
+    var items = this.spine.contents.filter(function (element) {
+            return element.rendition.layout == "pre-paginated";
+        }),
+        i = 0;
+
+    var next = (function () {
+        if (i >= items.length) {
+            callback();
+            return;
+        }
+
+        var element = items[i++];
+
+        this._readZipFile(element.href, (function (err, data) {
+            if (!err) {
+                var root = dom.parse(this._decode(data)),
+                    svg = dom.find(root, "svg"),
+                    viewport = null;
+
+                (function walk(node) {
+                    node.children.forEach(function (child) {
+                        if (viewport || child.type != "element" || child.name.toLowerCase() == "body") {
+                            return;
+                        }
+                        if (child.name.toLowerCase() == "meta" && String(child.attributes.name).toLowerCase() == "viewport") {
+                            viewport = rendition.parseViewport(child.attributes.content);
+                        }
+                        walk(child);
+                    });
+                })(root);
+
+                if (!viewport && svg && svg.parent.type == "document") {
+                    viewport = rendition.svgViewport(svg);
+                }
+                element.rendition.viewport = viewport || element.rendition.viewport;
+            }
+            process.nextTick(next);
+        }).bind(this));
+    }).bind(this);
+
+    next();
+};
+
+/**
+ *  EPub#_parseMetadata(metadata[, uniqueIdentifier]) -> undefined
+ *  - metadata (Object): parsed "metadata" element
+ *  - uniqueIdentifier (String): "unique-identifier" attribute of the package
+ *
+ *  Parses "metadata" block (book metadata, title, author etc.)
+ *
+ *  Next to the flat fields (title, creator, ISBN etc.) the metadata object
+ *  holds every title, creator, contributor, identifier and collection with
+ *  its EPUB 2 attributes ("opf:role", "opf:file-as", "opf:scheme") and
+ *  EPUB 3 refinements (<meta refines="#id">) applied.
+ **/
+EPub.prototype._parseMetadata = function (metadata, uniqueIdentifier) {
+    var myMetadata = this.metadata,
+        refinements = {},
+        metas = metadata.meta || [],
+        onixTypes = {"02": "ISBN", "15": "ISBN", "06": "DOI"};
+
+    if (!Array.isArray(metas)) {
+        metas = [metas];
+    }
+
+    // text content of an element
+    function text(val) {
+        if (typeof val == "string") {
+            return val.trim();
+        }
+        return String(val && val["#"] || "").trim();
+    }
+
+    // attribute value by local name, "opf:role" is found with "role"
+    function attr(val, name) {
+        var attrs = val && val["@"] || {}, keys = Object.keys(attrs), i;
+        for (i = 0; i < keys.length; i++) {
+            if (keys[i] == name || keys[i].split(":").pop() == name) {
+                return String(attrs[keys[i]]).trim();
+            }
+        }
+        return "";
+    }
+
+    // first refinement value of a property for an element id
+    function refine(id, property) {
+        var list = id && refinements[id] || [], i;
+        for (i = 0; i < list.length; i++) {
+            if (list[i].property == property) {
+                return list[i];
+            }
+        }
+        return false;
+    }
+
+    function refineValue(id, property) {
+        var refinement = refine(id, property);
+        return refinement ? refinement.value : "";
+    }
+
+    // EPUB 3 refinements can come before or after the element they refine
+    metas.forEach(function (meta) {
+        var refines = attr(meta, "refines"), property = attr(meta, "property");
+        if (refines && property) {
+            refines = refines.replace(/^#/, "");
+            refinements[refines] = refinements[refines] || [];
+            refinements[refines].push({
+                property: property,
+                value: text(meta),
+                scheme: attr(meta, "scheme")
+            });
+        }
+    });
+    this.refinements = refinements;
+
+    function person(val) {
+        var id = attr(val, "id"),
+            displaySeq = Number(refineValue(id, "display-seq")),
+            role = refine(id, "role");
+
+        return {
+            name: text(val),
+            role: attr(val, "role") || role && role.value || "",
+            roleScheme: attr(val, "role") ? "marc:relators" : role && role.scheme || "",
+            fileAs: attr(val, "file-as") || refineValue(id, "file-as") || text(val),
+            displaySeq: displaySeq || 0,
+            lang: attr(val, "lang"),
+            id: id
+        };
+    }
+
+    // keeps document order for entries without a display-seq
+    function byDisplaySeq(list) {
+        return list.map(function (item, index) {
+            return {item: item, index: index};
+        }).sort(function (a, b) {
+            if (a.item.displaySeq && b.item.displaySeq && a.item.displaySeq != b.item.displaySeq) {
+                return a.item.displaySeq - b.item.displaySeq;
             }
-            callback(null, data.toString(options));
+            if (!a.item.displaySeq != !b.item.displaySeq) {
+                return a.item.displaySeq ? -1 : 1;
+            }
+            return a.index - b.index;
+        }).map(function (entry) {
+            return entry.item;
         });
-    } else {
-        throw new TypeError('Bad arguments');
     }
+
+    myMetadata.titles = [];
+    myMetadata.creators = [];
+    myMetadata.contributors = [];
+    myMetadata.identifiers = [];
+    myMetadata.subjects = [];
+    myMetadata.languages = [];
+    myMetadata.collections = [];
+    myMetadata.metas = [];
+
+    Object.keys(metadata).forEach(function (key) {
+        var keyparts = key.split(":");
+        var name = (keyparts.pop() || "").toLowerCase().trim();
+        var val = metadata[key];
+        var values = Array.isArray(val) ? val : [val];
+
+        switch (name) {
+        case "publisher":
+        case "description":
+        case "date":
+        case "rights":
+        case "source":
+        case "type":
+        case "format":
+        case "coverage":
+        case "relation":
+            myMetadata[name] = text(values[0]);
+            break;
+        case "title":
+            values.forEach(function (item) {
+                var id = attr(item, "id");
+                myMetadata.titles.push({
+                    value: text(item),
+                    type: refineValue(id, "title-type"),
+                    fileAs: refineValue(id, "file-as"),
+                    displaySeq: Number(refineValue(id, "display-seq")) || 0,
+                    lang: attr(item, "lang"),
+                    id: id
+                });
+            });
+            break;
+        case "creator":
+            myMetadata.creators = myMetadata.creators.concat(values.map(person));
+            break;
+        case "contributor":
+            myMetadata.contributors = myMetadata.contributors.concat(values.map(person));
+            break;
+        case "identifier":
+            values.forEach(function (item) {
+                var id = attr(item, "id"),
+                    type = refine(id, "identifier-type"),
+                    scheme = attr(item, "scheme");
+
+                if (!scheme && type) {
+                    scheme = type.scheme == "onix:codelist5" && onixTypes[type.value] || type.value;
+                }
+                myMetadata.identifiers.push({
+                    value: text(item),
+                    scheme: scheme,
+                    id: id
+                });
+            });
+            break;
+        case "subject":
+            values.forEach(function (item) {
+                myMetadata.subjects.push(text(item));
+            });
+            break;
+        case "language":
+            values.forEach(function (item) {
+                myMetadata.languages.push(text(item));
+            });
+            break;
+        }
+    });
+
+    myMetadata.titles = byDisplaySeq(myMetadata.titles);
+    myMetadata.creators = byDisplaySeq(myMetadata.creators);
+    myMetadata.contributors = byDisplaySeq(myMetadata.contributors);
+
+    metas.forEach(function (meta) {
+        var name = attr(meta, "name"),
+            property = attr(meta, "property"),
+            id = attr(meta, "id");
+
+        if (attr(meta, "refines")) {
+            return;
+        }
+
+        if (property == "belongs-to-collection") {
+            myMetadata.collections.push({
+                name: text(meta),
+                type: refineValue(id, "collection-type"),
+                position: Number(refineValue(id, "group-position")) || 0,
+                id: id
+            });
+        } else if (property == "dcterms:modified") {
+            myMetadata.modified = text(meta);
+        } else if (property) {
+            myMetadata.metas.push({property: property, value: text(meta), id: id,
+                scheme: attr(meta, "scheme"), lang: attr(meta, "lang")});
+        } else if (name && name != "cover") {
+            myMetadata.metas.push({name: name, content: attr(meta, "content")});
+        }
+
+        // the first value wins, later <meta> elements don't overwrite it
+        if (name && !(name in myMetadata)) {
+            myMetadata[name] = attr(meta, "content");
+        }
+        if (property && text(meta) && !(property in myMetadata)) {
+            myMetadata[property] = text(meta);
+        }
+    });
+
+    myMetadata.identifiers.forEach(function (identifier) {
+        if (uniqueIdentifier && identifier.id == uniqueIdentifier) {
+            myMetadata.uniqueIdentifier = identifier.value;
+        }
+    });
+
+    this._updateMetadataAliases();
 };
 
+/**
+ *  EPub#_updateMetadataAliases() -> undefined
+ *
+ *  Sets the flat metadata fields (title, creator, ISBN etc.) from the
+ *  first entries of the metadata lists
+ **/
+EPub.prototype._updateMetadataAliases = function () {
+    var myMetadata = this.metadata, i, main = myMetadata.titles[0];
+
+    ["title", "creator", "creatorFileAs", "language", "subject", "ISBN", "UUID", "series"].forEach(function (name) {
+        delete myMetadata[name];
+    });
+
+    for (i = 0; i < myMetadata.titles.length; i++) {
+        if (myMetadata.titles[i].type == "main") {
+            main = myMetadata.titles[i];
+            break;
+        }
+    }
+    if (main) {
+        myMetadata.title = main.value;
+    }
+    if (myMetadata.creators.length) {
+        myMetadata.creator = myMetadata.creators[0].name;
+        myMetadata.creatorFileAs = myMetadata.creators[0].fileAs;
+    }
+    if (myMetadata.languages.length) {
+        myMetadata.language = myMetadata.languages[0];
+    }
+    if (myMetadata.subjects.length) {
+        myMetadata.subject = myMetadata.subjects[0];
+    }
+
+    myMetadata.identifiers.forEach(function (identifier) {
+        if (!myMetadata.ISBN && (identifier.scheme.toUpperCase() == "ISBN" || identifier.value.match(/^urn:isbn:/i))) {
+            myMetadata.ISBN = identifier.value.replace(/^urn:isbn:/i, "");
+        } else if (!myMetadata.UUID && (identifier.id.match(/uuid/i) || identifier.value.match(/^urn:uuid:/i))) {
+            myMetadata.UUID = identifier.value.replace(/^urn:uuid:/i, "").toUpperCase();
+        }
+    });
+
+    for (i = 0; i < myMetadata.collections.length; i++) {
+        if (!myMetadata.collections[i].type || myMetadata.collections[i].type == "series") {
+            myMetadata.series = {
+                name: myMetadata.collections[i].name,
+                position: myMetadata.collections[i].position
+            };
+            break;
+        }
+    }
+    if (!myMetadata.series && myMetadata["calibre:series"]) {
+        myMetadata.series = {
+            name: myMetadata["calibre:series"],
+            position: Number(myMetadata["calibre:series_index"]) || 0
+        };
+    }
+};
+
+/**
+ *  EPub#_parseManifest() -> undefined
+ *
+ *  Parses "manifest" block (all items included, html files, images, styles)
+ **/
+EPub.prototype._parseManifest = function (manifest) {
+    var i, len, element, encryption;
+
+    if (manifest.item) {
+        if (!Array.isArray(manifest.item)) {
+            manifest.item = [manifest.item];
+        }
+        for (i = 0, len = manifest.item.length; i < len; i++) {
+            if (manifest.item[i]['@']) {
+                element = manifest.item[i]['@'];
+
+                if (element.href && (element.href = paths.resolveHref(this.rootFile, element.href)) === null) {
+                    this._diagnose("error", "MANIFEST_HREF_INVALID", "Manifest item \"" + element.id +
+                        "\" points outside of the archive, skipped", this.rootFile);
+                    continue;
+                }
+                element.propertyList = String(element.properties || "").trim().split(/\s+/).filter(Boolean);
+
+                if (this.options.lenient && !this._checkManifestItem(element)) {
+                    continue;
+                }
+
+                // obfuscated fonts can be read, other encrypted files can't
+                encryption = element.href && this.encryption[this._findZipName(element.href) || element.href];
+                if (encryption && encryption.type == "encrypted") {
+                    element.encrypted = true;
+                }
+
+                if (this.manifest[element.id]) {
+                    this._diagnose("error", "MANIFEST_DUPLICATE_ID", "Duplicate manifest id \"" + element.id + "\"",
+                        this.rootFile);
+                }
+
+                this.manifest[manifest.item[i]['@'].id] = element;
+
+                if (!this.navFile && element.propertyList.indexOf("nav") >= 0) {
+                    this.navFile = element;
+                }
+
+            }
+        }
+    }
+
+    Object.keys(this.manifest).forEach(function (id) {
+        this.manifest[id].fallbacks = this._getFallbacks(this.manifest[id]);
+    }, this);
+};
+
+/**
+ *  EPub#_getFallbacks(element) -> Array
+ *  - element (Object): manifest item
+ *
+ *  Follows the "fallback" attributes from a manifest item and returns the
+ *  ids of the fallback chain in order. Stops on missing ids and loops
+ **/
+EPub.prototype._getFallbacks = function (element) {
+    var chain = [], seen = [element.id], id = element.fallback;
+
+    while (id && this.manifest[id] && seen.indexOf(id) < 0) {
+        chain.push(id);
+        seen.push(id);
+        id = this.manifest[id].fallback;
+    }
+    return chain;
+};
+
+/**
+ *  EPub#_checkManifestItem(element) -> Boolean
+ *  - element (Object): manifest item
+ *
+ *  Lenient mode check for a manifest item. Fixes the case of an href that
+ *  differs from the archive path. Returns false for items without an id
+ *  or href and for files that are missing from the archive
+ **/
+EPub.prototype._checkManifestItem = function (element) {
+    var name;
+
+    if (!element.id || !element.href) {
+        this._warn("MANIFEST_ITEM_INVALID", "Manifest item without id or href skipped", this.rootFile);
+        return false;
+    }
+    if (paths.isRemote(element.href) || this.zip.names.indexOf(element.href) >= 0) {
+        return true;
+    }
+
+    if ((name = this._findZipName(element.href))) {
+        this._warn("MANIFEST_HREF_CASE", "Manifest item \"" + element.id + "\" found as \"" + name + "\"",
+            element.href);
+        element.href = name;
+        return true;
+    }
+
+    this._warn("MANIFEST_FILE_MISSING", "Manifest item \"" + element.id + "\" not found from archive, skipped",
+        element.href);
+    return false;
+};
+
+/**
+ *  EPub#_parseSpine() -> undefined
+ *
+ *  Parses "spine" block (all html elements that are shown to the reader)
+ **/
+EPub.prototype._parseSpine = function (spine) {
+    var i, len, element;
+
+    if (spine['@'] && spine['@'].toc) {
+        this.spine.toc = this.manifest[spine['@'].toc] || false;
+    }
+    if (spine['@'] && spine['@']['page-progression-direction']) {
+        this.spine.pageProgressionDirection = String(spine['@']['page-progression-direction']).trim().toLowerCase();
+    }
+
+    if (spine.itemref) {
+        if(!Array.isArray(spine.itemref)){
+            spine.itemref = [spine.itemref];
+        }
+        for (i = 0, len = spine.itemref.length; i < len; i++) {
+            if (spine.itemref[i]['@']) {
+                if (element = this.manifest[spine.itemref[i]['@'].idref]) {
+                    this._parseItemref(element, spine.itemref[i]['@']);
+                    this.spine.contents.push(element);
+                } else if (this.options.lenient) {
+                    this._warn("SPINE_IDREF_MISSING", "Spine item \"" + spine.itemref[i]['@'].idref +
+                        "\" is not in the manifest, skipped", this.rootFile);
+                } else {
+                    this._diagnose("error", "SPINE_IDREF_MISSING", "Spine item \"" + spine.itemref[i]['@'].idref +
+                        "\" is not in the manifest", this.rootFile);
+                }
+            }
+        }
+    }
+    this.flow = this.spine.contents;
+};
+
+/**
+ *  EPub#_parseItemref(element, attributes) -> undefined
+ *  - element (Object): manifest item of the spine item
+ *  - attributes (Object): attributes of the <itemref> element
+ *
+ *  Adds the spine attributes to a manifest item: "linear" (false for
+ *  linear="no"), "spineProperties" as a list and "pageSpread" ("left",
+ *  "right", "center" or "") from the page-spread properties
+ **/
+EPub.prototype._parseItemref = function (element, attributes) {
+    var spread = "";
+
+    element.linear = String(attributes.linear || "").trim().toLowerCase() != "no";
+    element.spineProperties = String(attributes.properties || "").trim().split(/\s+/).filter(Boolean);
+
+    element.spineProperties.forEach(function (property) {
+        var match = property.match(/^(?:rendition:)?page-spread-(left|right|center)$/);
+        if (match) {
+            spread = match[1];
+        }
+    });
+    element.pageSpread = spread;
+};
+
+/**
+ *  EPub#_parseGuide(guide) -> undefined
+ *  - guide (Object): guide section of the package document
+ *
+ *  Parses the EPUB 2 guide references into "guide" as {type, title, href}
+ *  objects, "id" is the manifest id of the referenced file
+ **/
+EPub.prototype._parseGuide = function (guide) {
+    var references = guide.reference || [];
+
+    if (!Array.isArray(references)) {
+        references = [references];
+    }
+
+    this.guide = references.filter(function (reference) {
+        return reference['@'] && reference['@'].href && paths.resolveHref(this.rootFile, reference['@'].href) !== null;
+    }, this).map(function (reference) {
+        var href = paths.resolveHref(this.rootFile, reference['@'].href),
+            item = this._findManifestItem(href);
+
+        return {
+            type: String(reference['@'].type || "").trim(),
+            title: reference['@'].title || "",
+            href: href,
+            id: item ? item.id : ""
+        };
+    }, this);
+};
+
+/**
+ *  EPub#_findManifestItem(href) -> Object | null
+ *  - href (String): archive path, a fragment is ignored
+ *
+ *  Finds the manifest item for an archive path
+ **/
+EPub.prototype._findManifestItem = function (href) {
+    var keys = Object.keys(this.manifest), i;
+
+    if (!href) {
+        return null;
+    }
+
+    href = String(href).split("#")[0];
+    for (i = 0; i < keys.length; i++) {
+        if (this.manifest[keys[i]].href == href) {
+            return this.manifest[keys[i]];
+        }
+    }
+    return null;
+};
+
+/**
+ *  EPub#_findCover(callback) -> undefined
+ *  - callback (Function): called when done
+ *
+ *  Finds the cover image and sets it as "cover" (a manifest item). Tries
+ *  in order the manifest item with the "cover-image" property (EPUB 3),
+ *  <meta name="cover"> (EPUB 2), the "cover" guide reference, which is
+ *  either the image itself or a page with a single image, and finally
+ *  the single image of the first page in the spine
+ **/
+EPub.prototype._findCover = function (callback) {
+    var keys = Object.keys(this.manifest), pages = [], i, item, reference;
+
+    for (i = 0; i < keys.length && !this.cover; i++) {
+        item = this.manifest[keys[i]];
+        if (this._isImage(item) && item.propertyList.indexOf("cover-image") >= 0) {
+            this.cover = item;
+        }
+    }
+
+    // the content should be an id but some books use the href
+    if (!this.cover && this.metadata.cover) {
+        item = this.manifest[this.metadata.cover] ||
+            this._findManifestItem(paths.resolveHref(this.rootFile, this.metadata.cover));
+        if (this._isImage(item)) {
+            this.cover = item;
+        }
+    }
+
+    if (!this.cover) {
+        reference = this.guide.filter(function (reference) {
+            return reference.type.toLowerCase() == "cover";
+        })[0];
+        item = reference && this._findManifestItem(reference.href);
+        if (this._isImage(item)) {
+            this.cover = item;
+        } else if (item) {
+            pages.push(item);
+        }
+        if (this.spine.contents.length && pages.indexOf(this.spine.contents[0]) < 0) {
+            pages.push(this.spine.contents[0]);
+        }
+    }
+
+    var next = (function () {
+        if (this.cover || !pages.length) {
+            callback();
+            return;
+        }
+        this._findPageImage(pages.shift(), (function (image) {
+            this.cover = image;
+            next();
+        }).bind(this));
+    }).bind(this);
+
+    next();
+};
+
+/**
+ *  EPub#_isImage(item) -> Boolean
+ *  - item (Object): manifest item or null
+ *
+ *  Checks if a manifest item is an image
+ **/
+EPub.prototype._isImage = function (item) {
+    return !!item && (item['media-type'] || "").toLowerCase().trim().substr(0, 6) == "image/";
+};
+
+/**
+ *  EPub#_findPageImage(page, callback) -> undefined
+ *  - page (Object): manifest item of a chapter
+ *  - callback (Function): gets the manifest item of the image or null
+ *
+ *  Finds the image of a page that has exactly one image (<img> or SVG
+ *  <image>), like cover pages do
+ **/
+EPub.prototype._findPageImage = function (page, callback) {
+    var type = (page['media-type'] || "").toLowerCase().trim();
+
+    if (type != "application/xhtml+xml" && type != "image/svg+xml") {
+        process.nextTick(callback.bind(null, null));
+        return;
+    }
+
+    this._readZipFile(page.href, (function (err, data) {
+        if (err) {
+            callback(null);
+            return;
+        }
+
+        var images = [], item;
+
+        (function walk(node) {
+            node.children.forEach(function (child) {
+                if (child.type != "element") {
+                    return;
+                }
+                var name = child.name.toLowerCase().split(":").pop();
+                if (name == "img" && child.attributes.src) {
+                    images.push(child.attributes.src);
+                } else if (name == "image" && (child.attributes["xlink:href"] || child.attributes.href)) {
+                    images.push(child.attributes["xlink:href"] || child.attributes.href);
+                }
+                walk(child);
+            });
+        })(dom.parse(this._decode(data)));
+
+        item = images.length == 1 && this._findManifestItem(paths.resolveHref(page.href, images[0]));
+        callback(this._isImage(item) ? item : null);
+    }).bind(this));
+};
+
+/**
+ *  EPub#_parseTOC() -> undefined
+ *
+ *  Parses ncx file for table of contents (title, html file)
+ **/
+EPub.prototype._parseTOC = function () {
+    var i, len, id_list = {}, keys;
+
+    keys = Object.keys(this.manifest);
+    for (i = 0, len = keys.length; i < len; i++) {
+        id_list[this.manifest[keys[i]].href] = keys[i];
+    }
+
+    this._readEntry("readFile", this.spine.toc.href, (function (err, data) {
+        if (err) {
+            this._fail("ARCHIVE_READ_FAILED", "Reading archive failed", this.spine.toc.href);
+            return;
+        }
+        var xml = this._decode(data),
+            xmlparser = new xml2js.Parser(xml2jsOptions),
+            failed = false;
+
+        xmlparser.on("end", (function (result) {
+            if (failed) {
+                return;
+            }
+
+            if (result.navMap && result.navMap.navPoint) {
+                this.toc = this._walkNavMap(result.navMap.navPoint, this.spine.toc.href, id_list);
+            }
+
+            this._end();
+        }).bind(this));
+
+        xmlparser.on("error", (function (err) {
+            failed = true;
+            if (this._fail("TOC_INVALID", "Parsing container XML failed", this.spine.toc.href, true)) {
+                this._end();
+            }
+            return;
+        }).bind(this));
+
+        xmlparser.parseString(xml);
+
+    }).bind(this));
+};
+
+/**
+ *  EPub#_walkNavMap(branch, base, id_list,[, level]) -> Array
+ *  - branch (Array | Object): NCX NavPoint object
+ *  - base (String): archive path of the NCX file
+ *  - id_list (Object): map of file paths and id values
+ *  - level (Number): deepness
+ *
+ *  Walks the NavMap object through all levels and finds elements
+ *  for TOC
+ **/
+EPub.prototype._walkNavMap = function (branch, base, id_list, level) {
+    level = level || 0;
+
+    // don't go too far
+    if (level > 7) {
+        return [];
+    }
+
+    var output = [];
+
+    if (!Array.isArray(branch)) {
+        branch = [branch];
+    }
+
+    for (var i = 0; i < branch.length; i++) {
+        if (branch[i].navLabel) {
+
+            var title = '';
+            if (branch[i].navLabel && typeof branch[i].navLabel.text == 'string') {
+                title = branch[i].navLabel.text.trim();
+            }
+            var order = Number(branch[i]["@"] && branch[i]["@"].playOrder || 0);
+            if (isNaN(order)) {
+                order = 0;
+            }
+            var href = '';
+            if (branch[i].content && branch[i].content["@"] && typeof branch[i].content["@"].src == 'string') {
+                href = branch[i].content["@"].src.trim();
+            }
+
+            var element = {
+                level: level,
+                order: order,
+                title: title
+            };
+
+            // links outside of the archive are left out
+            href = href && paths.resolveHref(base, href);
+            if (href) {
+                element.href = href;
+
+                if (id_list[element.href]) {
+                    // link existing object
+                    element = this.manifest[id_list[element.href]];
+                    element.title = title;
+                    element.order = order;
+                    element.level = level;
+                } else {
+                    // use new one
+                    element.href = href;
+                    element.id =  (branch[i]["@"] && branch[i]["@"].id || "").trim();
+                }
+
+                output.push(element);
+            }
+        }
+        if (branch[i].navPoint) {
+            output = output.concat(this._walkNavMap(branch[i].navPoint, base, id_list, level + 1));
+        }
+    }
+    return output;
+};
+
+/**
+ *  EPub#_parseNav() -> undefined
+ *
+ *  Parses the EPUB 3 navigation document for table of contents, landmarks
+ *  and page list. The navigation document wins over the NCX file, which is
+ *  only used when the navigation document has no "toc" nav or can't be parsed
+ **/
+EPub.prototype._parseNav = function () {
+    var i, len, base = this.navFile.href, id_list = {}, keys;
+
+    keys = Object.keys(this.manifest);
+    for (i = 0, len = keys.length; i < len; i++) {
+        id_list[this.manifest[keys[i]].href] = keys[i];
+    }
+
+    this._readEntry("readFile", this.navFile.href, (function (err, data) {
+        if (err) {
+            this._fail("ARCHIVE_READ_FAILED", "Reading archive failed", this.navFile.href);
+            return;
+        }
+        var xml = this._decode(data),
+            xmlparser = new xml2js.Parser(xml2jsOptions),
+            failed = false;
+
+        xmlparser.on("end", (function (result) {
+            if (failed) {
+                return;
+            }
+
+            var navs = this._findNavElements(result), type, list;
+            for (i = 0, len = navs.length; i < len; i++) {
+                type = String(navs[i]["@"] && navs[i]["@"]["epub:type"] || "").trim().split(/\s+/);
+                list = Array.isArray(navs[i].ol) ? navs[i].ol[0] : navs[i].ol;
+                if (!list || !list.li) {
+                    continue;
+                }
+
+                if (type.indexOf("toc") >= 0 && !this.toc.length) {
+                    this.toc = this._walkNavList(list.li, base, id_list, 0, {order: 0, link: true});
+                } else if (type.indexOf("landmarks") >= 0 && !this.landmarks.length) {
+                    this.landmarks = this._walkNavList(list.li, base, id_list, 0, {order: 0, link: false});
+                } else if (type.indexOf("page-list") >= 0 && !this.pageList.length) {
+                    this.pageList = this._walkNavList(list.li, base, id_list, 0, {order: 0, link: false});
+                }
+            }
+
+            if (!this.toc.length && this.spine.toc) {
+                this._parseTOC();
+            } else {
+                this._end();
+            }
+        }).bind(this));
+
+        xmlparser.on("error", (function (err) {
+            failed = true;
+            if (this.spine.toc) {
+                this._diagnose("error", "NAV_INVALID", "Parsing navigation document failed", this.navFile.href);
+                this._parseTOC();
+            } else {
+                if (this._fail("NAV_INVALID", "Parsing navigation document failed", this.navFile.href, true)) {
+                    this._end();
+                }
+            }
+        }).bind(this));
+
+        xmlparser.parseString(xml);
+
+    }).bind(this));
+};
+
+/**
+ *  EPub#_findNavElements(branch[, level]) -> Array
+ *  - branch (Object): parsed XHTML element
+ *  - level (Number): deepness
+ *
+ *  Collects all <nav> elements found under the branch
+ **/
+EPub.prototype._findNavElements = function (branch, level) {
+    level = level || 0;
+
+    var output = [];
+
+    if (!branch || typeof branch != "object" || level > 16) {
+        return output;
+    }
+
+    Object.keys(branch).forEach(function (key) {
+        if (key == "@" || key == "#") {
+            return;
+        }
+
+        var children = Array.isArray(branch[key]) ? branch[key] : [branch[key]];
+        if ((key.split(":").pop() || "").toLowerCase() == "nav") {
+            output = output.concat(children.filter(function (child) {
+                return child && typeof child == "object";
+            }));
+        } else {
+            children.forEach(function (child) {
+                output = output.concat(this._findNavElements(child, level + 1));
+            }, this);
+        }
+    }, this);
+
+    return output;
+};
+
+/**
+ *  EPub#_walkNavList(branch, base, id_list, level, state) -> Array
+ *  - branch (Array | Object): navigation document <li> object
+ *  - base (String): archive path of the navigation document
+ *  - id_list (Object): map of file paths and id values
+ *  - level (Number): deepness
+ *  - state (Object): running play order and whether to link manifest items
+ *
+ *  Walks the nested <ol> lists of a navigation document the same way
+ *  _walkNavMap walks an NCX NavMap. Landmark entries also get a "type"
+ **/
+EPub.prototype._walkNavList = function (branch, base, id_list, level, state) {
+    // don't go too far
+    if (level > 7) {
+        return [];
+    }
+
+    var output = [], lists;
+
+    if (!Array.isArray(branch)) {
+        branch = [branch];
+    }
+
+    for (var i = 0; i < branch.length; i++) {
+        if (!branch[i] || typeof branch[i] != "object") {
+            continue;
+        }
+
+        var label = branch[i].a || branch[i].span;
+        if (Array.isArray(label)) {
+            label = label[0];
+        }
+
+        if (label) {
+            var title = this._getNavText(label).replace(/\s+/g, " ").trim();
+            var order = ++state.order;
+            var href = '';
+            if (label["@"] && typeof label["@"].href == 'string') {
+                href = label["@"].href.trim();
+            }
+
+            var element = {
+                level: level,
+                order: order,
+                title: title
+            };
+
+            // links outside of the archive are left out
+            href = href && paths.resolveHref(base, href);
+            if (href) {
+                element.href = href;
+
+                if (state.link && id_list[element.href]) {
+                    // link existing object
+                    element = this.manifest[id_list[element.href]];
+                    element.title = title;
+                    element.order = order;
+                    element.level = level;
+                } else {
+                    // use new one
+                    element.href = href;
+                    element.id = (label["@"].id || "").trim();
+                    if (label["@"]["epub:type"]) {
+                        element.type = String(label["@"]["epub:type"]).trim();
+                    }
+                }
+
+                output.push(element);
+            }
+        }
+        // an entry has one nested <ol>, xml2js gives an array if there are more
+        lists = branch[i].ol || [];
+        if (!Array.isArray(lists)) {
+            lists = [lists];
+        }
+        lists.forEach(function (list) {
+            if (list && list.li) {
+                output = output.concat(this._walkNavList(list.li, base, id_list, level + 1, state));
+            }
+        }, this);
+    }
+    return output;
+};
+
+/**
+ *  EPub#_getNavText(branch) -> String
+ *  - branch (Object | String): parsed XHTML element
+ *
+ *  Returns all text content of an element and its children
+ **/
+EPub.prototype._getNavText = function (branch) {
+    if (typeof branch == "string") {
+        return branch;
+    }
+    if (!branch || typeof branch != "object") {
+        return "";
+    }
+    if (Array.isArray(branch)) {
+        return branch.map(this._getNavText, this).join(" ");
+    }
+
+    return Object.keys(branch).filter(function (key) {
+        return key != "@";
+    }).map(function (key) {
+        return this._getNavText(branch[key]);
+    }, this).join(" ");
+};
+
+/**
+ *  EPub#getChapter(id[, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for a chapter
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Finds a chapter text for an id. Returns the contents of the <body>
+ *  element cleaned up by the sanitizer (see lib/sanitizer.js) with image
+ *  and link URL's replaced by the URL resolver. With the "includeStyles"
+ *  option the chapter's CSS is added in a <style> element at the start.
+ *  Return only chapters with mime type application/xhtml+xml
+ **/
+EPub.prototype.getChapter = function (id, callback) {
+    this.getChapterRaw(id, (function (err, str) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var root = dom.parse(str),
+            body = dom.find(root, "body") || root,
+            chapter = this.manifest[id],
+            references = [],
+            keys = {},
+            collect = this._collectReference.bind(this, chapter, references, keys),
+            nodes, done;
+
+        nodes = sanitize(body, {
+            elements: this.options.allowedElements,
+            attributes: this.options.allowedAttributes
+        });
+        sanitize.rewriteUrls(nodes, collect.bind(null, chapter.href));
+
+        done = (function (err, sheets) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            this._renderStyles(sheets, collect);
+            this._resolveReferences(references, (function (err, urls) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                var fill = this._fillReference.bind(this, references, keys, urls),
+                    html = dom.serialize(sanitize.rewriteUrls(nodes, fill.bind(null, chapter.href))).trim(),
+                    css = this._renderStyles(sheets, fill);
+
+                if (css) {
+                    // CDATA markers keep the CSS valid both in HTML and in XHTML
+                    html = "<style>/*<![CDATA[*/\n" + css.replace(/\]\]>/g, "]]\\>").replace(/<\/style/gi, "<\\/style") +
+                        "\n/*]]>*/</style>\n" + html;
+                }
+                callback(null, html);
+            }).bind(this));
+        }).bind(this);
+
+        if (this.options.includeStyles) {
+            this._collectStyles(root, chapter, done);
+        } else {
+            done(null, []);
+        }
+    }).bind(this));
+};
+
+/**
+ *  EPub#getChapterStyles(id[, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for a chapter
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Returns the CSS of a chapter, the stylesheets linked from it and its
+ *  <style> blocks in document order. url() and @import references are
+ *  replaced by the URL resolver and with the "styleScope" option every
+ *  selector is prefixed with a container selector, imported stylesheets
+ *  are inlined so they get scoped too
+ **/
+EPub.prototype.getChapterStyles = function (id, callback) {
+    this.getChapterRaw(id, (function (err, str) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var references = [], keys = {};
+
+        this._collectStyles(dom.parse(str), this.manifest[id], (function (err, sheets) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            this._renderStyles(sheets, this._collectReference.bind(this, this.manifest[id], references, keys));
+            this._resolveReferences(references, (function (err, urls) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                callback(null, this._renderStyles(sheets, this._fillReference.bind(this, references, keys, urls)));
+            }).bind(this));
+        }).bind(this));
+    }).bind(this));
+};
+
+/**
+ *  EPub#getChapterText(id[, options][, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for a chapter
+ *  - options (Object): "format" ("text" or "markdown") and "footnoteMarkers"
+ *    (set to false to drop footnote reference links)
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Converts a chapter to plain text or Markdown. Callback gets an object
+ *  with the "text" and a list of "offsets" that map every paragraph to
+ *  its "chapter" id and element, see lib/text.js
+ **/
+EPub.prototype.getChapterText = function (id, options, callback) {
+    if (typeof options == "function") {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+
+    this.getChapterRaw(id, (function (err, str) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var root = dom.parse(str),
+            result = extract.toText(dom.find(root, "body") || root, {
+                format: options.format,
+                footnoteMarkers: options.footnoteMarkers,
+                base: this.manifest[id].href
+            });
+
+        result.offsets.forEach(function (offset) {
+            offset.chapter = id;
+        });
+        callback(null, result);
+    }).bind(this));
+};
+
+/**
+ *  EPub#getText([options][, callback]) -> undefined | Promise
+ *  - options (Object): see getChapterText
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Converts the whole book to plain text or Markdown, chapters in the
+ *  order of the flow. Callback gets an object with the "text", the
+ *  "offsets" of every paragraph and the "chapters" as {id, start, end}
+ **/
+EPub.prototype.getText = function (options, callback) {
+    if (typeof options == "function") {
+        callback = options;
+        options = {};
+    }
+
+    var result = {text: "", offsets: [], chapters: []},
+        i = 0;
+
+    var next = (function () {
+        if (i >= this.flow.length) {
+            callback(null, result);
+            return;
+        }
+
+        var id = this.flow[i++].id;
+
+        this.getChapterText(id, options, function (err, chapter) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (chapter.text) {
+                var start = result.text ? result.text.length + 2 : 0;
+
+                result.text += (result.text ? "\n\n" : "") + chapter.text;
+                chapter.offsets.forEach(function (offset) {
+                    offset.start += start;
+                    offset.end += start;
+                    result.offsets.push(offset);
+                });
+                result.chapters.push({id: id, start: start, end: result.text.length});
+            }
+
+            process.nextTick(next);
+        });
+    }).bind(this);
+
+    next();
+};
+
+/**
+ *  EPub#buildSearchIndex([callback]) -> undefined | Promise
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Reads the text of every chapter in the flow into memory, so search()
+ *  doesn't have to read and parse the chapters again. The index is stored
+ *  as "searchIndex" and it's a plain object that can be cached (eg. as
+ *  JSON) and given to search() with the "index" option later
+ **/
+EPub.prototype.buildSearchIndex = function (callback) {
+    var index = {chapters: []};
+
+    this._eachSearchChapter(null, function (chapter, next) {
+        index.chapters.push(chapter);
+        next();
+    }, (function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        this.searchIndex = index;
+        callback(null, index);
+    }).bind(this));
+};
+
+/**
+ *  EPub#search(query[, options][, callback]) -> undefined | Promise
+ *  - query (String): text or regular expression to search for
+ *  - options (Object): search options
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Searches the text of every chapter in the flow. Case and diacritics
+ *  are ignored unless the "caseSensitive" or "diacritics" option is set,
+ *  "wholeWord" matches only whole words, "regex" treats the query as a
+ *  regular expression, "limit" is the maximum number of results and
+ *  "context" the length of the snippet before and after the match.
+ *  Uses the "index" option or the "searchIndex" property if there is one.
+ *
+ *  Callback gets a list of results with the "chapter" id, the "title" of
+ *  the nearest TOC entry, a "snippet" with "before", "match" and "after"
+ *  parts and a "locator" with the "chapter", "start" and "end" of the
+ *  match in the chapter text (see getChapterText), the "path" of the
+ *  paragraph element and its "id"
+ **/
+EPub.prototype.search = function (query, options, callback) {
+    if (typeof options == "function") {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+
+    var results = [],
+        limit = options.limit || Infinity,
+        title = "",
+        regex;
+
+    try {
+        regex = search.compile(query, options);
+    } catch (E) {
+        process.nextTick(function () {
+            callback(E);
+        });
+        return;
+    }
+
+    this._eachSearchChapter(options.index || this.searchIndex, (function (chapter, next) {
+        var href = this.manifest[chapter.id] && this.manifest[chapter.id].href,
+            // TOC entries pointing into the chapter, by their position
+            entries = this.toc.filter(function (entry) {
+                return entry.href.split("#")[0] == href;
+            }).map(function (entry) {
+                var fragment = entry.href.split("#")[1];
+                return {
+                    title: entry.title,
+                    position: fragment && chapter.anchors.hasOwnProperty(fragment) ? chapter.anchors[fragment] : 0
+                };
+            }).sort(function (a, b) {
+                return a.position - b.position;
+            });
+
+        search.find(chapter, regex, options, limit - results.length).forEach(function (match) {
+            var i, nearest = title;
+            for (i = 0; i < entries.length && entries[i].position <= match.start; i++) {
+                nearest = entries[i].title;
+            }
+            results.push({
+                chapter: chapter.id,
+                title: nearest,
+                snippet: match.snippet,
+                locator: {
+                    chapter: chapter.id,
+                    start: match.start,
+                    end: match.end,
+                    path: match.offset ? match.offset.path : [],
+                    id: match.offset ? match.offset.id : ""
+                }
+            });
+        });
+
+        if (entries.length) {
+            // chapters without TOC entries belong to the previous entry
+            title = entries[entries.length - 1].title;
+        }
+
+        if (results.length >= limit) {
+            next(true);
+        } else {
+            next();
+        }
+    }).bind(this), function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, results);
+    });
+};
+
+/**
+ *  EPub#_eachSearchChapter(index, iterator, callback) -> undefined
+ *  - index (Object): search index or null to read the chapters
+ *  - iterator (Function): gets the chapter {id, text, offsets, anchors}
+ *    and a next function, next(true) stops the iteration
+ *  - callback (Function): called when done or on error
+ *
+ *  Goes through the chapter texts of the flow one by one
+ **/
+EPub.prototype._eachSearchChapter = function (index, iterator, callback) {
+    var chapters = index ? index.chapters : this.flow,
+        i = 0;
+
+    var next = (function (stop) {
+        if (stop || i >= chapters.length) {
+            callback(null);
+            return;
+        }
+
+        var chapter = chapters[i++];
+
+        if (index) {
+            iterator(chapter, function (stop) {
+                process.nextTick(next.bind(null, stop));
+            });
+            return;
+        }
+
+        this.getChapterText(chapter.id, function (err, result) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            iterator({id: chapter.id, text: result.text, offsets: result.offsets, anchors: result.anchors}, function (stop) {
+                process.nextTick(next.bind(null, stop));
+            });
+        });
+    }).bind(this);
+
+    next();
+};
+
+/**
+ *  EPub#generateCFI(id, position[, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for a chapter in the spine
+ *  - position (Object): position in the chapter
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Builds an EPUB CFI for a position in a chapter. The position is either
+ *  an element "path" (element indexes from the <body>, like the search
+ *  locators) with an optional "offset" in the text content of the element,
+ *  or a "textOffset" in the plain text from getChapterText. Callback gets
+ *  the "epubcfi(...)" string
+ *
+ *      epub.generateCFI("chapter1", {path: [4], offset: 10}, function (err, str) {
+ *          // "epubcfi(/6/4[chapter1ref]!/4/10[para05]/3:10)"
+ *      });
+ **/
+EPub.prototype.generateCFI = function (id, position, callback) {
+    position = position || {};
+
+    this._getSpineSteps(id, (function (err, steps) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        this.getChapterRaw(id, (function (err, str) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var root = dom.parse(str),
+                body = dom.find(root, "body") || root,
+                path = position.path || [],
+                offset = position.offset,
+                element = body,
+                located, nodes, i;
+
+            if (typeof position.textOffset == "number") {
+                located = extract.locate(body, extract.toText(body), position.textOffset);
+                path = located ? located.path : [];
+                offset = located ? located.offset : null;
+            }
+
+            for (i = 0; i < path.length; i++) {
+                element = cfi.elements(element)[path[i]];
+                if (!element) {
+                    callback(new Error("Element not found"));
+                    return;
+                }
+            }
+
+            if (typeof offset != "number") {
+                callback(null, "epubcfi(" + steps + "!" + cfi.stepsTo(element) + ")");
+                return;
+            }
+
+            // offset is in the text content of the element, find the text node
+            nodes = dom.textNodes(element);
+            for (i = 0; i < nodes.length - 1 && offset >= nodes[i].value.length; i++) {
+                offset -= nodes[i].value.length;
+            }
+            if (!nodes.length) {
+                callback(null, "epubcfi(" + steps + "!" + cfi.stepsTo(element) + "/1:0)");
+                return;
+            }
+
+            callback(null, "epubcfi(" + steps + "!" + cfi.stepsTo(nodes[i].parent) + cfi.textStep(nodes[i]) +
+                ":" + Math.max(0, Math.min(offset, nodes[i].value.length)) + ")");
+        }).bind(this));
+    }).bind(this));
+};
+
+/**
+ *  EPub#resolveCFI(cfi[, callback]) -> undefined | Promise
+ *  - cfi (String): "epubcfi(...)" string
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Finds the position an EPUB CFI points to. Callback gets an object with
+ *  the chapter "id", the element "path" from the <body>, the "offset" in
+ *  the text content of the element (null if the CFI has no character
+ *  offset) and the "elementId" (id attribute of the element). For ranges
+ *  the object is the start and "end" has the end position
+ **/
+EPub.prototype.resolveCFI = function (str, callback) {
+    var parsed, start, end, split;
+
+    try {
+        parsed = cfi.parse(str);
+    } catch (E) {
+        process.nextTick(function () {
+            callback(E);
+        });
+        return;
+    }
+
+    start = parsed.start || parsed;
+    end = parsed.end;
+
+    // steps before the indirection are in the package document
+    split = 0;
+    while (split < start.steps.length && !start.steps[split].indirect) {
+        split++;
+    }
+
+    this._getPackageDocument((function (err, root) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var itemref, id;
+
+        try {
+            itemref = cfi.follow(root, start.steps.slice(0, split));
+        } catch (E) {
+            callback(E);
+            return;
+        }
+
+        id = itemref.element.attributes.idref;
+        if (split >= start.steps.length || itemref.element.name.split(":").pop() != "itemref" || !this.manifest[id]) {
+            callback(new Error("CFI does not point to a spine item"));
+            return;
+        }
+
+        this.getChapterRaw(id, (function (err, str) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var root = dom.parse(str),
+                result;
+
+            try {
+                result = this._resolveCFIPosition(root, start.steps.slice(split), start.offset);
+                result.id = id;
+                if (end) {
+                    result.end = this._resolveCFIPosition(root, end.steps.slice(split), end.offset);
+                }
+            } catch (E) {
+                callback(E);
+                return;
+            }
+
+            callback(null, result);
+        }).bind(this));
+    }).bind(this));
+};
+
+/**
+ *  EPub#_resolveCFIPosition(root, steps, offset) -> Object
+ *  - root (Object): parsed chapter document
+ *  - steps (Array): CFI steps after the indirection
+ *  - offset (Object): CFI offset or null
+ *
+ *  Follows the steps in a chapter and turns the position into an element
+ *  path from the <body> and an offset in the text content of the element
+ **/
+EPub.prototype._resolveCFIPosition = function (root, steps, offset) {
+    var target = cfi.follow(root, steps),
+        element = target.element,
+        body = dom.find(root, "body"),
+        path = [],
+        position = null,
+        chunk = 0,
+        node, i;
+
+    for (node = element; node != body; node = node.parent) {
+        if (!node.parent || node.parent.type == "document") {
+            throw new Error("CFI points outside of the body");
+        }
+        path.unshift(cfi.elements(node.parent).indexOf(node));
+    }
+
+    if (target.text !== null) {
+        // text before the chunk plus the offset inside it
+        position = 0;
+        for (i = 0; i < element.children.length; i++) {
+            node = element.children[i];
+            if (node.type == "element") {
+                if (++chunk > target.text) {
+                    break;
+                }
+                position += dom.textNodes(node).reduce(function (length, text) {
+                    return length + text.value.length;
+                }, 0);
+            } else if (chunk == target.text) {
+                position += Math.min(offset && offset.chars || 0, node.value.length);
+                break;
+            } else {
+                position += node.value.length;
+            }
+        }
+    }
+
+    return {path: path, offset: position, elementId: element.attributes.id || ""};
+};
+
+/**
+ *  EPub#_getSpineSteps(id, callback) -> undefined
+ *  - id (String): Manifest id value for a chapter
+ *  - callback (Function): callback function, gets the CFI steps
+ *
+ *  Builds the CFI steps from the package document to the spine itemref
+ *  of a chapter, eg. "/6/4[chapter1ref]"
+ **/
+EPub.prototype._getSpineSteps = function (id, callback) {
+    this._getPackageDocument((function (err, root) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var pkg = cfi.elements(root)[0],
+            spine = pkg && cfi.elements(pkg).filter(function (element) {
+                return element.name.split(":").pop() == "spine";
+            })[0],
+            itemref = spine && cfi.elements(spine).filter(function (element) {
+                return element.attributes.idref == id;
+            })[0];
+
+        if (!itemref) {
+            callback(new Error("Chapter is not in the spine"));
+            return;
+        }
+
+        callback(null, cfi.stepsTo(itemref));
+    }).bind(this));
+};
+
+/**
+ *  EPub#_getPackageDocument(callback) -> undefined
+ *  - callback (Function): callback function, gets the parsed package document
+ *
+ *  Reads and parses the package document, the result is kept in
+ *  "packageDocument" for the next calls
+ **/
+EPub.prototype._getPackageDocument = function (callback) {
+    if (this.packageDocument) {
+        process.nextTick(callback.bind(null, null, this.packageDocument));
+        return;
+    }
+
+    this._readZipFile(this.rootFile, (function (err, data) {
+        if (err) {
+            callback(new Error("Reading archive failed"));
+            return;
+        }
+        this.packageDocument = dom.parse(this._decode(data));
+        callback(null, this.packageDocument);
+    }).bind(this));
+};
+
+/**
+ *  EPub#_collectStyles(root, chapter, callback) -> undefined
+ *  - root (Object): parsed chapter document
+ *  - chapter (Object): manifest item of the chapter
+ *  - callback (Function): callback function, gets the list of stylesheets
+ *
+ *  Reads the stylesheets linked from a chapter and its <style> blocks as
+ *  {text, base, imports} objects for _renderStyles, "base" is the archive
+ *  path URLs are relative to. With the "styleScope" option the @import
+ *  rules are split off and the imported stylesheets are read into
+ *  "imports" as {item, sheet}. Stylesheets that are missing or not in
+ *  the manifest are skipped
+ **/
+EPub.prototype._collectStyles = function (root, chapter, callback) {
+    var sheets = [], output = [];
+
+    (function walk(node) {
+        node.children.forEach(function (child) {
+            if (child.type != "element") {
+                return;
+            }
+            var name = child.name.toLowerCase().split(":").pop(),
+                rel = (child.attributes.rel || "").toLowerCase().split(/\s+/);
+
+            if (name == "link" && rel.indexOf("stylesheet") >= 0 && rel.indexOf("alternate") < 0) {
+                sheets.push({href: child.attributes.href});
+            } else if (name == "style") {
+                sheets.push({text: child.children.map(function (text) {
+                    return text.value || "";
+                }).join("")});
+            } else {
+                walk(child);
+            }
+        });
+    })(root);
+
+    // chain lists the stylesheets that are being imported to stop import loops
+    var load = (function (text, base, chain, done) {
+        var sheet = {text: text.replace(/^\uFEFF/, ""), base: base, imports: []},
+            split;
+
+        if (!this.options.styleScope) {
+            done(sheet);
+            return;
+        }
+
+        split = css.imports(sheet.text);
+        sheet.text = split.css;
+
+        var nextImport = (function () {
+            var item = split.imports.shift(),
+                reference = item && this._getReference(chapter, item.url, "resource", base);
+
+            if (!item) {
+                done(sheet);
+                return;
+            }
+
+            if (!reference || chain.indexOf(reference.path) >= 0) {
+                nextImport();
+                return;
+            }
+
+            this._readZipFile(reference.path, (function (err, data) {
+                if (err) {
+                    nextImport();
+                    return;
+                }
+                load(this._decode(data), reference.path, chain.concat(reference.path), function (imported) {
+                    sheet.imports.push({item: item, sheet: imported});
+                    nextImport();
+                });
+            }).bind(this));
+        }).bind(this);
+
+        nextImport();
+    }).bind(this);
+
+    var next = (function () {
+        var sheet = sheets.shift(), reference;
+
+        if (!sheet) {
+            callback(null, output);
+            return;
+        }
+
+        if (sheet.text !== undefined) {
+            load(sheet.text, chapter.href, [], function (loaded) {
+                output.push(loaded);
+                next();
+            });
+            return;
+        }
+
+        if (!(reference = this._getReference(chapter, sheet.href, "resource"))) {
+            next();
+            return;
+        }
+
+        this._readZipFile(reference.path, (function (err, data) {
+            if (err) {
+                next();
+                return;
+            }
+            load(this._decode(data), reference.path, [reference.path], function (loaded) {
+                output.push(loaded);
+                next();
+            });
+        }).bind(this));
+    }).bind(this);
+
+    next();
+};
+
+/**
+ *  EPub#_renderStyles(sheets, rewrite) -> String
+ *  - sheets (Array): stylesheets from _collectStyles
+ *  - rewrite (Function): URL rewrite function, gets (base, url, kind)
+ *
+ *  Joins the stylesheets into one string with url() and @import URLs
+ *  passed through rewrite. With the "styleScope" option the selectors
+ *  are scoped and the imported stylesheets are inlined
+ **/
+EPub.prototype._renderStyles = function (sheets, rewrite) {
+    var selector = this.options.styleScope;
+
+    function render(sheet) {
+        var text = css.rewrite(sheet.text, rewrite.bind(null, sheet.base));
+        if (selector) {
+            text = css.scope(text, selector);
+        }
+        return sheet.imports.map(function (imported) {
+            return wrapImport(render(imported.sheet), imported.item);
+        }).concat(text.trim()).join("\n").trim();
+    }
+
+    return sheets.map(render).join("\n");
+};
+
+/**
+ *  EPub#_collectReference(chapter, references, keys, base, url, kind) -> String
+ *  - chapter (Object): manifest item of the chapter
+ *  - references (Array): list to collect resource references into
+ *  - keys (Object): reference key -> index in references
+ *  - base (String): archive path of the file with the URL
+ *  - url (String): URL from the file
+ *  - kind (String): "link" or "resource"
+ *
+ *  Adds the reference to a manifest item to the list, once for every
+ *  URL. The resolvers are async so the URL is returned as it is, it's
+ *  replaced after resolving with _fillReference
+ **/
+EPub.prototype._collectReference = function (chapter, references, keys, base, url, kind) {
+    var key = JSON.stringify([base, url, kind]), reference;
+
+    if (!keys.hasOwnProperty(key) && (reference = this._getReference(chapter, url, kind, base))) {
+        keys[key] = references.length;
+        references.push(reference);
+    }
+    return url;
+};
+
+/**
+ *  EPub#_fillReference(references, keys, urls, base, url, kind) -> String
+ *  - references (Array): references from _collectReference
+ *  - keys (Object): reference key -> index in references
+ *  - urls (Array): resolved URLs
+ *  - base (String): archive path of the file with the URL
+ *  - url (String): URL from the file
+ *  - kind (String): "link" or "resource"
+ *
+ *  Returns the resolved URL of a reference collected by
+ *  _collectReference. Other URLs are returned as they are
+ **/
+EPub.prototype._fillReference = function (references, keys, urls, base, url, kind) {
+    var key = JSON.stringify([base, url, kind]);
+    return keys.hasOwnProperty(key) ? String(urls[keys[key]]) : url;
+};
+
+/**
+ *  EPub#_getReference(chapter, url, kind[, base]) -> Object | null
+ *  - chapter (Object): manifest item of the chapter
+ *  - url (String): URL from the chapter
+ *  - kind (String): "link" or "resource"
+ *  - base (String): archive path the URL is relative to, defaults to the chapter
+ *
+ *  Finds the manifest item an URL points to. Returns a reference object
+ *  for the URL resolver with "item", "path", "fragment", "kind", "url"
+ *  and "chapter" properties. Resources get a more specific kind from
+ *  their media type ("image", "stylesheet", "font", "media"). Remote URLs
+ *  and files that are not in the manifest return null
+ **/
+EPub.prototype._getReference = function (chapter, url, kind, base) {
+    if (!url || paths.isRemote(url)) {
+        return null;
+    }
+
+    var target = paths.resolveHref(base || chapter.href, url),
+        keys = Object.keys(this.manifest),
+        hash, path, item, type, i, len;
+
+    // points outside of the archive
+    if (target === null) {
+        return null;
+    }
+    hash = target.indexOf("#");
+    path = hash >= 0 ? target.substr(0, hash) : target;
+
+    for (i = 0, len = keys.length; i < len; i++) {
+        if (this.manifest[keys[i]].href == path) {
+            item = this.manifest[keys[i]];
+            break;
+        }
+    }
+    if (!item) {
+        return null;
+    }
+
+    if (kind != "link") {
+        type = (item['media-type'] || "").toLowerCase();
+        if (type.match(/^image\//)) {
+            kind = "image";
+        } else if (type == "text/css") {
+            kind = "stylesheet";
+        } else if (type.match(/^(font\/|application\/(x-font|font-|vnd\.ms-opentype))/)) {
+            kind = "font";
+        } else if (type.match(/^(audio|video)\//)) {
+            kind = "media";
+        }
+    }
+
+    return {
+        item: item,
+        path: path,
+        fragment: hash >= 0 ? target.substr(hash) : "",
+        kind: kind,
+        url: url,
+        chapter: chapter
+    };
+};
+
+/**
+ *  EPub#_resolveReferences(references, callback) -> undefined
+ *  - references (Array): reference objects from _getReference
+ *  - callback (Function): callback function, gets the list of URLs
+ *
+ *  Runs the URL resolver (the "urlResolver" option) for every reference
+ *  one after another
+ **/
+EPub.prototype._resolveReferences = function (references, callback) {
+    var resolver = this.options.urlResolver || "prefix",
+        urls = [],
+        i = 0;
+
+    if (typeof resolver != "function") {
+        if (!EPub.URL_RESOLVERS.hasOwnProperty(resolver)) {
+            callback(new Error("Unknown URL resolver"));
+            return;
+        }
+        resolver = EPub.URL_RESOLVERS[resolver];
+    }
+
+    var next = (function () {
+        if (i >= references.length) {
+            callback(null, urls);
+            return;
+        }
+        resolver.call(this, references[i], function (err, url) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            urls[i++] = url;
+            process.nextTick(next);
+        });
+    }).bind(this);
+
+    next();
+};
+
+/**
+ *  EPub#getChapterRaw(id[, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for a chapter
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Returns the raw chapter text for an id.
+ **/
+EPub.prototype.getChapterRaw = function (id, callback) {
+    if (this.manifest[id]) {
+
+        if (!(this.manifest[id]['media-type'] == "application/xhtml+xml" || this.manifest[id]['media-type'] == "image/svg+xml")) {
+            return callback(new Error("Invalid mime type for chapter"));
+        }
+
+        this._readZipFile(this.manifest[id].href, (function (err, data) {
+            if (err) {
+                callback(readError(err));
+                return;
+            }
+
+            var str = this._decode(data);
+
+            callback(null, str);
+
+        }).bind(this));
+    } else {
+        callback(new Error("File not found"));
+    }
+};
+
+
+/**
+ *  EPub#getImage(id[, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for an image
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Finds an image for an id. Returns the image as Buffer. Callback gets
+ *  an error object, image buffer and image content-type.
+ *  Return only images with mime type image
+ **/
+EPub.prototype.getImage = function (id, callback) {
+    if (this.manifest[id]) {
+
+        if ((this.manifest[id]['media-type'] || "").toLowerCase().trim().substr(0, 6)  !=  "image/") {
+            return callback(new Error("Invalid mime type for image"));
+        }
+
+        this.getFile(id, callback);
+    } else {
+        callback(new Error("File not found"));
+    }
+};
+
+
+/**
+ *  EPub#getCover([options][, callback]) -> undefined | Promise
+ *  - options (Object): "thumbnail" with the maximum "width" and "height"
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Returns the cover image (see "cover") as Buffer. Callback gets an
+ *  error object, image buffer and image content-type. With the "thumbnail"
+ *  option the image is scaled down to fit the size, this needs the
+ *  optional "jimp" module and Node.js 18
+ **/
+EPub.prototype.getCover = function (options, callback) {
+    if (typeof options == "function") {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+
+    if (!this.cover) {
+        callback(new Error("Cover not found"));
+        return;
+    }
+
+    this.getImage(this.cover.id, function (err, data, mimeType) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (!options.thumbnail) {
+            callback(null, data, mimeType);
+            return;
+        }
+        thumbnail(data, mimeType, options.thumbnail, callback);
+    });
+};
+
+/**
+ *  EPub#getMediaOverlay(id[, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for a chapter or a media overlay
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Parses the media overlay (SMIL document) of a chapter, the manifest
+ *  item of its "media-overlay" attribute. Callback gets the list of
+ *  {id, textRef, audioSrc, clipBegin, clipEnd} pars in playback order,
+ *  see lib/smil.js
+ **/
+EPub.prototype.getMediaOverlay = function (id, callback) {
+    var item = this.manifest[id];
+
+    if (item && (item['media-type'] || "").toLowerCase().trim() != "application/smil+xml") {
+        item = this.manifest[item['media-overlay']];
+    }
+    if (!item) {
+        callback(new Error("Media overlay not found"));
+        return;
+    }
+
+    this._readZipFile(item.href, (function (err, data) {
+        if (err) {
+            callback(readError(err));
+            return;
+        }
+        callback(null, smil.parse(dom.parse(this._decode(data)), item.href));
+    }).bind(this));
+};
+
+/**
+ *  EPub#getAudio(id[, range][, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for an audio file
+ *  - range (Object): byte range with "start" and "end" (inclusive)
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Returns an audio file or a byte range of it as Buffer, eg. for HTTP
+ *  range requests. Callback gets an error object, the data, the
+ *  content-type and the full size of the file. With the "lazy" option
+ *  only the range is read from the archive if the file is stored without
+ *  compression (as audio usually is), compressed files are read as a whole
+ **/
+EPub.prototype.getAudio = function (id, range, callback) {
+    if (typeof range == "function") {
+        callback = range;
+        range = null;
+    }
+
+    var item = this.manifest[id],
+        start = range ? Math.max(0, Number(range.start) || 0) : 0,
+        end = range && typeof range.end == "number" ? range.end : Infinity,
+        name;
+
+    if (!item) {
+        callback(new Error("File not found"));
+        return;
+    }
+    if ((item['media-type'] || "").toLowerCase().trim().substr(0, 6) != "audio/") {
+        callback(new Error("Invalid mime type for audio"));
+        return;
+    }
+
+    var done = function (err, data, size) {
+        if (err) {
+            callback(readError(err));
+            return;
+        }
+        if (range && start > Math.min(end, size - 1)) {
+            callback(new Error("Invalid range"));
+            return;
+        }
+        callback(null, data, item['media-type'], size);
+    };
+
+    name = this._findZipName(item.href) || item.href;
+
+    if (range && this.zip && typeof this.zip.readRange == "function" &&
+            !(this.modifiedFiles && item.href in this.modifiedFiles) && !(this.encryption && this.encryption[name])) {
+        this._readEntry("readRange", name, [start, end], done);
+        return;
+    }
+
+    this._readZipFile(item.href, function (err, data) {
+        done(err, data && data.slice(start, end + 1), data && data.length);
+    });
+};
+
+/**
+ *  EPub#getFile(id[, callback]) -> undefined | Promise
+ *  - id (String): Manifest id value for a file
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Finds a file for an id. Returns the file as Buffer. Callback gets
+ *  an error object, file contents buffer and file content-type.
+ **/
+EPub.prototype.getFile = function (id, callback) {
+    if (this.manifest[id]) {
+
+        this._readZipFile(this.manifest[id].href, (function (err, data) {
+            if (err) {
+                callback(readError(err));
+                return;
+            }
+
+            callback(null, data, this.manifest[id]['media-type']);
+        }).bind(this));
+    } else {
+        callback(new Error("File not found"));
+    }
+};
+
+
+/**
+ *  EPub#readFile(filename[, options][, callback]) -> undefined | Promise
+ *  - filename (String): path of the file in the archive
+ *  - options (String): encoding, the contents are returned as a string if set
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Reads any file from the archive by its path.
+ **/
+EPub.prototype.readFile = function(filename, options, callback_) {
+    var callback = arguments[arguments.length - 1];
+    
+    if (util.isFunction(options) || !options) {
+        this._readZipFile(filename, callback);
+    } else if (util.isString(options)) {
+        // options is an encoding
+        this._readZipFile(filename, (function(err, data) {
+            if (err) {
+                callback(readError(err));
+                return;
+            }
+            // text is decoded from the encoding of the file, other encodings are Buffer encodings
+            callback(null, options.match(/^utf-?8$/i) ? this._decode(data) : data.toString(options));
+        }).bind(this));
+    } else {
+        throw new TypeError('Bad arguments');
+    }
+};
+
+/**
+ *  EPub#_readZipFile(name, callback) -> undefined
+ *  - name (String): path of the file in the archive
+ *  - callback (Function): callback function
+ *
+ *  Reads a file from the archive. Files changed with addItem or
+ *  replaceItem are returned with their new contents. Obfuscated fonts
+ *  are de-obfuscated, encrypted files return an error with the code
+ *  "RESOURCE_ENCRYPTED"
+ **/
+EPub.prototype._readZipFile = function (name, callback) {
+    if (this.modifiedFiles && name in this.modifiedFiles) {
+        var data = this.modifiedFiles[name];
+        process.nextTick(function () {
+            if (data === null) {
+                callback(new Error("File not found"));
+            } else {
+                callback(null, Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf-8"));
+            }
+        });
+        return;
+    }
+
+    name = this.zip && this._findZipName(name) || name;
+
+    var encryption = this.encryption && this.encryption[name],
+        key = encryption && encryption.type != "encrypted" && this._getObfuscationKey(encryption.type);
+
+    if (encryption && !key) {
+        process.nextTick(function () {
+            var err = new Error("File is encrypted");
+            err.code = "RESOURCE_ENCRYPTED";
+            callback(err);
+        });
+        return;
+    }
+
+    this._readEntry("readFile", name, function (err, data) {
+        if (err || !key) {
+            callback(err, data);
+            return;
+        }
+        callback(null, obfuscation.deobfuscate(data, encryption.algorithm, key));
+    });
+};
+
+/**
+ *  EPub#_readEntry(method, name[, args], callback) -> undefined
+ *  - method (String): "readFile", "readRaw" or "readRange" method of the zip backend
+ *  - name (String): path of the file in the archive
+ *  - args (Array): more arguments for the method after the name
+ *  - callback (Function): callback function
+ *
+ *  Reads a file with the zip backend. At most "concurrency" reads (4 by
+ *  default) run at the same time, the others wait in a queue. Reads fail
+ *  with the code "EPUB_CLOSED" after close(). Reads of the parser are
+ *  dropped when the parse is stopped by close() or a new parse(), so the
+ *  parser never goes on with a closed archive
+ **/
+EPub.prototype._readEntry = function (method, name, args, callback) {
+    var generation = this.parsed ? null : this.generation;
+
+    if (typeof args == "function") {
+        callback = args;
+        args = [];
+    }
+
+    if (this.closed) {
+        if (generation === null) {
+            process.nextTick((function () {
+                callback(this._stateError());
+            }).bind(this));
+        }
+        return;
+    }
+
+    this.readQueue.push({method: method, name: name, args: args, callback: callback, generation: generation});
+    this._nextRead();
+};
+
+/**
+ *  EPub#_nextRead() -> undefined
+ *
+ *  Starts reads from the queue until the "concurrency" limit is reached
+ **/
+EPub.prototype._nextRead = function () {
+    var limit = this.options.concurrency || 4,
+        job;
+
+    while (this.activeReads < limit && this.readQueue.length) {
+        job = this.readQueue.shift();
+        this.activeReads++;
+        this.zip[job.method].apply(this.zip, [job.name].concat(job.args, this._readDone.bind(this, job)));
+    }
+};
+
+/**
+ *  EPub#_readDone(job, err, data) -> undefined
+ *  - job (Object): the finished read
+ *  - err (Error): error object
+ *  - data (Buffer | Object): contents of the file
+ *
+ *  Finishes a read and starts the next one. Emits "close" when the last
+ *  running read of a closed book is done. More results of the zip
+ *  backend are passed on to the callback
+ **/
+EPub.prototype._readDone = function (job, err, data) {
+    this.activeReads--;
+
+    if (this.closed) {
+        if (!this.activeReads) {
+            this.emit("close");
+        }
+    } else {
+        this._nextRead();
+    }
+
+    if (job.generation !== null && job.generation != this.generation) {
+        // the parse that started the read was stopped
+        return;
+    }
+    job.callback.apply(null, Array.prototype.slice.call(arguments, 1));
+};
+
+/**
+ *  EPub#_end() -> undefined
+ *
+ *  Emits "end" when parsing is done, unless close() stopped the parse
+ **/
+EPub.prototype._end = function () {
+    if (!this.closed) {
+        this.emit("end");
+    }
+};
+
+/**
+ *  EPub#close([callback]) -> undefined | Promise
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Releases the zip backend, with the in-memory backend the archive is
+ *  freed. Reads waiting in the queue fail with the code "EPUB_CLOSED",
+ *  the ones already running are finished first. The parsed data (metadata,
+ *  manifest etc.) stays, but methods that read the book fail until
+ *  parse() is called again. Closing while the book is being parsed stops
+ *  the parser, it emits "error" with the code "EPUB_CLOSED" if there are
+ *  "error" listeners. Emits "close" and calls the callback when the last
+ *  read is done
+ **/
+EPub.prototype.close = function (callback) {
+    var queue = this.readQueue,
+        zip = this.zip,
+        parsing = this.parsing,
+        idle = !this.activeReads;
+
+    if (this.closed) {
+        process.nextTick(callback);
+        return;
+    }
+
+    this.closed = true;
+    this.parsing = false;
+    this.generation = (this.generation || 0) + 1;
+    this.zip = null;
+    this.readQueue = [];
+    this.packageDocument = null;
+    this.searchIndex = null;
+
+    if (zip && typeof zip.close == "function") {
+        zip.close();
+    }
+
+    this.once("close", function () {
+        callback(null);
+    });
+
+    queue.forEach(function (job) {
+        if (job.generation === null) {
+            process.nextTick((function () {
+                job.callback(this._stateError());
+            }).bind(this));
+        }
+    }, this);
+
+    process.nextTick((function () {
+        if (parsing && this.listenerCount("error")) {
+            this.emit("error", this._stateError());
+        }
+        // otherwise emitted when the last running read is done
+        if (idle) {
+            this.emit("close");
+        }
+    }).bind(this));
+};
+
+/**
+ *  EPub#_stateError() -> Error | null
+ *
+ *  Returns an error with the code "EPUB_CLOSED" after close() and
+ *  "EPUB_NOT_PARSED" before parsing has finished, null if the book can
+ *  be read
+ **/
+EPub.prototype._stateError = function () {
+    var err = null;
+
+    if (this.closed) {
+        err = new Error("EPub is closed");
+        err.code = "EPUB_CLOSED";
+    } else if (!this.parsed) {
+        err = new Error("EPub is not parsed, wait for the \"end\" event");
+        err.code = "EPUB_NOT_PARSED";
+    }
+    return err;
+};
+
+
+/**
+ *  EPub#setMetadata(fields) -> EPub
+ *  - fields (Object): metadata fields to change
+ *
+ *  Changes metadata fields. The flat fields (title, creator, creatorFileAs,
+ *  language, subject, ISBN, UUID and series) update the first entry of
+ *  their metadata list, the lists (titles, creators etc.) can be replaced
+ *  as a whole. Other fields are set as they are
+ **/
+EPub.prototype.setMetadata = function (fields) {
+    var metadata = this.metadata;
+
+    function setIdentifier(test, value, scheme) {
+        var i;
+        for (i = 0; i < metadata.identifiers.length; i++) {
+            if (test(metadata.identifiers[i])) {
+                metadata.identifiers[i].value = value;
+                return;
+            }
+        }
+        metadata.identifiers.push({value: value, scheme: scheme, id: ""});
+    }
+
+    Object.keys(fields).forEach(function (key) {
+        var value = fields[key], i;
+
+        switch (key) {
+        case "title":
+            var main = metadata.titles[0];
+            for (i = 0; i < metadata.titles.length; i++) {
+                if (metadata.titles[i].type == "main") {
+                    main = metadata.titles[i];
+                    break;
+                }
+            }
+            if (main) {
+                main.value = value;
+            } else {
+                metadata.titles.push({value: value, type: "main", fileAs: "", displaySeq: 0, lang: "", id: ""});
+            }
+            break;
+        case "creator":
+            if (metadata.creators.length) {
+                metadata.creators[0].name = value;
+                metadata.creators[0].fileAs = value;
+            } else {
+                metadata.creators.push({name: value, role: "aut", roleScheme: "marc:relators",
+                    fileAs: value, displaySeq: 0, lang: "", id: ""});
+            }
+            break;
+        case "creatorFileAs":
+            // applied after "creator" which resets it
+            break;
+        case "language":
+        case "subject":
+            metadata[key + "s"][0] = value;
+            break;
+        case "ISBN":
+            setIdentifier(function (identifier) {
+                return identifier.scheme.toUpperCase() == "ISBN" || identifier.value.match(/^urn:isbn:/i);
+            }, value, "ISBN");
+            break;
+        case "UUID":
+            setIdentifier(function (identifier) {
+                return identifier.id.match(/uuid/i) || identifier.value.match(/^urn:uuid:/i);
+            }, "urn:uuid:" + String(value).toLowerCase(), "");
+            break;
+        case "series":
+            metadata.collections = metadata.collections.filter(function (collection) {
+                return collection.type && collection.type != "series";
+            });
+            if (value) {
+                metadata.collections.unshift({name: value.name, type: "series", position: value.position || 0, id: ""});
+            }
+            delete metadata["calibre:series"];
+            delete metadata["calibre:series_index"];
+            break;
+        default:
+            metadata[key] = value;
+        }
+    });
+
+    if ("creatorFileAs" in fields && metadata.creators.length) {
+        metadata.creators[0].fileAs = fields.creatorFileAs;
+    }
+
+    this._updateMetadataAliases();
+    return this;
+};
+
+/**
+ *  EPub#addItem(item) -> EPub
+ *  - item (Object): "id", "href", "data" and optional "mediaType", "properties",
+ *    "fallback"
+ *
+ *  Adds a file to the manifest. "href" is the path of the file in the
+ *  archive, like the href values of the manifest. Use setSpine to add
+ *  a new chapter to the reading order
+ **/
+EPub.prototype.addItem = function (item) {
+    if (!item.id || !item.href) {
+        throw new Error("Missing id or href for manifest item");
+    }
+    if (this.manifest[item.id]) {
+        throw new Error("Duplicate manifest id");
+    }
+
+    var element = {
+        id: item.id,
+        href: item.href,
+        "media-type": item.mediaType || EPubWriter.MIME_TYPES[pathlib.extname(item.href).substr(1).toLowerCase()] ||
+            "application/octet-stream"
+    };
+    if (item.properties) {
+        element.properties = item.properties;
+    }
+    element.propertyList = String(item.properties || "").trim().split(/\s+/).filter(Boolean);
+    if (item.fallback) {
+        element.fallback = item.fallback;
+    }
+    element.fallbacks = this._getFallbacks(element);
+
+    this.manifest[item.id] = element;
+    this.modifiedFiles[item.href] = item.data || "";
+    return this;
+};
+
+/**
+ *  EPub#replaceItem(id, data[, mediaType]) -> EPub
+ *  - id (String): Manifest id value for a file
+ *  - data (Buffer | String): new contents of the file
+ *  - mediaType (String): new media type
+ *
+ *  Replaces the contents of a manifest item (a chapter, the cover image etc.)
+ **/
+EPub.prototype.replaceItem = function (id, data, mediaType) {
+    if (!this.manifest[id]) {
+        throw new Error("File not found");
+    }
+
+    this.modifiedFiles[this.manifest[id].href] = data;
+    if (mediaType) {
+        this.manifest[id]['media-type'] = mediaType;
+    }
+    return this;
+};
+
+/**
+ *  EPub#removeItem(id) -> EPub
+ *  - id (String): Manifest id value for a file
+ *
+ *  Removes a file from the manifest, the spine and the TOC
+ **/
+EPub.prototype.removeItem = function (id) {
+    var element = this.manifest[id];
+    if (!element) {
+        throw new Error("File not found");
+    }
+
+    function keep(entry) {
+        return entry !== element && (entry.href || "").split("#")[0] != element.href;
+    }
+
+    delete this.manifest[id];
+    this.spine.contents = this.flow = this.spine.contents.filter(keep);
+    this.toc = this.toc.filter(keep);
+    this.landmarks = this.landmarks.filter(keep);
+    this.pageList = this.pageList.filter(keep);
+    this.modifiedFiles[element.href] = null;
+
+    if (this.metadata.cover == id) {
+        delete this.metadata.cover;
+    }
+    if (this.cover === element) {
+        this.cover = null;
+    }
+    return this;
+};
+
+/**
+ *  EPub#setSpine(ids) -> EPub
+ *  - ids (Array): Manifest id values in reading order
+ *
+ *  Replaces the spine (and flow) with the listed manifest items
+ **/
+EPub.prototype.setSpine = function (ids) {
+    this.spine.contents = this.flow = ids.map(function (id) {
+        if (!this.manifest[id]) {
+            throw new Error("File not found");
+        }
+        return this.manifest[id];
+    }, this);
+    return this;
+};
+
+/**
+ *  EPub#setTOC(entries) -> EPub
+ *  - entries (Array): {level, title, href} entries
+ *
+ *  Replaces the table of contents. Entries have the same format as the
+ *  entries of epub.toc, "href" is the path of the file in the archive
+ **/
+EPub.prototype.setTOC = function (entries) {
+    this.toc = entries.map(function (entry, i) {
+        return {
+            level: entry.level || 0,
+            order: i + 1,
+            title: entry.title || "",
+            href: entry.href || "",
+            id: entry.id || ""
+        };
+    });
+    return this;
+};
+
+/**
+ *  EPub#save(target[, callback]) -> undefined | Promise
+ *  - target (String | Stream): file path or a writable stream
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Saves the book as a new archive with the version of the original
+ *  package document. The package document, the NCX file and the
+ *  navigation document are generated from metadata, manifest, spine and
+ *  toc (a missing NCX file, and for EPUB 3 a missing navigation document,
+ *  is added). Obfuscated fonts are obfuscated again when the identifiers
+ *  change, every other untouched file is copied from the original archive
+ *  as it is
+ **/
+EPub.prototype.save = function (target, callback) {
+    if (typeof target == "function" || !ZipWriter.isTarget(target)) {
+        callback = typeof target == "function" ? target : callback;
+        process.nextTick(function () {
+            callback(new Error("Target must be a file path or a writable stream"));
+        });
+        return;
+    }
+
+    var base = pathlib.dirname(this.rootFile),
+        writer = new EPubWriter(Object.assign({}, this.metadata, {
+            modified: "",
+            metas: (this.metadata.metas || []).concat(this._getExtraRefinements())
+        })),
+        zip = new ZipWriter(),
+        generated = {}, reobfuscate = {}, names, i = 0;
+
+    base = base == "." ? "" : base;
+    writer.version = this.version;
+    writer.packageAttributes = Object.assign({}, this.packageAttributes);
+
+    function relative(dir, href) {
+        return pathlib.relative(dir || ".", href);
+    }
+
+    function uniqueId(manifest, prefix) {
+        var n = 1;
+        while (manifest[prefix + n]) {
+            n++;
+        }
+        return prefix + n;
+    }
+
+    // archive paths that are taken by a file or a manifest item
+    var taken = {};
+    this.zip.names.concat(Object.keys(this.modifiedFiles)).forEach(function (name) {
+        taken[name.toLowerCase()] = true;
+    });
+    Object.keys(this.manifest).forEach(function (id) {
+        taken[this.manifest[id].href.toLowerCase()] = true;
+    }, this);
+
+    function uniqueHref(name, extension) {
+        var href = pathlib.join(base, name + extension), n = 1;
+        while (taken[href.toLowerCase()]) {
+            href = pathlib.join(base, name + "-" + (n++) + extension);
+        }
+        taken[href.toLowerCase()] = true;
+        return href;
+    }
+
+    var navFile = this.navFile && this.manifest[this.navFile.id] || !writer._isEPUB2() && {
+            id: uniqueId(this.manifest, "nav"),
+            href: uniqueHref("nav", ".xhtml"),
+            "media-type": "application/xhtml+xml",
+            properties: "nav"
+        },
+        ncxFile = this.spine.toc && this.manifest[this.spine.toc.id] || {
+            id: uniqueId(this.manifest, "ncx"),
+            href: uniqueHref("toc", ".ncx"),
+            "media-type": EPubWriter.MIME_TYPES.ncx
+        },
+        manifest = Object.keys(this.manifest).map(function (id) {
+            return this.manifest[id];
+        }, this);
+
+    [navFile, ncxFile].forEach(function (element) {
+        if (element && manifest.indexOf(element) < 0) {
+            manifest.push(element);
+        }
+    });
+
+    writer.items = manifest.map(function (element) {
+        return {
+            id: element.id,
+            href: relative(base, element.href),
+            mediaType: element["media-type"],
+            properties: element.properties,
+            fallback: element.fallback,
+            mediaOverlay: element["media-overlay"]
+        };
+    });
+    writer.spine = this.spine.contents.map(function (element) {
+        return {id: element.id, linear: element.linear !== false, properties: (element.spineProperties || []).join(" ")};
+    });
+    writer.pageProgressionDirection = this.spine.pageProgressionDirection;
+    writer.guide = this.guide.map(function (reference) {
+        return {type: reference.type, title: reference.title, href: relative(base, reference.href)};
+    });
+
+    var metadata;
+    try {
+        metadata = writer._normalizeMetadata();
+        reobfuscate = this._getReobfuscatedFonts(metadata.identifiers);
+    } catch (E) {
+        process.nextTick(function () {
+            callback(E);
+        });
+        return;
+    }
+
+    function entries(list, dir) {
+        return list.map(function (entry) {
+            return {level: entry.level, title: entry.title, href: relative(dir, entry.href), type: entry.type};
+        });
+    }
+
+    if (navFile) {
+        writer.toc = entries(this.toc, pathlib.dirname(navFile.href));
+        generated[navFile.href] = writer._buildNav(metadata, writer._tocTree(), entries(this.landmarks,
+            pathlib.dirname(navFile.href)), entries(this.pageList, pathlib.dirname(navFile.href)));
+    }
+    writer.toc = entries(this.toc, pathlib.dirname(ncxFile.href));
+    generated[ncxFile.href] = writer._buildNCX(metadata, writer._tocTree());
+    generated[this.rootFile] = writer._buildPackage(metadata, writer.items, ncxFile.id);
+
+    // the mimetype entry must be the first one and it must not be compressed
+    zip.addFile("mimetype", "application/epub+zip", {store: true});
+
+    names = this.zip.names.filter(function (name) {
+        return name != this.mimeFile;
+    }, this);
+    Object.keys(generated).concat(Object.keys(this.modifiedFiles)).forEach(function (name) {
+        if (names.indexOf(name) < 0) {
+            names.push(name);
+        }
+    });
+
+    // reads the compressed data of an entry, from _getRawReader()
+    var readRaw;
+
+    var next = (function () {
+        if (i >= names.length) {
+            zip.write(target, callback);
+            return;
+        }
+
+        var name = names[i++];
+
+        if (name in generated) {
+            zip.addFile(name, generated[name]);
+            process.nextTick(next);
+        } else if (name in this.modifiedFiles) {
+            if (this.modifiedFiles[name] !== null) {
+                zip.addFile(name, this.modifiedFiles[name]);
+            }
+            process.nextTick(next);
+        } else if (name in reobfuscate) {
+            this._readZipFile(name, function (err, data) {
+                if (err) {
+                    callback(readError(err));
+                    return;
+                }
+                zip.addFile(name, obfuscation.obfuscate(data, reobfuscate[name].algorithm, reobfuscate[name].key));
+                process.nextTick(next);
+            });
+        } else {
+            readRaw(name, function (err, raw) {
+                if (err) {
+                    callback(new Error("Reading archive failed"));
+                    return;
+                }
+                zip.addRaw(name, raw);
+                process.nextTick(next);
+            });
+        }
+    }).bind(this);
+
+    this._getRawReader(function (err, reader) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        readRaw = reader;
+        next();
+    });
+};
+
+/**
+ *  EPub#_getRawReader(callback) -> undefined
+ *  - callback (Function): gets an error object and a readRaw(name, callback)
+ *    function
+ *
+ *  Finds a way to read the compressed data of the archive entries, so
+ *  save() can copy them without recompressing. The native zipfile backend
+ *  can't do it, books opened from a file path are read with ZipReader
+ *  instead. Fails if the entries could only be copied by recompressing
+ **/
+EPub.prototype._getRawReader = function (callback) {
+    var reader;
+
+    if (typeof this.zip.readRaw == "function") {
+        process.nextTick(callback.bind(null, null, this._readEntry.bind(this, "readRaw")));
+        return;
+    }
+
+    if (typeof this.filename != "string") {
+        process.nextTick(function () {
+            callback(new Error("Zip backend can't copy files without recompressing them"));
+        });
+        return;
+    }
+
+    reader = new ZipReader(this.filename);
+    reader.open(function (err) {
+        if (err) {
+            callback(new Error("Reading archive failed"));
+            return;
+        }
+        callback(null, reader.readRaw.bind(reader));
+    });
+};
+
+/**
+ *  EPub#_getExtraRefinements() -> Array
+ *
+ *  Lists the refinements save() has to copy as {refines, property, value,
+ *  scheme} metas, the ones EPubWriter doesn't generate from the metadata
+ *  lists. Refinements of removed elements are left out
+ **/
+EPub.prototype._getExtraRefinements = function () {
+    var metadata = this.metadata, generated = {}, exists = {}, result = [];
+
+    ["titles", "creators", "contributors", "identifiers", "collections"].forEach(function (name) {
+        (metadata[name] || []).forEach(function (item) {
+            if (item.id) {
+                generated[item.id] = exists[item.id] = true;
+            }
+        });
+    });
+    (metadata.metas || []).forEach(function (meta) {
+        if (meta.id) {
+            exists[meta.id] = true;
+        }
+    });
+    Object.keys(this.manifest).forEach(function (id) {
+        exists[id] = true;
+    });
+
+    Object.keys(this.refinements || {}).forEach(function (id) {
+        if (!exists[id]) {
+            return;
+        }
+        this.refinements[id].forEach(function (refinement) {
+            if (!generated[id] || GENERATED_REFINEMENTS.indexOf(refinement.property) < 0) {
+                result.push({refines: "#" + id, property: refinement.property,
+                    value: refinement.value, scheme: refinement.scheme});
+            }
+        });
+    }, this);
+
+    return result;
+};
+
+/**
+ *  EPub#_getReobfuscatedFonts(identifiers) -> Object
+ *  - identifiers (Array): identifiers of the saved book, the unique one first
+ *
+ *  Finds the obfuscated fonts whose key changes with the new identifiers.
+ *  Returns archive path -> {algorithm, key}. Throws if a font can't be
+ *  obfuscated with the new identifiers
+ **/
+EPub.prototype._getReobfuscatedFonts = function (identifiers) {
+    var result = {},
+        metadata = {uniqueIdentifier: identifiers[0].value, identifiers: identifiers};
+
+    Object.keys(this.encryption).forEach(function (name) {
+        var encryption = this.encryption[name],
+            key = encryption.type != "encrypted" && this._getObfuscationKey(encryption.type),
+            newKey = key && this._getObfuscationKey(encryption.type, metadata);
+
+        // encrypted files and fonts that can't be read are copied as they are
+        if (!key || newKey && newKey.equals(key)) {
+            return;
+        }
+        if (!newKey) {
+            throw new Error("Obfuscated font \"" + name + "\" needs an urn:uuid identifier");
+        }
+        result[name] = {algorithm: encryption.algorithm, key: newKey};
+    }, this);
+
+    return result;
+};
+
+/**
+ *  EPub#middleware([options]) -> Function
+ *  - options (Object): "maxAge" (seconds, for Cache-Control) and
+ *    "bookPath" (path of the JSON endpoint)
+ *
+ *  Returns a request handler for the http module or Express/Connect that
+ *  serves the chapters and files of the book with the imageroot and
+ *  linkroot URLs, and the metadata, flow and toc as JSON. See
+ *  lib/middleware.js
+ **/
+EPub.prototype.middleware = function (options) {
+    return middleware(this, options);
+};
+
+/**
+ *  wrapImport(css, item) -> String
+ *  - css (String): imported stylesheet
+ *  - item (Object): @import rule from css.imports()
+ *
+ *  Wraps an inlined stylesheet into the @media, @supports and @layer
+ *  blocks of the @import rule it replaces
+ **/
+function wrapImport(css, item) {
+    if (item.layer !== null) {
+        css = "@layer" + (item.layer ? " " + item.layer : "") + " {\n" + css + "\n}";
+    }
+    if (item.supports) {
+        css = "@supports (" + item.supports + ") {\n" + css + "\n}";
+    }
+    if (item.media) {
+        css = "@media " + item.media + " {\n" + css + "\n}";
+    }
+    return css;
+}
+
+/**
+ *  readError(err) -> Error
+ *  - err (Error): error from _readZipFile
+ *
+ *  Keeps the encrypted file and closed book errors, other read errors
+ *  become "Reading archive failed"
+ **/
+function readError(err) {
+    if (err.code == "RESOURCE_ENCRYPTED" || err.code == "EPUB_CLOSED") {
+        return err;
+    }
+    return new Error("Reading archive failed");
+}
+
+/**
+ *  readable(method) -> Function
+ *  - method (Function): method that takes a callback as the last argument
+ *
+ *  Wraps a method that reads the book so that it fails with the
+ *  _stateError() error when the book is closed or not parsed yet
+ **/
+function readable(method) {
+    return function () {
+        var callback = arguments[arguments.length - 1],
+            err = this._stateError();
+
+        if (err) {
+            process.nextTick(function () {
+                callback(err);
+            });
+            return;
+        }
+        return method.apply(this, arguments);
+    };
+}
+
+["getChapter", "getChapterStyles", "getChapterText", "getText", "buildSearchIndex", "search", "generateCFI", "resolveCFI", "getChapterRaw", "getImage", "getCover", "getMediaOverlay", "getAudio", "getFile", "readFile", "save"].forEach(function (name) {
+    EPub.prototype[name] = readable(EPub.prototype[name]);
+});
+
+["validate", "close", "getChapter", "getChapterStyles", "getChapterText", "getText", "buildSearchIndex", "search", "generateCFI", "resolveCFI", "getChapterRaw", "getImage", "getCover", "getMediaOverlay", "getAudio", "getFile", "readFile", "save"].forEach(function (name) {
+    EPub.prototype[name] = promisify(EPub.prototype[name]);
+});
+
+EPub.Writer = EPubWriter;
+EPub.ALLOWED_ELEMENTS = sanitize.ALLOWED_ELEMENTS;
+EPub.ALLOWED_ATTRIBUTES = sanitize.ALLOWED_ATTRIBUTES;
+EPub.URL_RESOLVERS = resolvers;
+EPub.MemoryCache = cache.MemoryCache;
+EPub.FileCache = cache.FileCache;
+EPub.parseCFI = cfi.parse;
+EPub.compareCFI = cfi.compare;
 
 // Expose to the world
 module.exports = EPub;
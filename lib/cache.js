@@ -0,0 +1,120 @@
+var fs = require('fs');
+var pathlib = require('path');
+var crypto = require('crypto');
+
+/**
+ *  new MemoryCache([options])
+ *  - options (Object): "max", the number of books to keep (100 by default)
+ *
+ *  In-memory cache store that drops the least recently used entries.
+ *  Share one store between the EPub objects:
+ *
+ *      var cache = new EPub.MemoryCache({max: 50});
+ *      EPub.open("book.epub", {cache: cache});
+ **/
+function MemoryCache(options) {
+    options = options || {};
+    this.max = options.max || 100;
+    // Map keeps the insertion order, the first key is the least recently used
+    this.entries = new Map();
+}
+
+/**
+ *  MemoryCache#get(key, callback) -> undefined
+ *  - key (String): cache key
+ *  - callback (Function): gets an error object and the value or null
+ **/
+MemoryCache.prototype.get = function (key, callback) {
+    var value = this.entries.has(key) ? this.entries.get(key) : null;
+
+    if (value !== null) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+    }
+    process.nextTick(callback.bind(null, null, value));
+};
+
+/**
+ *  MemoryCache#set(key, value[, callback]) -> undefined
+ *  - key (String): cache key
+ *  - value (String): value to store
+ *  - callback (Function): called when done
+ **/
+MemoryCache.prototype.set = function (key, value, callback) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.max) {
+        this.entries.delete(this.entries.keys().next().value);
+    }
+    if (callback) {
+        process.nextTick(callback.bind(null, null));
+    }
+};
+
+/**
+ *  new FileCache(dir)
+ *  - dir (String): directory for the cache files, created when needed
+ *
+ *  Cache store that keeps every entry in a file, so the cache survives
+ *  restarts and can be shared between processes
+ **/
+function FileCache(dir) {
+    this.dir = dir;
+}
+
+/**
+ *  FileCache#get(key, callback) -> undefined
+ *  - key (String): cache key
+ *  - callback (Function): gets an error object and the value or null
+ **/
+FileCache.prototype.get = function (key, callback) {
+    fs.readFile(this._path(key), "utf-8", function (err, value) {
+        if (err) {
+            callback(err.code == "ENOENT" ? null : err, null);
+            return;
+        }
+        callback(null, value);
+    });
+};
+
+/**
+ *  FileCache#set(key, value[, callback]) -> undefined
+ *  - key (String): cache key
+ *  - value (String): value to store
+ *  - callback (Function): called when done
+ **/
+FileCache.prototype.set = function (key, value, callback) {
+    var path = this._path(key),
+        // written to a temporary file first so readers never see a partial file
+        temp = path + "." + process.pid + "." + Date.now() + ".tmp";
+
+    callback = callback || function () {};
+
+    fs.mkdir(this.dir, {recursive: true}, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        fs.writeFile(temp, value, function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            fs.rename(temp, path, callback);
+        });
+    });
+};
+
+/**
+ *  FileCache#_path(key) -> String
+ *  - key (String): cache key
+ *
+ *  Returns the file for a key, keys are hashed as they can contain paths
+ **/
+FileCache.prototype._path = function (key) {
+    return pathlib.join(this.dir, crypto.createHash("sha1").update(key).digest("hex") + ".json");
+};
+
+module.exports.MemoryCache = MemoryCache;
+module.exports.FileCache = FileCache;
@@ -0,0 +1,350 @@
+/**
+ *  parse(cfi) -> Object
+ *  - cfi (String): "epubcfi(...)" string or just the part inside the parentheses
+ *
+ *  Parses an EPUB Canonical Fragment Identifier. Returns an object with
+ *  "steps", a list of {index, id, indirect} objects where "indirect" is
+ *  set for the first step after a "!", and "offset", which has "chars"
+ *  for character offsets, "time" and "x", "y" for temporal and spatial
+ *  offsets, "assertion" for text location assertions and "side" ("a" or
+ *  "b") for the side bias parameter ("[;s=b]"). Range CFIs have
+ *  "start" and "end" as well, both with the full "steps" and "offset".
+ *  Throws on syntax errors
+ *
+ *      parse("epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:10)")
+ **/
+function parse(cfi) {
+    var str = String(cfi || "").trim(),
+        match = str.match(/^epubcfi\(([\s\S]*)\)$/),
+        parts, result, start, end;
+
+    if (match) {
+        str = match[1];
+    }
+
+    parts = split(str, ",");
+
+    if (parts.length != 1 && parts.length != 3) {
+        throw new Error("Invalid CFI");
+    }
+
+    result = parsePath(parts[0]);
+
+    if (parts.length == 3) {
+        start = parsePath(parts[1], true);
+        end = parsePath(parts[2], true);
+        if (result.offset) {
+            throw new Error("Invalid CFI");
+        }
+        result.start = {steps: result.steps.concat(start.steps), offset: start.offset};
+        result.end = {steps: result.steps.concat(end.steps), offset: end.offset};
+    }
+
+    return result;
+}
+
+/**
+ *  parsePath(str[, local]) -> Object
+ *  - str (String): path part of a CFI
+ *  - local (Boolean): local path of a range, may be only an offset
+ *
+ *  Parses the steps and the offset of a CFI path
+ **/
+function parsePath(str, local) {
+    var steps = [], offset = null, pos = 0, indirect = false, c, m, assertion;
+
+    while (pos < str.length) {
+        c = str.charAt(pos);
+
+        if (c == "!") {
+            indirect = true;
+            pos++;
+            continue;
+        }
+
+        if (c == "/") {
+            m = str.substr(pos).match(/^\/(\d+)/);
+            if (!m || offset) {
+                throw new Error("Invalid CFI");
+            }
+            pos += m[0].length;
+            assertion = readAssertion(str, pos);
+            pos = assertion.pos;
+            steps.push({index: Number(m[1]), id: assertion.value, indirect: indirect});
+            indirect = false;
+            continue;
+        }
+
+        if (c == ":" || c == "~" || c == "@") {
+            offset = offset || {};
+            if (c == ":") {
+                m = str.substr(pos).match(/^:(\d+)/);
+                offset.chars = m && Number(m[1]);
+            } else if (c == "~") {
+                m = str.substr(pos).match(/^~(\d+(?:\.\d+)?)/);
+                offset.time = m && Number(m[1]);
+            } else {
+                m = str.substr(pos).match(/^@(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)/);
+                if (m) {
+                    offset.x = Number(m[1]);
+                    offset.y = Number(m[2]);
+                }
+            }
+            if (!m) {
+                throw new Error("Invalid CFI");
+            }
+            pos += m[0].length;
+            assertion = readAssertion(str, pos);
+            pos = assertion.pos;
+            if (assertion.value) {
+                offset.assertion = assertion.value;
+            }
+            if (assertion.params.s == "a" || assertion.params.s == "b") {
+                offset.side = assertion.params.s;
+            }
+            continue;
+        }
+
+        throw new Error("Invalid CFI");
+    }
+
+    if (!steps.length && !(local && offset) || indirect) {
+        throw new Error("Invalid CFI");
+    }
+
+    return {steps: steps, offset: offset};
+}
+
+/**
+ *  readAssertion(str, pos) -> Object
+ *  - str (String): CFI path
+ *  - pos (Number): position after a step or an offset
+ *
+ *  Reads an optional "[...]" assertion. Returns the unescaped "value",
+ *  the "params" after it (";s=b" as {s: "b"}) and the position after it
+ **/
+function readAssertion(str, pos) {
+    var parts = [""], escaped = false, params = {}, c;
+
+    if (str.charAt(pos) != "[") {
+        return {value: "", params: params, pos: pos};
+    }
+
+    for (pos++; pos < str.length; pos++) {
+        c = str.charAt(pos);
+        if (escaped) {
+            parts[parts.length - 1] += c;
+            escaped = false;
+        } else if (c == "^") {
+            escaped = true;
+        } else if (c == ";") {
+            parts.push("");
+        } else if (c == "]") {
+            parts.slice(1).forEach(function (param) {
+                var eq = param.indexOf("=");
+                if (eq > 0) {
+                    params[param.substr(0, eq)] = param.substr(eq + 1);
+                }
+            });
+            return {value: parts[0], params: params, pos: pos + 1};
+        } else {
+            parts[parts.length - 1] += c;
+        }
+    }
+
+    throw new Error("Invalid CFI");
+}
+
+/**
+ *  split(str, separator) -> Array
+ *  - str (String): CFI
+ *  - separator (String): character to split on
+ *
+ *  Splits a CFI on a character that is not inside an assertion or escaped
+ **/
+function split(str, separator) {
+    var parts = [], last = 0, depth = 0, i, c;
+
+    for (i = 0; i < str.length; i++) {
+        c = str.charAt(i);
+        if (c == "^") {
+            i++;
+        } else if (c == "[") {
+            depth++;
+        } else if (c == "]") {
+            depth--;
+        } else if (c == separator && !depth) {
+            parts.push(str.substring(last, i));
+            last = i + 1;
+        }
+    }
+    parts.push(str.substr(last));
+
+    return parts;
+}
+
+/**
+ *  compare(a, b) -> Number
+ *  - a (String | Object): CFI string or parsed CFI
+ *  - b (String | Object): CFI string or parsed CFI
+ *
+ *  Compares two CFIs by their position in the book. Returns a negative
+ *  number if a comes first, a positive number if b comes first and 0 if
+ *  they are the same. Ranges are compared by their start and then by their
+ *  end, so the function can be used with Array#sort
+ **/
+function compare(a, b) {
+    a = typeof a == "string" ? parse(a) : a;
+    b = typeof b == "string" ? parse(b) : b;
+
+    return comparePosition(a.start || a, b.start || b) ||
+        comparePosition(a.end || a.start || a, b.end || b.start || b);
+}
+
+/**
+ *  comparePosition(a, b) -> Number
+ *  - a (Object): steps and offset of a position
+ *  - b (Object): steps and offset of a position
+ *
+ *  Compares two positions step by step, an element comes before the
+ *  positions inside it
+ **/
+function comparePosition(a, b) {
+    var i, len = Math.min(a.steps.length, b.steps.length), oa = a.offset || {}, ob = b.offset || {};
+
+    for (i = 0; i < len; i++) {
+        if (a.steps[i].index != b.steps[i].index) {
+            return a.steps[i].index - b.steps[i].index;
+        }
+    }
+    if (a.steps.length != b.steps.length) {
+        return a.steps.length - b.steps.length;
+    }
+
+    return (oa.chars || 0) - (ob.chars || 0) || (oa.time || 0) - (ob.time || 0) ||
+        (oa.y || 0) - (ob.y || 0) || (oa.x || 0) - (ob.x || 0);
+}
+
+/**
+ *  stepsTo(node) -> String
+ *  - node (Object): element node from dom.parse()
+ *
+ *  Builds the CFI steps from the root element of a document to an
+ *  element, with id assertions for elements that have an id
+ **/
+function stepsTo(node) {
+    var steps = "", parent;
+
+    for (; node.parent && node.parent.type != "document"; node = parent) {
+        parent = node.parent;
+        steps = "/" + (elements(parent).indexOf(node) + 1) * 2 + assert(node.attributes.id) + steps;
+    }
+
+    return steps;
+}
+
+/**
+ *  textStep(node) -> String
+ *  - node (Object): text node from dom.parse()
+ *
+ *  Builds the odd CFI step for a text node, the index of the text chunk
+ *  between the element children of its parent
+ **/
+function textStep(node) {
+    var before = 0, i;
+    for (i = 0; node.parent.children[i] != node; i++) {
+        if (node.parent.children[i].type == "element") {
+            before++;
+        }
+    }
+    return "/" + (before * 2 + 1);
+}
+
+/**
+ *  follow(root, steps) -> Object
+ *  - root (Object): document node from dom.parse()
+ *  - steps (Array): steps of a parsed CFI after the indirection
+ *
+ *  Follows CFI steps in a document. Returns the "element" the steps
+ *  lead to and for odd last steps the "text" chunk index inside it.
+ *  An id assertion that doesn't match is used to find the element
+ *  instead. Throws if a step can't be followed
+ **/
+function follow(root, steps) {
+    var element = elements(root)[0], i, step, child;
+
+    for (i = 0; i < steps.length; i++) {
+        step = steps[i];
+
+        if (step.index % 2) {
+            if (i != steps.length - 1 || (step.index - 1) / 2 > elements(element).length) {
+                throw new Error("CFI step not found");
+            }
+            return {element: element, text: (step.index - 1) / 2};
+        }
+
+        child = elements(element)[step.index / 2 - 1];
+        if (step.id && (!child || child.attributes.id != step.id)) {
+            child = byId(root, step.id) || child;
+        }
+        if (!child) {
+            throw new Error("CFI step not found");
+        }
+        element = child;
+    }
+
+    return {element: element, text: null};
+}
+
+/**
+ *  elements(node) -> Array
+ *  - node (Object): element or document node
+ *
+ *  Returns the element children of a node
+ **/
+function elements(node) {
+    return node.children.filter(function (child) {
+        return child.type == "element";
+    });
+}
+
+/**
+ *  byId(node, id) -> Object | null
+ *  - node (Object): node to search from
+ *  - id (String): id attribute value
+ *
+ *  Finds a descendant element by its id attribute
+ **/
+function byId(node, id) {
+    var i, found;
+    for (i = 0; i < node.children.length; i++) {
+        if (node.children[i].type != "element") {
+            continue;
+        }
+        if (node.children[i].attributes.id == id) {
+            return node.children[i];
+        }
+        if ((found = byId(node.children[i], id))) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ *  assert(id) -> String
+ *  - id (String): id attribute value
+ *
+ *  Returns an id assertion with the special characters escaped
+ **/
+function assert(id) {
+    return id ? "[" + String(id).replace(/[\^\[\](),;=]/g, "^$&") + "]" : "";
+}
+
+module.exports.parse = parse;
+module.exports.compare = compare;
+module.exports.stepsTo = stepsTo;
+module.exports.textStep = textStep;
+module.exports.follow = follow;
+module.exports.elements = elements;
+module.exports.assert = assert;
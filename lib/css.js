@@ -0,0 +1,272 @@
+var paths = require('./paths');
+
+// At-rules with nested rule blocks, their selectors get scoped too
+var NESTED_RULES = ["media", "supports", "document", "-moz-document", "layer", "container"];
+
+/**
+ *  rewrite(css, resolve) -> String
+ *  - css (String): stylesheet or style declarations
+ *  - resolve (Function): URL rewrite function
+ *
+ *  Passes every url() reference and @import URL of a CSS string through
+ *  resolve(url, "resource"). "javascript:" URLs are replaced with an
+ *  empty url()
+ **/
+function rewrite(css, resolve) {
+    function replace(url) {
+        if (paths.isScript(url)) {
+            return "url(\"\")";
+        }
+        return "url(\"" + String(resolve(url.trim(), "resource")).replace(/"/g, "%22") + "\")";
+    }
+
+    return String(css).
+        replace(/url\(\s*(["']?)(.*?)\1\s*\)/gi, function (o, quote, url) {
+            return replace(url);
+        }).
+        replace(/(@import\s+)(["'])(.*?)\2/gi, function (o, keyword, quote, url) {
+            return keyword + replace(url);
+        });
+}
+
+/**
+ *  scope(css, selector) -> String
+ *  - css (String): stylesheet
+ *  - selector (String): container selector, eg. "#reader"
+ *
+ *  Prefixes every selector of a stylesheet with a container selector so
+ *  the rules only match inside the container. "html", "body" and ":root"
+ *  selectors are replaced with the container itself. Rules inside @media,
+ *  @supports etc. are scoped as well, @font-face, @page and @keyframes
+ *  blocks are left as they are. @import rules are removed, imports()
+ *  splits them off so the imported stylesheets can be scoped and inlined
+ *
+ *      scope("body, p.note { color: red }", "#reader")
+ *      // -> "#reader, #reader p.note { color: red }"
+ **/
+function scope(css, selector) {
+    var output = "", pos = 0, start, end, prelude, name;
+
+    css = String(css);
+
+    while (pos < css.length) {
+        start = pos;
+        end = skip(css, pos, "{;}");
+
+        if (end >= css.length) {
+            output += css.substr(start);
+            break;
+        }
+
+        if (css.charAt(end) != "{") {
+            // @import rules can't be scoped, other statements and stray
+            // semicolons or braces are kept
+            if (!/^@import\b/i.test(css.substring(start, end).replace(/\/\*[\s\S]*?\*\//g, "").trim())) {
+                output += css.substring(start, end + 1);
+            }
+            pos = end + 1;
+            continue;
+        }
+
+        prelude = css.substring(start, end);
+        pos = block(css, end);
+
+        if (prelude.trim().charAt(0) == "@") {
+            name = (prelude.trim().match(/^@([\w\-]+)/) || [])[1] || "";
+            if (NESTED_RULES.indexOf(name.toLowerCase()) >= 0) {
+                output += prelude + "{" + scope(css.substring(end + 1, pos - 1), selector) + "}";
+            } else {
+                output += css.substring(start, pos);
+            }
+        } else {
+            output += split(prelude.replace(/\/\*[\s\S]*?\*\//g, "")).map(function (part) {
+                return scopeSelector(part, selector);
+            }).join(",") + css.substring(end, pos);
+        }
+    }
+
+    return output;
+}
+
+/**
+ *  imports(css) -> Object
+ *  - css (String): stylesheet
+ *
+ *  Splits the @import rules off the start of a stylesheet, @import rules
+ *  after other rules are ignored by browsers. Returns the "imports" as
+ *  {url, layer, supports, media} and the rest of the stylesheet as "css".
+ *  "layer" is null for imports without a layer
+ *
+ *      imports("@import url(a.css) screen; p { color: red }")
+ *      // -> {imports: [{url: "a.css", layer: null, supports: "", media: "screen"}],
+ *      //     css: " p { color: red }"}
+ **/
+function imports(css) {
+    var result = [], rest = "", pos = 0, end, statement, match, conditions, layer, supports;
+
+    css = String(css);
+
+    while (pos < css.length) {
+        end = skip(css, pos, "{;}");
+        statement = css.substring(pos, end).replace(/\/\*[\s\S]*?\*\//g, "").trim();
+
+        if (css.charAt(end) != ";" || statement && !/^@(import|charset|layer)\b/i.test(statement)) {
+            break;
+        }
+
+        match = statement.match(/^@import\s*(?:url\(\s*(["']?)(.*?)\1\s*\)|(["'])(.*?)\3)\s*([\s\S]*)$/i);
+        if (match) {
+            conditions = match[5];
+            layer = conditions.match(/^layer(?:\(\s*([^)]*?)\s*\))?\s*/i);
+            conditions = conditions.substr(layer ? layer[0].length : 0);
+            supports = conditions.match(/^supports\(((?:[^()]|\([^()]*\))*)\)\s*/i);
+            conditions = conditions.substr(supports ? supports[0].length : 0);
+
+            result.push({
+                url: match[2] !== undefined ? match[2] : match[4],
+                layer: layer ? layer[1] || "" : null,
+                supports: supports ? supports[1].trim() : "",
+                media: conditions.trim()
+            });
+        } else if (!/^@import\b/i.test(statement)) {
+            rest += css.substring(pos, end + 1);
+        }
+        pos = end + 1;
+    }
+
+    return {imports: result, css: rest + css.substr(pos)};
+}
+
+/**
+ *  scopeSelector(part, selector) -> String
+ *  - part (String): a single selector
+ *  - selector (String): container selector
+ *
+ *  Prefixes a single selector, keeping the surrounding whitespace. Leading
+ *  "html", ":root" and "body" compounds are merged into the container
+ **/
+function scopeSelector(part, selector) {
+    var leading = part.match(/^\s*/)[0],
+        trailing = part.match(/\s*$/)[0],
+        // compound selectors and the combinators between them
+        parts = part.trim().split(/(\s*[>+~]\s*|\s+)/),
+        compound = "",
+        matched = false,
+        m;
+
+    if (!parts[0]) {
+        return part;
+    }
+
+    if ((m = parts[0].match(/^(?:html|:root)(?![\w\-])(.*)$/i))) {
+        compound += m[1];
+        parts.shift();
+        matched = true;
+        if (parts.length > 1 && parts[1].match(/^body(?![\w\-])/i)) {
+            parts.shift();
+        }
+    }
+    if (parts.length && (m = parts[0].match(/^body(?![\w\-])(.*)$/i))) {
+        compound += m[1];
+        parts.shift();
+        matched = true;
+    }
+
+    if (!matched) {
+        return leading + selector + " " + part.trim() + trailing;
+    }
+    return leading + selector + compound + parts.join("") + trailing;
+}
+
+/**
+ *  split(selectors) -> Array
+ *  - selectors (String): comma separated selector list
+ *
+ *  Splits a selector list on the commas that are not inside parentheses,
+ *  brackets or strings
+ **/
+function split(selectors) {
+    var parts = [], depth = 0, quote = "", last = 0, i, c;
+
+    for (i = 0; i < selectors.length; i++) {
+        c = selectors.charAt(i);
+        if (quote) {
+            if (c == "\\") {
+                i++;
+            } else if (c == quote) {
+                quote = "";
+            }
+        } else if (c == "\"" || c == "'") {
+            quote = c;
+        } else if (c == "(" || c == "[") {
+            depth++;
+        } else if (c == ")" || c == "]") {
+            depth--;
+        } else if (c == "," && !depth) {
+            parts.push(selectors.substring(last, i));
+            last = i + 1;
+        }
+    }
+    parts.push(selectors.substr(last));
+
+    return parts;
+}
+
+/**
+ *  skip(css, pos, chars) -> Number
+ *  - css (String): stylesheet
+ *  - pos (Number): start position
+ *  - chars (String): characters to look for
+ *
+ *  Returns the position of the next character from chars that is not
+ *  inside a string or a comment, or the length of css if there is none
+ **/
+function skip(css, pos, chars) {
+    var c;
+    for (; pos < css.length; pos++) {
+        c = css.charAt(pos);
+        if (c == "/" && css.charAt(pos + 1) == "*") {
+            pos = css.indexOf("*/", pos + 2);
+            if (pos < 0) {
+                return css.length;
+            }
+            pos++;
+        } else if (c == "\"" || c == "'") {
+            for (pos++; pos < css.length && css.charAt(pos) != c; pos++) {
+                if (css.charAt(pos) == "\\") {
+                    pos++;
+                }
+            }
+        } else if (chars.indexOf(c) >= 0) {
+            return pos;
+        }
+    }
+    return css.length;
+}
+
+/**
+ *  block(css, pos) -> Number
+ *  - css (String): stylesheet
+ *  - pos (Number): position of an opening brace
+ *
+ *  Returns the position after the matching closing brace
+ **/
+function block(css, pos) {
+    var depth = 0;
+    for (; pos < css.length; pos++) {
+        pos = skip(css, pos, "{}");
+        if (pos >= css.length) {
+            break;
+        }
+        if (css.charAt(pos) == "{") {
+            depth++;
+        } else if (!--depth) {
+            return pos + 1;
+        }
+    }
+    return css.length;
+}
+
+module.exports.rewrite = rewrite;
+module.exports.scope = scope;
+module.exports.imports = imports;
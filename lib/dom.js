@@ -0,0 +1,181 @@
+var sax = require('sax');
+
+// HTML elements that never have contents, written as <br/>
+var VOID_ELEMENTS = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta",
+    "param", "source", "track", "wbr"];
+
+/**
+ *  parse(str) -> Object
+ *  - str (String): XHTML or HTML source
+ *
+ *  Parses a document into a tree of plain objects. Element nodes are
+ *  {type: "element", name, attributes, children, parent} and text nodes
+ *  {type: "text", value, parent}, comments and processing instructions
+ *  are dropped. Names keep their case (SVG has "viewBox" etc.)
+ *
+ *  The parser doesn't stop on errors, so sloppy HTML (unquoted attribute
+ *  values, unclosed <br> tags, HTML entities, mismatched close tags)
+ *  still gives a usable tree. Returns the document node
+ **/
+function parse(str) {
+    var parser = sax.parser(true, {position: false}),
+        root = {type: "document", name: "", attributes: {}, children: []},
+        stack = [root];
+
+    // HTML entities like &nbsp; are common in EPUB 2 content
+    parser.ENTITIES = Object.assign(Object.create(sax.ENTITIES), parser.ENTITIES);
+
+    function current() {
+        return stack[stack.length - 1];
+    }
+
+    function append(node) {
+        node.parent = current();
+        node.parent.children.push(node);
+    }
+
+    parser.onerror = function () {
+        parser.error = null;
+    };
+
+    parser.onopentag = function (tag) {
+        var node = {type: "element", name: tag.name, attributes: {}, children: []};
+        Object.keys(tag.attributes).forEach(function (key) {
+            node.attributes[key] = tag.attributes[key];
+        });
+        append(node);
+        if (VOID_ELEMENTS.indexOf(tag.name.toLowerCase()) < 0 || tag.isSelfClosing) {
+            stack.push(node);
+        }
+    };
+
+    parser.onclosetag = function (name) {
+        var i;
+        for (i = stack.length - 1; i > 0; i--) {
+            if (stack[i].name == name) {
+                stack.length = i;
+                return;
+            }
+        }
+        // close tag of a void element or one that was never opened
+    };
+
+    parser.ontext = parser.oncdata = function (text) {
+        var parent = current(),
+            last = parent.children[parent.children.length - 1];
+        if (last && last.type == "text") {
+            last.value += text;
+        } else {
+            append({type: "text", value: text});
+        }
+    };
+
+    parser.write(String(str || "")).close();
+
+    return root;
+}
+
+/**
+ *  serialize(nodes) -> String
+ *  - nodes (Array | Object): node or list of nodes
+ *
+ *  Writes nodes back to well-formed markup. Text and attribute values are
+ *  escaped, HTML void elements and empty SVG/MathML elements are self-closed
+ **/
+function serialize(nodes) {
+    return [].concat(nodes || []).map(function (node) {
+        if (node.type == "text") {
+            return escape(node.value);
+        }
+        if (node.type == "document") {
+            return serialize(node.children);
+        }
+
+        var output = "<" + node.name + Object.keys(node.attributes).map(function (key) {
+            return " " + key + "=\"" + escape(node.attributes[key], true) + "\"";
+        }).join("");
+
+        if (!node.children.length && (VOID_ELEMENTS.indexOf(node.name.toLowerCase()) >= 0 || isForeign(node))) {
+            return output + "/>";
+        }
+        return output + ">" + serialize(node.children) + "</" + node.name + ">";
+    }).join("");
+}
+
+/**
+ *  find(node, name) -> Object | null
+ *  - node (Object): node to search from
+ *  - name (String): element name, case insensitive
+ *
+ *  Returns the first descendant element with the given name
+ **/
+function find(node, name) {
+    var i, len, found;
+    name = name.toLowerCase();
+    for (i = 0, len = (node.children || []).length; i < len; i++) {
+        if (node.children[i].type != "element") {
+            continue;
+        }
+        if (node.children[i].name.toLowerCase() == name) {
+            return node.children[i];
+        }
+        if ((found = find(node.children[i], name))) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ *  textNodes(node) -> Array
+ *  - node (Object): node to search from
+ *
+ *  Returns the descendant text nodes in document order, together they
+ *  make the text content of the node
+ **/
+function textNodes(node) {
+    var output = [];
+    (node.children || []).forEach(function (child) {
+        if (child.type == "text") {
+            output.push(child);
+        } else {
+            output = output.concat(textNodes(child));
+        }
+    });
+    return output;
+}
+
+/**
+ *  isForeign(node) -> Boolean
+ *  - node (Object): element node
+ *
+ *  Checks if an element is inside an <svg> or <math> element, where
+ *  empty elements can be self-closed
+ **/
+function isForeign(node) {
+    for (; node && node.type == "element"; node = node.parent) {
+        if (["svg", "math"].indexOf(node.name.toLowerCase().split(":").pop()) >= 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ *  escape(str[, attribute]) -> String
+ *  - str (String): text to escape
+ *  - attribute (Boolean): escape quotes as well
+ *
+ *  Escapes special characters for text nodes and attribute values
+ **/
+function escape(str, attribute) {
+    str = String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    return attribute ? str.replace(/"/g, "&quot;") : str;
+}
+
+module.exports.parse = parse;
+module.exports.serialize = serialize;
+module.exports.find = find;
+module.exports.textNodes = textNodes;
+module.exports.escape = escape;
+module.exports.VOID_ELEMENTS = VOID_ELEMENTS;
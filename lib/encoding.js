@@ -0,0 +1,74 @@
+var iconv = require('iconv-lite');
+
+/**
+ *  detect(data) -> String
+ *  - data (Buffer): contents of a text file
+ *
+ *  Detects the character encoding of an XML, XHTML or CSS file from the
+ *  byte order mark, the XML declaration, <meta charset> (or the
+ *  http-equiv Content-Type) or @charset. Returns "utf-8" if there is no
+ *  declaration
+ **/
+function detect(data) {
+    var head, match;
+
+    if (data[0] == 0xEF && data[1] == 0xBB && data[2] == 0xBF) {
+        return "utf-8";
+    }
+    if (data[0] == 0xFF && data[1] == 0xFE) {
+        return "utf-16le";
+    }
+    if (data[0] == 0xFE && data[1] == 0xFF) {
+        return "utf-16be";
+    }
+    // "<?" of an XML declaration without a byte order mark
+    if (data[0] == 0x00 && data[1] == 0x3C && data[2] == 0x00 && data[3] == 0x3F) {
+        return "utf-16be";
+    }
+    if (data[0] == 0x3C && data[1] == 0x00 && data[2] == 0x3F && data[3] == 0x00) {
+        return "utf-16le";
+    }
+
+    // declarations are in ASCII, the rest of the bytes don't matter here
+    head = data.slice(0, 1024).toString("latin1");
+
+    if ((match = head.match(/^\s*<\?xml[^>]*?\sencoding\s*=\s*["']([\w.:\-]+)["']/i)) ||
+            (match = head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:\-]+)/i)) ||
+            (match = head.match(/^\s*@charset\s+["']([\w.:\-]+)["']/i))) {
+        return match[1].toLowerCase();
+    }
+
+    return "utf-8";
+}
+
+/**
+ *  hasBOM(data) -> Boolean
+ *  - data (Buffer): contents of a text file
+ *
+ *  Checks if a file starts with a UTF-8 or UTF-16 byte order mark
+ **/
+function hasBOM(data) {
+    return data[0] == 0xEF && data[1] == 0xBB && data[2] == 0xBF ||
+        data[0] == 0xFF && data[1] == 0xFE || data[0] == 0xFE && data[1] == 0xFF;
+}
+
+/**
+ *  decode(data[, encoding]) -> String
+ *  - data (Buffer): contents of a text file
+ *  - encoding (String): encoding to use instead of the detected one,
+ *    a byte order mark still wins
+ *
+ *  Decodes a text file to a string without the byte order mark. Unknown
+ *  encodings are decoded as UTF-8
+ **/
+function decode(data, encoding) {
+    var name = encoding && !hasBOM(data) ? encoding : detect(data);
+
+    if (!iconv.encodingExists(name)) {
+        name = "utf-8";
+    }
+    return iconv.decode(data, name);
+}
+
+module.exports.detect = detect;
+module.exports.decode = decode;
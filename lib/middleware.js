@@ -0,0 +1,341 @@
+var crypto = require('crypto');
+
+// Sent with every response: the book's own scripts, plugins, forms and
+// frames must not run on the origin of the server, only the resources of
+// the book and inline styles (includeStyles) are allowed
+var CONTENT_SECURITY_POLICY = "default-src 'none'; img-src 'self' data:; media-src 'self'; font-src 'self'; " +
+    "style-src 'self' 'unsafe-inline'; sandbox";
+
+/**
+ *  middleware(epub[, options]) -> Function
+ *  - epub (EPub): parsed book
+ *  - options (Object): "maxAge" for the Cache-Control header in seconds
+ *    (3600 by default) and "bookPath", the path of the JSON endpoint
+ *    ("/book.json" by default)
+ *
+ *  Creates a request handler that serves the book with the URLs getChapter
+ *  generates: chapters under linkroot as sanitized HTML and other files
+ *  under imageroot as they are. Documents (XHTML, SVG, HTML and XML
+ *  files) are only served through the sanitizer, they are not found
+ *  under imageroot. The handler works with http.createServer
+ *  and as Express/Connect middleware, requests it doesn't handle are
+ *  passed to next() or answered with 404
+ *
+ *      http.createServer(epub.middleware()).listen(8080);
+ *      app.use(epub.middleware({maxAge: 86400}));
+ **/
+function middleware(epub, options) {
+    options = options || {};
+
+    var maxAge = typeof options.maxAge == "number" ? options.maxAge : 3600,
+        bookPath = options.bookPath || "/book.json",
+        linkroot = pathname(epub.linkroot),
+        imageroot = pathname(epub.imageroot);
+
+    return function (req, res, next) {
+        var path = pathname(req.url), route;
+
+        function fail(err) {
+            if (typeof next == "function") {
+                next(err);
+                return;
+            }
+            send(req, res, err ? 500 : 404, {"Content-Type": "text/plain; charset=utf-8"}, err ? "Server error" : "Not found");
+        }
+
+        if (req.method != "GET" && req.method != "HEAD") {
+            fail();
+            return;
+        }
+
+        if (path == bookPath) {
+            serve(req, res, maxAge, "application/json; charset=utf-8", JSON.stringify({
+                metadata: epub.metadata,
+                flow: epub.flow,
+                toc: epub.toc
+            }));
+            return;
+        }
+
+        if (!(route = match(epub, path, linkroot, "link") || match(epub, path, imageroot, "resource"))) {
+            fail();
+            return;
+        }
+
+        var chapter = isChapter(route.item) && route.kind == "link",
+            stat, etag, range;
+
+        if (!chapter && isDocument(route.item)) {
+            // raw markup could run scripts, it's never served unsanitized
+            fail();
+            return;
+        }
+
+        // files served as they are get the checksum and size of the archive
+        // entry as ETag without reading them. Sanitized chapters and changed
+        // files are hashed in serve()
+        if (!chapter && (stat = epub._entryStat(route.item.href))) {
+            etag = '"' + stat.crc.toString(16) + "-" + stat.size.toString(16) + '"';
+            if (notModified(req, etag)) {
+                send(req, res, 304, responseHeaders(null, etag, maxAge), null);
+                return;
+            }
+        }
+
+        function readFailed(err) {
+            if (err.code == "RESOURCE_ENCRYPTED") {
+                send(req, res, 403, {"Content-Type": "text/plain; charset=utf-8"}, "Forbidden");
+            } else {
+                fail(err);
+            }
+        }
+
+        function done(err, data, mimeType) {
+            if (err) {
+                readFailed(err);
+                return;
+            }
+            serve(req, res, maxAge, mimeType, data, etag);
+        }
+
+        if (stat && isAudio(route.item) && (range = parseRange(req.headers.range, stat.size)) !== null) {
+            if (!range) {
+                unsatisfiable(req, res, responseHeaders(route.item['media-type'], etag, maxAge), stat.size);
+                return;
+            }
+            // only the requested range is read from the archive when it can be
+            epub.getAudio(route.item.id, range, function (err, data, mimeType, size) {
+                if (err) {
+                    readFailed(err);
+                    return;
+                }
+                var headers = responseHeaders(mimeType, etag, maxAge);
+                headers["Content-Range"] = "bytes " + range.start + "-" + range.end + "/" + size;
+                send(req, res, 206, headers, data);
+            });
+        } else if (chapter) {
+            epub.getChapter(route.item.id, function (err, html) {
+                done(err, html, "text/html; charset=utf-8");
+            });
+        } else if ((route.item['media-type'] || "").toLowerCase().trim().substr(0, 6) == "image/") {
+            epub.getImage(route.item.id, done);
+        } else {
+            epub.getFile(route.item.id, function (err, data, mimeType) {
+                done(err, data, mimeType || "application/octet-stream");
+            });
+        }
+    };
+}
+
+/**
+ *  match(epub, path, root, kind) -> Object | null
+ *  - epub (EPub): parsed book
+ *  - path (String): decoded request path
+ *  - root (String): linkroot or imageroot path
+ *  - kind (String): "link" or "resource"
+ *
+ *  Matches a "root/ID/archive path" URL. The archive path must be the
+ *  href of the manifest item, other paths are rejected
+ **/
+function match(epub, path, root, kind) {
+    var rest, id, item;
+
+    if (path.substr(0, root.length) != root) {
+        return null;
+    }
+
+    rest = path.substr(root.length);
+    id = rest.split("/")[0];
+    item = epub.manifest.hasOwnProperty(id) ? epub.manifest[id] : null;
+
+    if (!item || rest.substr(id.length + 1) != item.href) {
+        return null;
+    }
+    return {item: item, kind: kind};
+}
+
+/**
+ *  pathname(url) -> String
+ *  - url (String): URL or path
+ *
+ *  Returns the decoded path of a URL without the query string. Absolute
+ *  linkroot and imageroot URLs match requests by their path
+ **/
+function pathname(url) {
+    var path = String(url || "").replace(/^[a-z][a-z0-9+.\-]*:\/\/[^\/]*/i, "").split(/[?#]/)[0];
+    try {
+        return decodeURIComponent(path);
+    } catch (E) {
+        return path;
+    }
+}
+
+/**
+ *  isChapter(item) -> Boolean
+ *  - item (Object): manifest item
+ *
+ *  Checks if a manifest item can be loaded with getChapter
+ **/
+function isChapter(item) {
+    var type = (item['media-type'] || "").toLowerCase().trim();
+    return type == "application/xhtml+xml" || type == "image/svg+xml";
+}
+
+/**
+ *  isDocument(item) -> Boolean
+ *  - item (Object): manifest item
+ *
+ *  Checks if a manifest item is a document that a browser would render
+ *  with scripts, HTML, XHTML, SVG or any XML type
+ **/
+function isDocument(item) {
+    var type = (item['media-type'] || "").toLowerCase().split(";")[0].trim();
+    return isChapter(item) || type == "text/html" || !!type.match(/[\/+]xml$/);
+}
+
+/**
+ *  isAudio(item) -> Boolean
+ *  - item (Object): manifest item
+ *
+ *  Checks if a manifest item can be loaded with getAudio
+ **/
+function isAudio(item) {
+    return (item['media-type'] || "").toLowerCase().trim().substr(0, 6) == "audio/";
+}
+
+/**
+ *  serve(req, res, maxAge, mimeType, data[, etag]) -> undefined
+ *  - req (http.IncomingMessage): request
+ *  - res (http.ServerResponse): response
+ *  - maxAge (Number): max-age for the Cache-Control header
+ *  - mimeType (String): content-type of the response
+ *  - data (Buffer | String): response body
+ *  - etag (String): ETag of the response, a hash of the body by default
+ *
+ *  Sends a response with an ETag, answers conditional requests that
+ *  match it with 304. Single byte ranges ("Range: bytes=0-1023") are
+ *  answered with 206 so audio and video can be seeked
+ **/
+function serve(req, res, maxAge, mimeType, data, etag) {
+    var body = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf-8"),
+        headers, range;
+
+    etag = etag || '"' + crypto.createHash("sha1").update(body).digest("hex") + '"';
+    headers = responseHeaders(mimeType, etag, maxAge);
+
+    if (notModified(req, etag)) {
+        send(req, res, 304, responseHeaders(null, etag, maxAge), null);
+        return;
+    }
+
+    range = parseRange(req.headers.range, body.length);
+    if (range === false) {
+        unsatisfiable(req, res, headers, body.length);
+        return;
+    }
+    if (range) {
+        headers["Content-Range"] = "bytes " + range.start + "-" + range.end + "/" + body.length;
+        send(req, res, 206, headers, body.slice(range.start, range.end + 1));
+        return;
+    }
+
+    send(req, res, 200, headers, body);
+}
+
+/**
+ *  responseHeaders(mimeType, etag, maxAge) -> Object
+ *  - mimeType (String): content-type of the response, null for 304
+ *  - etag (String): ETag of the response
+ *  - maxAge (Number): max-age for the Cache-Control header
+ *
+ *  Returns the headers of a cacheable response
+ **/
+function responseHeaders(mimeType, etag, maxAge) {
+    var headers = {
+        "Content-Type": mimeType,
+        "ETag": etag,
+        "Cache-Control": "public, max-age=" + maxAge,
+        "Accept-Ranges": "bytes",
+        "X-Content-Type-Options": "nosniff"
+    };
+
+    if (!mimeType) {
+        delete headers["Content-Type"];
+    }
+    return headers;
+}
+
+/**
+ *  notModified(req, etag) -> Boolean
+ *  - req (http.IncomingMessage): request
+ *  - etag (String): ETag of the response
+ *
+ *  Checks if the If-None-Match header of a request matches the ETag
+ **/
+function notModified(req, etag) {
+    return String(req.headers["if-none-match"] || "").split(/\s*,\s*/).indexOf(etag) >= 0;
+}
+
+/**
+ *  parseRange(header, size) -> Object | Boolean | null
+ *  - header (String): Range header of the request
+ *  - size (Number): full size of the response body
+ *
+ *  Parses a single byte range into "start" and "end" (inclusive), clamped
+ *  to the size. Returns false for a range that can't be satisfied and
+ *  null when there's no range or it's in an unsupported format
+ **/
+function parseRange(header, size) {
+    var range = String(header || "").match(/^bytes=(\d*)-(\d*)$/),
+        start, end;
+
+    if (!range || !(range[1] || range[2])) {
+        return null;
+    }
+
+    if (range[1]) {
+        start = Number(range[1]);
+        end = range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    } else {
+        // suffix range, the last N bytes
+        start = Math.max(0, size - Number(range[2]));
+        end = size - 1;
+    }
+    return start > end ? false : {start: start, end: end};
+}
+
+/**
+ *  unsatisfiable(req, res, headers, size) -> undefined
+ *  - req (http.IncomingMessage): request
+ *  - res (http.ServerResponse): response
+ *  - headers (Object): response headers
+ *  - size (Number): full size of the file
+ *
+ *  Answers a range request that is outside of the file with 416
+ **/
+function unsatisfiable(req, res, headers, size) {
+    headers["Content-Range"] = "bytes */" + size;
+    send(req, res, 416, headers, "");
+}
+
+/**
+ *  send(req, res, status, headers, body) -> undefined
+ *  - req (http.IncomingMessage): request
+ *  - res (http.ServerResponse): response
+ *  - status (Number): HTTP status code
+ *  - headers (Object): response headers
+ *  - body (Buffer | String): response body or null
+ *
+ *  Writes a response with the Content-Security-Policy header, without
+ *  the body for HEAD requests
+ **/
+function send(req, res, status, headers, body) {
+    headers["Content-Security-Policy"] = CONTENT_SECURITY_POLICY;
+    if (body !== null) {
+        headers["Content-Length"] = Buffer.byteLength(body);
+    }
+    res.writeHead(status, headers);
+    res.end(req.method == "HEAD" ? undefined : body);
+}
+
+module.exports = middleware;
@@ -0,0 +1,61 @@
+var crypto = require('crypto');
+
+// Algorithm URIs used in META-INF/encryption.xml for font obfuscation
+var IDPF_ALGORITHM = "http://www.idpf.org/2008/embedding";
+var ADOBE_ALGORITHM = "http://ns.adobe.com/pdf/enc#RC";
+
+/**
+ *  idpfKey(identifier) -> Buffer
+ *  - identifier (String): unique identifier of the package
+ *
+ *  Calculates the IDPF obfuscation key, the SHA-1 digest of the unique
+ *  identifier with all whitespace removed
+ **/
+function idpfKey(identifier) {
+    return crypto.createHash("sha1").
+        update(String(identifier).replace(/[ \u0009\u000D\u000A]/g, ""), "utf-8").
+        digest();
+}
+
+/**
+ *  adobeKey(identifier) -> Buffer | null
+ *  - identifier (String): "urn:uuid:" identifier of the book
+ *
+ *  Returns the Adobe obfuscation key, the 16 bytes of the UUID. Returns
+ *  null if the identifier is not an UUID
+ **/
+function adobeKey(identifier) {
+    var hex = String(identifier).replace(/^\s*urn:uuid:/i, "").replace(/[\s\-]/g, "");
+    if (!hex.match(/^[0-9a-f]{32}$/i)) {
+        return null;
+    }
+    return Buffer.from(hex, "hex");
+}
+
+/**
+ *  deobfuscate(data, algorithm, key) -> Buffer
+ *  - data (Buffer): obfuscated font
+ *  - algorithm (String): IDPF_ALGORITHM or ADOBE_ALGORITHM
+ *  - key (Buffer): key from idpfKey() or adobeKey()
+ *
+ *  Both algorithms XOR the start of the file (1040 bytes for IDPF,
+ *  1024 for Adobe) with the repeated key. Returns a new Buffer
+ **/
+function deobfuscate(data, algorithm, key) {
+    var output = Buffer.from(data),
+        length = Math.min(output.length, algorithm == IDPF_ALGORITHM ? 1040 : 1024),
+        i;
+
+    for (i = 0; i < length; i++) {
+        output[i] = output[i] ^ key[i % key.length];
+    }
+    return output;
+}
+
+module.exports.IDPF_ALGORITHM = IDPF_ALGORITHM;
+module.exports.ADOBE_ALGORITHM = ADOBE_ALGORITHM;
+module.exports.idpfKey = idpfKey;
+module.exports.adobeKey = adobeKey;
+module.exports.deobfuscate = deobfuscate;
+// XOR with the same key obfuscates the font again
+module.exports.obfuscate = deobfuscate;
@@ -0,0 +1,99 @@
+/**
+ *  isRemote(href) -> Boolean
+ *  - href (String): URL
+ *
+ *  Checks if an URL has a scheme ("http:", "data:", "mailto:" etc.)
+ *  and so doesn't point to a file in the archive
+ **/
+function isRemote(href) {
+    return /^[a-z][a-z0-9+.\-]*:/i.test(href || "");
+}
+
+/**
+ *  isScript(url) -> Boolean
+ *  - url (String): URL
+ *
+ *  Checks for "javascript:" and "vbscript:" URLs. Browsers ignore
+ *  whitespace and control characters inside the scheme, so these are
+ *  removed before checking
+ **/
+function isScript(url) {
+    return /^(javascript|vbscript):/i.test(String(url).replace(/[\s\u0000-\u001F]+/g, ""));
+}
+
+/**
+ *  resolveHref(base, href) -> String | null
+ *  - base (String): archive path of the document that has the reference
+ *  - href (String): URL from the document
+ *
+ *  Resolves an URL against the directory of the base document into an
+ *  archive path. "./" and "../" segments are resolved and percent-encoded
+ *  characters are decoded, a "?query" is dropped and a "#fragment" is
+ *  kept as it is. URLs with a scheme are returned unchanged. Returns null
+ *  if "../" segments go above the root of the archive
+ *
+ *      resolveHref("OEBPS/text/ch1.xhtml", "../images/a%20b.png#x")
+ *      // -> "OEBPS/images/a b.png#x"
+ *      resolveHref("OEBPS/ch1.xhtml", "../../secret.txt")
+ *      // -> null
+ **/
+function resolveHref(base, href) {
+    href = String(href || "").trim();
+
+    if (isRemote(href)) {
+        return href;
+    }
+
+    var hash = href.indexOf("#"),
+        fragment = hash >= 0 ? href.substr(hash) : "",
+        path = (hash >= 0 ? href.substr(0, hash) : href).split("?")[0],
+        segments, output = [], outside = false;
+
+    try {
+        path = decodeURIComponent(path);
+    } catch (E) {
+        // keep malformed escapes as they are
+    }
+
+    if (!path) {
+        // fragment only, points to the base document itself
+        return base + fragment;
+    }
+
+    if (path.charAt(0) == "/") {
+        segments = path.substr(1).split("/");
+    } else {
+        segments = String(base || "").split("/");
+        segments.pop();
+        segments = segments.concat(path.split("/"));
+    }
+
+    segments.forEach(function (segment, i) {
+        if (segment == "..") {
+            outside = outside || !output.length;
+            output.pop();
+        } else if (segment != "." && (segment || i == segments.length - 1)) {
+            output.push(segment);
+        }
+    });
+
+    return outside ? null : output.join("/") + fragment;
+}
+
+/**
+ *  dirname(path) -> String
+ *  - path (String): archive path
+ *
+ *  Returns the directory of an archive path without a trailing slash,
+ *  an empty string for files in the archive root
+ **/
+function dirname(path) {
+    var parts = String(path || "").split("/");
+    parts.pop();
+    return parts.join("/");
+}
+
+module.exports.isRemote = isRemote;
+module.exports.isScript = isScript;
+module.exports.resolveHref = resolveHref;
+module.exports.dirname = dirname;
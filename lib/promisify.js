@@ -0,0 +1,32 @@
+/**
+ *  promisify(method) -> Function
+ *  - method (Function): method that takes a callback as the last argument
+ *
+ *  Wraps a callback method so that it returns a Promise when it's called
+ *  without a callback. The promise resolves with the result, or with an
+ *  array of the results if the callback gets more than one (data, mimeType)
+ **/
+function promisify(method) {
+    return function () {
+        var args = Array.prototype.slice.call(arguments),
+            self = this;
+
+        if (typeof args[args.length - 1] == "function") {
+            return method.apply(this, args);
+        }
+
+        return new Promise(function (resolve, reject) {
+            args.push(function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                var results = Array.prototype.slice.call(arguments, 1);
+                resolve(results.length > 1 ? results : results[0]);
+            });
+            method.apply(self, args);
+        });
+    };
+}
+
+module.exports = promisify;
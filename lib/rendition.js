@@ -0,0 +1,77 @@
+// Rendition properties of EPUB 3 fixed-layout books with their defaults
+var DEFAULTS = {layout: "reflowable", orientation: "auto", spread: "auto"};
+
+/**
+ *  parseViewport(content) -> Object | null
+ *  - content (String): viewport value, eg. "width=1200, height=1600"
+ *
+ *  Parses the "width" and "height" of a <meta name="viewport"> or a
+ *  rendition:viewport value. Returns null if either one is missing or not
+ *  a number (like "device-width")
+ **/
+function parseViewport(content) {
+    var viewport = {};
+
+    String(content || "").split(/[,;]/).forEach(function (part) {
+        var match = part.trim().match(/^(width|height)\s*=\s*(\d+(?:\.\d+)?)(?:px)?$/i);
+        if (match) {
+            viewport[match[1].toLowerCase()] = Number(match[2]);
+        }
+    });
+
+    return viewport.width && viewport.height ? {width: viewport.width, height: viewport.height} : null;
+}
+
+/**
+ *  svgViewport(element) -> Object | null
+ *  - element (Object): root <svg> element from dom.parse()
+ *
+ *  Returns the size of an SVG document from its viewBox or from its
+ *  "width" and "height" attributes
+ **/
+function svgViewport(element) {
+    var box = String(element.attributes.viewBox || "").trim().split(/[\s,]+/).map(Number),
+        width = parseFloat(element.attributes.width),
+        height = parseFloat(element.attributes.height);
+
+    if (box.length == 4 && box[2] > 0 && box[3] > 0) {
+        return {width: box[2], height: box[3]};
+    }
+    return width > 0 && height > 0 ? {width: width, height: height} : null;
+}
+
+/**
+ *  itemRendition(book, properties) -> Object
+ *  - book (Object): rendition properties of the book
+ *  - properties (Array): spine itemref properties
+ *
+ *  Applies the per item overrides (eg. "rendition:layout-pre-paginated",
+ *  "rendition:spread-none") to the rendition properties of the book.
+ *  Reflowable items have no viewport
+ **/
+function itemRendition(book, properties) {
+    var rendition = {
+        layout: book.layout,
+        orientation: book.orientation,
+        spread: book.spread,
+        viewport: book.viewport
+    };
+
+    properties.forEach(function (property) {
+        var match = property.match(/^rendition:(layout|orientation|spread)-(.+)$/);
+        if (match) {
+            rendition[match[1]] = match[2];
+        }
+    });
+
+    if (rendition.layout != "pre-paginated") {
+        // viewports only apply to fixed-layout content
+        rendition.viewport = null;
+    }
+    return rendition;
+}
+
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.parseViewport = parseViewport;
+module.exports.svgViewport = svgViewport;
+module.exports.itemRendition = itemRendition;
@@ -0,0 +1,62 @@
+var pathlib = require('path').posix;
+
+/**
+ *  prefix(reference, callback) -> undefined
+ *  - reference (Object): resource reference from a chapter
+ *  - callback (Function): callback function
+ *
+ *  Default strategy. Links get the linkroot prefix and other resources the
+ *  imageroot prefix, followed by the manifest id and the archive path. The
+ *  id and every path segment are percent-encoded
+ *
+ *      /images/logo_img/OPT/logo.jpg
+ *      /links/ch%201/Text/Chapter%201.xhtml
+ **/
+function prefix(reference, callback) {
+    var root = reference.kind == "link" ? this.linkroot : this.imageroot;
+    callback(null, root + encodeURIComponent(reference.item.id) + "/" +
+        reference.path.split("/").map(encodeURIComponent).join("/") + reference.fragment);
+}
+
+/**
+ *  data(reference, callback) -> undefined
+ *  - reference (Object): resource reference from a chapter
+ *  - callback (Function): callback function
+ *
+ *  Inlines images, fonts and other resources as data: URIs, links to
+ *  other chapters are handled like with the prefix strategy
+ **/
+function data(reference, callback) {
+    if (reference.kind == "link") {
+        prefix.call(this, reference, callback);
+        return;
+    }
+
+    this._readZipFile(reference.item.href, function (err, contents) {
+        if (err) {
+            callback(new Error("Reading archive failed"));
+            return;
+        }
+        callback(null, "data:" + (reference.item['media-type'] || "application/octet-stream") + ";base64," +
+            contents.toString("base64") + reference.fragment);
+    });
+}
+
+/**
+ *  relative(reference, callback) -> undefined
+ *  - reference (Object): resource reference from a chapter
+ *  - callback (Function): callback function
+ *
+ *  Uses paths relative to the chapter, for serving the extracted archive
+ *  as static files
+ *
+ *      ../images/logo.jpg
+ **/
+function relative(reference, callback) {
+    var path = pathlib.relative(pathlib.dirname(reference.chapter.href), reference.path);
+    callback(null, path.split("/").map(encodeURIComponent).join("/") + reference.fragment);
+}
+
+module.exports.prefix = prefix;
+module.exports.data = data;
+module.exports.relative = relative;
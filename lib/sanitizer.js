@@ -0,0 +1,251 @@
+var paths = require('./paths');
+var css = require('./css');
+
+// Elements kept in chapter contents, anything else is replaced with its contents
+var ALLOWED_ELEMENTS = [
+    "a", "abbr", "address", "area", "article", "aside", "audio", "b", "bdi", "bdo", "big", "blockquote",
+    "br", "caption", "center", "cite", "code", "col", "colgroup", "dd", "del", "details", "dfn", "div",
+    "dl", "dt", "em", "figcaption", "figure", "font", "footer", "h1", "h2", "h3", "h4", "h5",
+    "h6", "header", "hgroup", "hr", "i", "img", "ins", "kbd", "li", "main", "map", "mark", "nav",
+    "ol", "p", "picture", "pre", "q", "rp", "rt", "ruby", "s", "samp", "section",
+    "small", "source", "span", "strike", "strong", "sub", "summary", "sup", "table", "tbody", "td",
+    "tfoot", "th", "thead", "time", "tr", "track", "tt", "u", "ul", "var", "video", "wbr",
+    // SVG
+    "svg", "circle", "clipPath", "defs", "desc", "ellipse", "g", "image", "line", "linearGradient",
+    "mask", "path", "pattern", "polygon", "polyline", "radialGradient", "rect", "stop", "symbol",
+    "text", "title", "tspan", "use",
+    // MathML
+    "math", "annotation", "menclose", "mfenced", "mfrac", "mi", "mmultiscripts", "mn", "mo", "mover",
+    "mpadded", "mphantom", "mroot", "mrow", "ms", "mspace", "msqrt", "mstyle", "msub", "msubsup",
+    "msup", "mtable", "mtd", "mtext", "mtr", "munder", "munderover", "semantics"
+];
+
+// Attributes kept on allowed elements, "*" at the end matches any suffix
+var ALLOWED_ATTRIBUTES = [
+    "id", "class", "title", "lang", "xml:lang", "dir", "style", "epub:type", "role", "aria-*", "data-*",
+    "xmlns", "xmlns:*", "href", "src", "srcset", "sizes", "alt", "width", "height", "align", "valign",
+    "border", "cellpadding", "cellspacing", "colspan", "rowspan", "span", "start", "reversed", "type",
+    "value", "cite", "datetime", "controls", "loop", "muted", "poster", "preload", "usemap", "shape", "coords", "color", "face", "size", "open", "kind", "srclang", "label",
+    // SVG
+    "xlink:href", "viewBox", "preserveAspectRatio", "version", "x", "y", "x1", "y1", "x2", "y2", "cx",
+    "cy", "r", "rx", "ry", "d", "points", "transform", "fill", "fill-opacity", "fill-rule", "stroke",
+    "stroke-width", "stroke-opacity", "stroke-linecap", "stroke-linejoin", "opacity", "offset",
+    "stop-color", "stop-opacity", "gradientUnits", "gradientTransform", "clip-path", "mask",
+    "font-size", "font-family", "font-weight", "text-anchor",
+    // MathML
+    "display", "mathvariant", "mathsize", "encoding", "linethickness", "stretchy", "separators"
+];
+
+// Elements that are removed together with their contents
+var REMOVED_ELEMENTS = ["script", "style", "noscript", "template", "iframe", "frame", "frameset"];
+
+// Attributes that hold a single URL
+var URL_ATTRIBUTES = ["href", "src", "xlink:href", "poster", "data"];
+
+// data: URLs that are kept, only raster images on <img>
+var DATA_IMAGE = /^data:image\/(png|jpeg|gif|webp)[;,]/i;
+
+/**
+ *  sanitize(node, options) -> Array
+ *  - node (Object): element or document node from dom.parse()
+ *  - options (Object): "elements" and "attributes" allowlists and a
+ *    "rewrite" function for URLs
+ *
+ *  Cleans up the children of a node and returns them as a new list.
+ *  Elements not in the allowlist are replaced with their contents
+ *  (except for <script>, <style> etc. which are dropped entirely) and
+ *  attributes not in the allowlist are removed, which includes every
+ *  on* event handler.
+ *
+ *  Every resource reference (src, href, xlink:href, poster, object data,
+ *  srcset candidates and url() in style attributes) is passed through
+ *  options.rewrite(url, kind) where kind is "link" for navigation links
+ *  (<a> and <area>) and "resource" for embedded files. "javascript:"
+ *  URLs are removed, as are "data:" URLs except for PNG, JPEG, GIF and
+ *  WebP images on <img>
+ **/
+function sanitize(node, options) {
+    var elements = lowercase(options.elements || ALLOWED_ELEMENTS),
+        attributes = lowercase(options.attributes || ALLOWED_ATTRIBUTES),
+        rewrite = options.rewrite || function (url) {
+            return url;
+        };
+
+    function walk(parent) {
+        var output = [];
+
+        parent.children.forEach(function (child) {
+            if (child.type != "element") {
+                output.push(child);
+                return;
+            }
+
+            var name = child.name.toLowerCase(),
+                local = name.split(":").pop();
+
+            if (REMOVED_ELEMENTS.indexOf(local) >= 0) {
+                return;
+            }
+
+            var children = walk(child);
+
+            if (!allowed(elements, name) && !allowed(elements, local)) {
+                children.forEach(function (grandchild) {
+                    grandchild.parent = parent;
+                });
+                output = output.concat(children);
+                return;
+            }
+
+            child.children = children;
+            child.attributes = cleanAttributes(child, local);
+            child.parent = parent;
+            output.push(child);
+        });
+
+        return output;
+    }
+
+    function cleanAttributes(element, local) {
+        var result = {};
+
+        Object.keys(element.attributes).forEach(function (key) {
+            var name = key.toLowerCase(),
+                value = element.attributes[key];
+
+            if (!allowed(attributes, name)) {
+                return;
+            }
+
+            value = rewriteAttribute(name, value, local, rewrite);
+            if (value !== null && value !== undefined) {
+                result[key] = value;
+            }
+        });
+
+        return result;
+    }
+
+    return walk(node);
+}
+
+/**
+ *  rewriteUrls(nodes, rewrite) -> Array
+ *  - nodes (Array): nodes returned by sanitize()
+ *  - rewrite (Function): URL rewrite function, gets (url, kind)
+ *
+ *  Passes the URLs of sanitized nodes through rewrite(url, kind) like
+ *  sanitize() does, so URLs can be collected first and replaced after
+ *  they are resolved. Changes the nodes and returns them
+ **/
+function rewriteUrls(nodes, rewrite) {
+    (function walk(list) {
+        list.forEach(function (node) {
+            if (node.type != "element") {
+                return;
+            }
+
+            var local = node.name.toLowerCase().split(":").pop();
+
+            Object.keys(node.attributes).forEach(function (key) {
+                var value = rewriteAttribute(key.toLowerCase(), node.attributes[key], local, rewrite);
+                if (value === null || value === undefined) {
+                    delete node.attributes[key];
+                } else {
+                    node.attributes[key] = value;
+                }
+            });
+            walk(node.children);
+        });
+    })(nodes);
+
+    return nodes;
+}
+
+/**
+ *  rewriteAttribute(name, value, local, rewrite) -> String | null
+ *  - name (String): lowercase attribute name
+ *  - value (String): attribute value
+ *  - local (String): lowercase element name without the namespace prefix
+ *  - rewrite (Function): URL rewrite function, gets (url, kind)
+ *
+ *  Rewrites the URLs in an attribute value. Returns null if the attribute
+ *  has to be removed, other attributes are returned as they are
+ **/
+function rewriteAttribute(name, value, local, rewrite) {
+    var kind = ["a", "area"].indexOf(local) >= 0 ? "link" : "resource";
+
+    if (URL_ATTRIBUTES.indexOf(name) >= 0) {
+        return isUnsafe(value, local) ? null : rewrite(value.trim(), kind);
+    }
+    if (name == "srcset") {
+        return value.split(",").map(function (candidate) {
+            var parts = candidate.trim().split(/\s+/);
+            if (!parts[0] || isUnsafe(parts[0], local)) {
+                return "";
+            }
+            parts[0] = rewrite(parts[0], "resource");
+            return parts.join(" ");
+        }).filter(function (candidate) {
+            return candidate;
+        }).join(", ");
+    }
+    if (name == "style") {
+        return css.rewrite(value, function (url, kind) {
+            return isUnsafe(url, "") ? "" : rewrite(url, kind);
+        });
+    }
+    return value;
+}
+
+/**
+ *  isUnsafe(url, local) -> Boolean
+ *  - url (String): URL from an attribute
+ *  - local (String): lowercase element name without the namespace prefix
+ *
+ *  Checks for script URLs and "data:" URLs other than raster images on
+ *  <img>. Like paths.isScript, whitespace and control characters are
+ *  ignored as browsers ignore them in the scheme
+ **/
+function isUnsafe(url, local) {
+    var normalized = String(url).replace(/[\s\u0000-\u001F]+/g, "");
+
+    if (paths.isScript(url)) {
+        return true;
+    }
+    return /^data:/i.test(normalized) && !(local == "img" && DATA_IMAGE.test(normalized));
+}
+
+/**
+ *  allowed(list, name) -> Boolean
+ *  - list (Array): allowlist, entries ending with "*" match any suffix
+ *  - name (String): lowercase name
+ *
+ *  Checks if a name is in the allowlist
+ **/
+function allowed(list, name) {
+    var i, len;
+    for (i = 0, len = list.length; i < len; i++) {
+        if (list[i] == name || list[i].substr(-1) == "*" && name.indexOf(list[i].slice(0, -1)) === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ *  lowercase(list) -> Array
+ *  - list (Array): list of names
+ *
+ *  Returns a lowercased copy of a list of names
+ **/
+function lowercase(list) {
+    return list.map(function (name) {
+        return String(name).toLowerCase();
+    });
+}
+
+module.exports = sanitize;
+module.exports.ALLOWED_ELEMENTS = ALLOWED_ELEMENTS;
+module.exports.ALLOWED_ATTRIBUTES = ALLOWED_ATTRIBUTES;
+module.exports.rewriteUrls = rewriteUrls;
@@ -0,0 +1,229 @@
+// word characters for whole word matching without the "u" flag, built when first needed
+var wordClass = null;
+
+/**
+ *  fold(str, options) -> Object
+ *  - str (String): text to fold
+ *  - options (Object): "caseSensitive" and "diacritics" (true to keep
+ *    diacritics significant)
+ *
+ *  Removes the differences that should not matter for matching, case and
+ *  diacritics by default. Returns the folded "text" and a "map" from
+ *  positions in the folded text to positions in the original
+ **/
+function fold(str, options) {
+    var text = "", map = [], normalized, i = 0, j = 0, code, length, width, k, c, n;
+
+    str = String(str);
+    options = options || {};
+
+    if (options.caseSensitive && options.diacritics) {
+        return {text: str, map: null};
+    }
+
+    // the decomposition of a character is looked up only when it differs in the normalized text
+    normalized = options.diacritics ? str : str.normalize("NFD");
+
+    while (i < str.length && j < normalized.length) {
+        code = str.codePointAt(i);
+        c = String.fromCodePoint(code);
+        width = c.length;
+        length = normalized.codePointAt(j) === code ? width : c.normalize("NFD").length;
+
+        for (k = j; k < j + length; k++) {
+            c = normalized.charAt(k);
+            if (!options.diacritics && c >= "\u0300" && c <= "\u036f") {
+                continue;
+            }
+            if (!options.caseSensitive) {
+                c = c.toLowerCase();
+            }
+            for (n = 0; n < c.length; n++) {
+                // both halves of a surrogate pair are mapped, a match can't end in the middle of one
+                map.push(i + Math.min(k - j, width - 1));
+            }
+            text += c;
+        }
+
+        i += width;
+        j += length;
+    }
+
+    return {text: text, map: map};
+}
+
+/**
+ *  compile(query, options) -> RegExp
+ *  - query (String): search query
+ *  - options (Object): "regex" to use the query as a regular expression,
+ *    "wholeWord" to match only whole words and the fold() options
+ *
+ *  Builds the regular expression for matching folded text. Regular
+ *  expressions that are only valid without the "u" flag (like "foo\-bar")
+ *  are compiled without it. Throws if the query is empty or not a valid
+ *  regular expression
+ **/
+function compile(query, options) {
+    options = options || {};
+
+    var source = String(query || ""),
+        flags = options.caseSensitive ? "g" : "gi";
+
+    if (!source) {
+        throw new Error("Empty search query");
+    }
+
+    // case is left to the "i" flag as lowercasing would break escapes like \W
+    source = fold(source, {caseSensitive: true, diacritics: options.diacritics}).text;
+
+    if (!options.regex) {
+        source = source.replace(/[\\^$.*+?()[\]{}|\/]/g, "\\$&");
+    }
+
+    try {
+        return new RegExp(wholeWord(source, "\\p{L}\\p{N}_", options), flags + "u");
+    } catch (E) {
+        if (!options.regex) {
+            throw new Error("Invalid search query");
+        }
+    }
+
+    try {
+        return new RegExp(wholeWord(source, wordCharacters(), options), flags);
+    } catch (E) {
+        throw new Error("Invalid search query");
+    }
+}
+
+/**
+ *  wholeWord(source, characters, options) -> String
+ *  - source (String): regular expression
+ *  - characters (String): word characters as the contents of a character class
+ *  - options (Object): compile() options
+ *
+ *  Wraps the expression so that it matches only whole words when the
+ *  "wholeWord" option is set
+ **/
+function wholeWord(source, characters, options) {
+    if (!options.wholeWord) {
+        return source;
+    }
+    return "(?<![" + characters + "])(?:" + source + ")(?![" + characters + "])";
+}
+
+/**
+ *  wordCharacters() -> String
+ *
+ *  Returns the letters, digits and "_" of the Basic Multilingual Plane as
+ *  ranges of a character class, as "\p{L}" and "\p{N}" need the "u" flag
+ **/
+function wordCharacters() {
+    var word = /[\p{L}\p{N}_]/u, ranges = [], start = -1, code;
+
+    var hex = function (code) {
+        return "\\u" + ("000" + code.toString(16)).slice(-4);
+    };
+
+    if (wordClass === null) {
+        for (code = 0; code <= 0x10000; code++) {
+            if (code < 0x10000 && word.test(String.fromCharCode(code))) {
+                start = start < 0 ? code : start;
+            } else if (start >= 0) {
+                ranges.push(hex(start) + (code - 1 > start ? "-" + hex(code - 1) : ""));
+                start = -1;
+            }
+        }
+        wordClass = ranges.join("");
+    }
+    return wordClass;
+}
+
+/**
+ *  find(chapter, regex, options, limit) -> Array
+ *  - chapter (Object): chapter text with "text" and "offsets" from getChapterText
+ *  - regex (RegExp): expression from compile()
+ *  - options (Object): fold() options and "context", the number of
+ *    characters to include before and after the match
+ *  - limit (Number): maximum number of matches
+ *
+ *  Finds the matches in the text of a chapter. Returns a list of
+ *  {start, end, snippet, offset} objects where start and end are
+ *  positions in the chapter text, snippet has the "before", "match" and
+ *  "after" parts and offset is the paragraph of the match
+ **/
+function find(chapter, regex, options, limit) {
+    var folded = fold(chapter.text, options),
+        context = options.context || 40,
+        matches = [],
+        match, start, end;
+
+    regex.lastIndex = 0;
+
+    while (matches.length < limit && (match = regex.exec(folded.text))) {
+        if (!match[0].length) {
+            // empty matches would loop forever
+            regex.lastIndex++;
+            continue;
+        }
+
+        start = folded.map ? folded.map[match.index] : match.index;
+        end = folded.map ? folded.map[match.index + match[0].length - 1] + 1 : match.index + match[0].length;
+
+        matches.push({
+            start: start,
+            end: end,
+            snippet: snippet(chapter.text, start, end, context),
+            offset: paragraph(chapter.offsets, start)
+        });
+    }
+
+    return matches;
+}
+
+/**
+ *  snippet(text, start, end, context) -> Object
+ *  - text (String): chapter text
+ *  - start (Number): start of the match
+ *  - end (Number): end of the match
+ *  - context (Number): number of characters around the match
+ *
+ *  Cuts the text around a match at word boundaries
+ **/
+function snippet(text, start, end, context) {
+    var before = text.substring(Math.max(0, start - context), start),
+        after = text.substr(end, context);
+
+    if (start - context > 0) {
+        before = before.replace(/^\S*\s+/, "");
+    }
+    if (end + context < text.length) {
+        after = after.replace(/\s+\S*$/, "");
+    }
+
+    return {
+        before: before.replace(/\s+/g, " ").replace(/^ /, ""),
+        match: text.substring(start, end),
+        after: after.replace(/\s+/g, " ").replace(/ $/, "")
+    };
+}
+
+/**
+ *  paragraph(offsets, position) -> Object | null
+ *  - offsets (Array): paragraph offsets of the chapter text
+ *  - position (Number): position in the chapter text
+ *
+ *  Returns the paragraph that contains a position
+ **/
+function paragraph(offsets, position) {
+    var i;
+    for (i = offsets.length - 1; i >= 0; i--) {
+        if (offsets[i].start <= position) {
+            return offsets[i];
+        }
+    }
+    return null;
+}
+
+module.exports.fold = fold;
+module.exports.compile = compile;
+module.exports.find = find;
@@ -0,0 +1,103 @@
+var paths = require('./paths');
+
+// Units of SMIL timecount values in seconds
+var UNITS = {h: 3600, min: 60, s: 1, ms: 0.001};
+
+/**
+ *  parseClock(value) -> Number | null
+ *  - value (String): SMIL clock value
+ *
+ *  Converts a SMIL clock value to seconds. Supports full clock values
+ *  ("1:02:03.5"), partial clock values ("02:03.5") and timecounts ("3.5s",
+ *  "500ms", "2min", "1h" and "3.5" for seconds). Returns null if the
+ *  value is empty or not a clock value
+ **/
+function parseClock(value) {
+    var str = String(value || "").trim(),
+        match;
+
+    if ((match = str.match(/^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/))) {
+        return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    }
+    if ((match = str.match(/^(\d+(?:\.\d+)?|\.\d+)(h|min|s|ms)?$/))) {
+        return Number(match[1]) * UNITS[match[2] || "s"];
+    }
+    return null;
+}
+
+/**
+ *  parse(root, base) -> Array
+ *  - root (Object): SMIL document from dom.parse()
+ *  - base (String): archive path of the SMIL document
+ *
+ *  Collects the <par> elements of a media overlay in document order,
+ *  nested <seq> elements included. Returns a list of {id, textRef,
+ *  audioSrc, clipBegin, clipEnd} objects, "textRef" and "audioSrc" are
+ *  archive paths (textRef with the fragment), clip times are in seconds
+ *  and clipEnd is null when the clip lasts until the end of the audio
+ **/
+function parse(root, base) {
+    var pars = [];
+
+    (function walk(node) {
+        node.children.forEach(function (child) {
+            if (child.type != "element") {
+                return;
+            }
+            if (localName(child) == "par") {
+                pars.push(parsePar(child, base));
+            } else {
+                walk(child);
+            }
+        });
+    })(root);
+
+    return pars;
+}
+
+/**
+ *  parsePar(element, base) -> Object
+ *  - element (Object): <par> element
+ *  - base (String): archive path of the SMIL document
+ *
+ *  Reads the <text> and <audio> children of a <par>
+ **/
+function parsePar(element, base) {
+    var text = child(element, "text"),
+        audio = child(element, "audio"),
+        attributes = audio ? audio.attributes : {};
+
+    return {
+        id: element.attributes.id || "",
+        textRef: text && text.attributes.src && paths.resolveHref(base, text.attributes.src) || "",
+        audioSrc: attributes.src && paths.resolveHref(base, attributes.src) || "",
+        clipBegin: parseClock(attributes.clipBegin) || 0,
+        clipEnd: parseClock(attributes.clipEnd)
+    };
+}
+
+/**
+ *  child(element, name) -> Object | null
+ *  - element (Object): parent element
+ *  - name (String): local name of the child
+ *
+ *  Returns the first child element with a name
+ **/
+function child(element, name) {
+    return element.children.filter(function (node) {
+        return node.type == "element" && localName(node) == name;
+    })[0] || null;
+}
+
+/**
+ *  localName(element) -> String
+ *  - element (Object): element node
+ *
+ *  Returns the element name without a namespace prefix
+ **/
+function localName(element) {
+    return element.name.split(":").pop().toLowerCase();
+}
+
+module.exports.parseClock = parseClock;
+module.exports.parse = parse;
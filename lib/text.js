@@ -0,0 +1,415 @@
+var paths = require('./paths');
+var dom = require('./dom');
+
+// Elements that start a new paragraph
+var BLOCK_ELEMENTS = ["address", "article", "aside", "blockquote", "caption", "dd", "div", "dl", "dt",
+    "figcaption", "figure", "footer", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hgroup", "hr", "li",
+    "main", "nav", "ol", "p", "pre", "section", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul"];
+
+// Elements without readable text
+var SKIPPED_ELEMENTS = ["script", "style", "noscript", "template", "head", "title"];
+
+/**
+ *  toText(node, options) -> Object
+ *  - node (Object): <body> element or document node from dom.parse()
+ *  - options (Object): "format" ("text" or "markdown"), "footnoteMarkers"
+ *    (false to drop noteref links) and "base" (archive path of the
+ *    chapter for link and image URLs)
+ *
+ *  Converts a parsed chapter to plain text or Markdown. Block elements
+ *  become paragraphs separated by an empty line. Returns an object with
+ *  the "text" and a list of "offsets", one for each paragraph, with
+ *  "start" and "end" positions in the text, the "type" (element name),
+ *  "level" for headings, "path" (element indexes from the <body>) and
+ *  the "id" attribute of the element. "anchors" maps the id attributes
+ *  of all elements to the start of the paragraph they are in
+ **/
+function toText(node, options) {
+    options = options || {};
+
+    var markdown = options.format == "markdown",
+        blocks = [],
+        anchors = {},
+        stack = [];
+
+    // current paragraph, inline text is collected into it
+    function block() {
+        return stack[stack.length - 1];
+    }
+
+    function append(str) {
+        block().text += str;
+    }
+
+    function flush() {
+        var current = block(),
+            text = current.pre ? current.text.replace(/^\n+|\s+$/g, "") :
+                current.text.replace(/[ \t]*\n[ \t]*/g, "\n").replace(/ {2,}/g, " ").trim();
+
+        if (text || current.type == "hr" && markdown) {
+            blocks.push({
+                text: text,
+                type: current.type,
+                level: current.level,
+                path: current.path,
+                id: current.id,
+                prefix: current.prefix,
+                quote: current.quote,
+                pre: current.pre
+            });
+        }
+        current.text = "";
+        // later paragraphs of the same element get the first line prefix only once
+        current.prefix = current.indent;
+    }
+
+    function walk(parent, path) {
+        var index = 0;
+
+        parent.children.forEach(function (child) {
+            if (child.type == "text") {
+                if (block().pre) {
+                    append(child.value);
+                } else {
+                    append((markdown ? escape(child.value) : child.value).replace(/\s+/g, " ").
+                        replace(/^ /, block().text.match(/(^|\s)$/) ? "" : " "));
+                }
+                return;
+            }
+            if (child.type != "element") {
+                return;
+            }
+
+            var name = child.name.toLowerCase().split(":").pop(),
+                childPath = path.concat(index++),
+                attributes = child.attributes,
+                href, target;
+
+            if (SKIPPED_ELEMENTS.indexOf(name) >= 0 || options.footnoteMarkers === false && isNoteref(child)) {
+                return;
+            }
+
+            if (attributes.id && !anchors.hasOwnProperty(attributes.id)) {
+                // index of the paragraph that is collected next
+                anchors[attributes.id] = blocks.length;
+            }
+
+            if (BLOCK_ELEMENTS.indexOf(name) >= 0) {
+                enterBlock(child, name, childPath);
+                return;
+            }
+
+            switch (name) {
+            case "br":
+                append("\n");
+                break;
+            case "img":
+                if (markdown) {
+                    append("![" + escape(attributes.alt || "") + "](" + (url(attributes.src) || "") + ")");
+                }
+                break;
+            case "a":
+                href = attributes.href || attributes["xlink:href"];
+                target = markdown && href && url(href);
+                if (target) {
+                    append("[");
+                    walk(child, childPath);
+                    append("](" + target + ")");
+                } else {
+                    walk(child, childPath);
+                }
+                break;
+            case "em":
+            case "i":
+            case "cite":
+            case "dfn":
+                inline(child, childPath, "*");
+                break;
+            case "strong":
+            case "b":
+                inline(child, childPath, "**");
+                break;
+            case "code":
+            case "kbd":
+            case "samp":
+            case "tt":
+                inline(child, childPath, block().pre ? "" : "`");
+                break;
+            default:
+                walk(child, childPath);
+            }
+        });
+    }
+
+    function inline(element, path, marker) {
+        if (!markdown || !marker) {
+            walk(element, path);
+            return;
+        }
+        var start = block().text.length, inner;
+        walk(element, path);
+        inner = block().text.substr(start);
+        block().text = block().text.substr(0, start);
+        if (inner.trim()) {
+            // markers must be next to the text, keep the spaces outside
+            append(inner.match(/^\s*/)[0] + marker + inner.trim() + marker + inner.match(/\s*$/)[0]);
+        } else {
+            append(inner);
+        }
+    }
+
+    function enterBlock(element, name, path) {
+        var parent = block(),
+            current = {
+                type: name,
+                level: name.match(/^h[1-6]$/) ? Number(name.charAt(1)) : 0,
+                path: path,
+                id: element.attributes.id || "",
+                text: "",
+                pre: parent.pre || name == "pre",
+                lists: parent.lists,
+                indent: parent.indent,
+                prefix: parent.indent,
+                quote: parent.quote
+            },
+            list, marker;
+
+        flush();
+
+        if (name == "ul" || name == "ol") {
+            current.lists = parent.lists.concat({ordered: name == "ol", index: Number(element.attributes.start) || 1});
+        } else if (name == "li" && parent.lists.length) {
+            list = parent.lists[parent.lists.length - 1];
+            marker = list.ordered ? (list.index++) + ". " : "- ";
+            current.prefix = parent.indent + marker;
+            current.indent = parent.indent + new Array(marker.length + 1).join(" ");
+        } else if (name == "blockquote") {
+            current.quote = parent.quote + 1;
+        }
+
+        stack.push(current);
+        walk(element, path);
+        flush();
+        stack.pop();
+        parent.prefix = parent.indent;
+    }
+
+    // null for links that point outside of the archive
+    function url(href) {
+        var path = paths.resolveHref(options.base || "", href || "");
+        if (path === null) {
+            return null;
+        }
+        return encodeURI(path).replace(/[()]/g, function (c) {
+            return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+        });
+    }
+
+    stack.push({type: "", level: 0, path: [], id: "", text: "", pre: false, lists: [], indent: "", prefix: "", quote: 0});
+    walk(node, []);
+    flush();
+
+    return render(blocks, anchors, markdown);
+}
+
+/**
+ *  render(blocks, anchors, markdown) -> Object
+ *  - blocks (Array): paragraphs from toText()
+ *  - anchors (Object): element ids with paragraph indexes
+ *  - markdown (Boolean): use Markdown syntax
+ *
+ *  Joins the paragraphs and records their offsets
+ **/
+function render(blocks, anchors, markdown) {
+    var text = "", offsets = [];
+
+    blocks.forEach(function (block) {
+        var str = block.text;
+
+        if (markdown) {
+            if (block.level) {
+                str = new Array(block.level + 1).join("#") + " " + str.replace(/\n/g, " ");
+            } else if (block.type == "hr") {
+                str = "---";
+            } else if (block.pre) {
+                str = "```\n" + str + "\n```";
+            } else {
+                // hard line breaks inside a paragraph
+                str = str.replace(/\n/g, "\\\n");
+            }
+            // list markers on the first line, blockquote markers on every line
+            str = str.split("\n").map(function (line, i) {
+                return new Array(block.quote + 1).join("> ") + (i ? block.prefix.replace(/./g, " ") : block.prefix) + line;
+            }).join("\n").replace(/[ \t]+$/gm, "");
+        }
+
+        if (text) {
+            text += "\n\n";
+        }
+        offsets.push({
+            start: text.length,
+            end: text.length + str.length,
+            type: block.type,
+            level: block.level,
+            path: block.path,
+            id: block.id
+        });
+        text += str;
+    });
+
+    Object.keys(anchors).forEach(function (id) {
+        anchors[id] = offsets[anchors[id]] ? offsets[anchors[id]].start : text.length;
+    });
+
+    return {text: text, offsets: offsets, anchors: anchors};
+}
+
+/**
+ *  locate(node, result, position) -> Object | null
+ *  - node (Object): the node that was given to toText()
+ *  - result (Object): plain text result of toText()
+ *  - position (Number): position in the text
+ *
+ *  Maps a position in the plain text back to the document. Returns the
+ *  "path" of the paragraph element and the "offset" in its text content
+ *  (see dom.textNodes). Whitespace is matched the same way as toText()
+ *  collapses it, so positions inside a paragraph are exact as long as
+ *  the text was made with the default options
+ **/
+function locate(node, result, position) {
+    var paragraph = null, element = node, k = 0, runs = [], run = [], nodes,
+        count = 0, space = true, local, i, j, item;
+
+    for (i = result.offsets.length - 1; i >= 0; i--) {
+        if (result.offsets[i].start <= position) {
+            paragraph = result.offsets[i];
+            break;
+        }
+    }
+    if (!paragraph) {
+        return null;
+    }
+
+    // an element with nested blocks makes more than one paragraph
+    for (i = 0; result.offsets[i] != paragraph; i++) {
+        if (result.offsets[i].path.join("/") == paragraph.path.join("/")) {
+            k++;
+        }
+    }
+
+    paragraph.path.forEach(function (index) {
+        element = element.children.filter(function (child) {
+            return child.type == "element";
+        })[index];
+    });
+
+    (function walk(parent) {
+        parent.children.forEach(function (child) {
+            if (child.type == "text") {
+                run.push(child);
+                return;
+            }
+            var name = child.name.toLowerCase().split(":").pop();
+            if (SKIPPED_ELEMENTS.indexOf(name) >= 0) {
+                return;
+            }
+            if (BLOCK_ELEMENTS.indexOf(name) >= 0) {
+                runs.push(run);
+                run = [];
+            } else if (name == "br") {
+                run.push({type: "br"});
+            } else {
+                walk(child);
+            }
+        });
+    })(element);
+    runs.push(run);
+
+    runs = runs.filter(function (run) {
+        return run.some(function (item) {
+            return item.type == "text" && item.value.trim();
+        });
+    });
+    run = runs[Math.min(k, runs.length - 1)] || [];
+
+    nodes = dom.textNodes(element);
+    local = Math.min(position, paragraph.end) - paragraph.start;
+
+    for (i = 0; i < run.length; i++) {
+        item = run[i];
+        if (item.type == "br") {
+            count++;
+            space = true;
+            continue;
+        }
+        for (j = 0; j < item.value.length; j++) {
+            if (item.value.charAt(j).match(/\s/)) {
+                if (space) {
+                    continue;
+                }
+                space = true;
+            } else {
+                space = false;
+            }
+            if (count == local) {
+                return {path: paragraph.path, offset: textOffset(nodes, item) + j};
+            }
+            count++;
+        }
+    }
+
+    // end of the paragraph
+    item = run.filter(function (item) {
+        return item.type == "text";
+    }).pop();
+    return {path: paragraph.path, offset: item ? textOffset(nodes, item) + item.value.replace(/\s+$/, "").length : 0};
+}
+
+/**
+ *  textOffset(nodes, node) -> Number
+ *  - nodes (Array): text nodes of an element
+ *  - node (Object): one of the text nodes
+ *
+ *  Returns the position where a text node starts in the text content
+ **/
+function textOffset(nodes, node) {
+    var offset = 0, i;
+    for (i = 0; i < nodes.length && nodes[i] != node; i++) {
+        offset += nodes[i].value.length;
+    }
+    return offset;
+}
+
+/**
+ *  isNoteref(element) -> Boolean
+ *  - element (Object): element node
+ *
+ *  Checks if an element is a footnote marker, a link with an epub:type or
+ *  role "noteref", or a <sup> that only has a link to a fragment
+ **/
+function isNoteref(element) {
+    var type = (element.attributes["epub:type"] || "") + " " + (element.attributes.role || ""),
+        children = element.children.filter(function (child) {
+            return child.type == "element" || child.value.trim();
+        });
+
+    if (type.match(/(^|\s)(doc-)?noteref(\s|$)/)) {
+        return true;
+    }
+
+    return element.name.toLowerCase() == "sup" && children.length == 1 && children[0].type == "element" &&
+        children[0].name.toLowerCase() == "a" && (children[0].attributes.href || "").indexOf("#") >= 0;
+}
+
+/**
+ *  escape(str) -> String
+ *  - str (String): text
+ *
+ *  Escapes characters that have a meaning in Markdown
+ **/
+function escape(str) {
+    return String(str).replace(/([\\`*_\[\]])/g, "\\$1");
+}
+
+module.exports.toText = toText;
+module.exports.locate = locate;
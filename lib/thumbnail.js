@@ -0,0 +1,60 @@
+// Image types the thumbnails can be made from
+var SUPPORTED_TYPES = ["image/jpeg", "image/png", "image/gif", "image/bmp", "image/tiff"];
+
+// jimp 1.x needs Node.js 18 or newer
+var MIN_NODE_VERSION = 18;
+
+/**
+ *  thumbnail(data, mimeType, size, callback) -> undefined
+ *  - data (Buffer): image
+ *  - mimeType (String): content-type of the image
+ *  - size (Object): maximum "width" and "height", either can be omitted
+ *  - callback (Function): gets an error object, the thumbnail buffer and
+ *    its content-type
+ *
+ *  Scales an image down to fit the size, keeping the aspect ratio. Smaller
+ *  images are not enlarged. JPEG images stay JPEG, other types become PNG.
+ *  Uses the optional pure-JS "jimp" module, which needs Node.js 18
+ **/
+function thumbnail(data, mimeType, size, callback) {
+    var type = String(mimeType || "").toLowerCase().trim(),
+        width = Number(size.width) || Infinity,
+        height = Number(size.height) || Infinity,
+        output = type == "image/jpeg" ? "image/jpeg" : "image/png",
+        Jimp;
+
+    if (SUPPORTED_TYPES.indexOf(type) < 0) {
+        process.nextTick(callback.bind(null, new Error("Unsupported image type for thumbnail")));
+        return;
+    }
+
+    if (Number(process.versions.node.split(".")[0]) < MIN_NODE_VERSION) {
+        process.nextTick(callback.bind(null, new Error("Thumbnails need Node.js " + MIN_NODE_VERSION + " or newer")));
+        return;
+    }
+
+    try {
+        Jimp = require("jimp").Jimp;
+    } catch (E) {
+        process.nextTick(callback.bind(null, new Error("Thumbnails need the jimp module")));
+        return;
+    }
+
+    Jimp.read(data).then(function (image) {
+        var scale = Math.min(width / image.width, height / image.height, 1);
+        if (scale < 1) {
+            image.resize({
+                w: Math.max(1, Math.round(image.width * scale)),
+                h: Math.max(1, Math.round(image.height * scale))
+            });
+        }
+        return image.getBuffer(output);
+    }).then(function (buffer) {
+        // out of the promise chain so errors thrown by the callback are not caught
+        process.nextTick(callback.bind(null, null, buffer, output));
+    }, function () {
+        process.nextTick(callback.bind(null, new Error("Creating thumbnail failed")));
+    });
+}
+
+module.exports = thumbnail;
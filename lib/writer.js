@@ -0,0 +1,819 @@
+var crypto = require('crypto');
+var pathlib = require('path').posix;
+var ZipWriter = require('./zip');
+var promisify = require('./promisify');
+
+var MIME_TYPES = {
+    xhtml: "application/xhtml+xml",
+    html: "application/xhtml+xml",
+    htm: "application/xhtml+xml",
+    css: "text/css",
+    js: "application/javascript",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    png: "image/png",
+    gif: "image/gif",
+    svg: "image/svg+xml",
+    webp: "image/webp",
+    ttf: "font/ttf",
+    otf: "font/otf",
+    woff: "font/woff",
+    woff2: "font/woff2",
+    mp3: "audio/mpeg",
+    m4a: "audio/mp4",
+    mp4: "video/mp4",
+    smil: "application/smil+xml",
+    ncx: "application/x-dtbncx+xml"
+};
+
+// metadata fields that are written as elements or refinements
+var KNOWN_FIELDS = ["title", "creator", "creatorFileAs", "language", "subject", "description", "date",
+    "publisher", "rights", "source", "type", "format", "coverage", "relation", "modified", "ISBN", "UUID", "identifier", "cover", "series",
+    "uniqueIdentifier", "dcterms:modified", "belongs-to-collection", "titles", "creators", "contributors",
+    "identifiers", "languages", "subjects", "collections", "metas"];
+
+// Dublin Core elements that are written from a single string field
+var TEXT_FIELDS = ["publisher", "description", "date", "rights", "source", "type", "format", "coverage", "relation"];
+
+// EPUB 3 reserved prefixes, properties using them need no prefix declaration
+var RESERVED_PREFIXES = ["a11y", "dcterms", "marc", "media", "onix", "rendition", "schema", "xsd", "msv", "prism"];
+
+/**
+ *  new EPubWriter([metadata])
+ *  - metadata (Object): book metadata, same fields as EPub#metadata
+ *
+ *  Builds a new EPUB 3 book (with an NCX file for EPUB 2 readers) from
+ *  chapters, images, stylesheets and a table of contents
+ *
+ *      var book = new EPubWriter({title: "Alice", creator: "Lewis Carroll"});
+ *      book.addStylesheet({href: "style.css", data: css});
+ *      book.addChapter({title: "Chapter 1", data: "<h1>Chapter 1</h1>..."});
+ *      book.addImage({href: "images/cover.jpg", data: jpg, cover: true});
+ *      book.write("alice.epub", function (err) { ... });
+ *
+ *  Item hrefs are relative to the package document, which is stored
+ *  as "OEBPS/content.opf"
+ **/
+function EPubWriter(metadata) {
+    this.metadata = metadata || {};
+    this.items = [];
+    this.spine = [];
+    this.toc = false;
+    this.landmarks = [];
+    this.pageList = [];
+    // "ltr", "rtl" or "default"
+    this.pageProgressionDirection = "default";
+    // EPUB 2 guide references as {type, title, href}
+    this.guide = [];
+    // "2.0" writes EPUB 2 metadata (opf: attributes instead of refinements)
+    // and leaves out the navigation document
+    this.version = "3.0";
+    // "prefix" declarations, default "lang" and text "dir" of the package
+    // document (EPUB 3 only)
+    this.packageAttributes = {};
+}
+
+/**
+ *  EPubWriter#addChapter(chapter) -> EPubWriter
+ *  - chapter (Object): chapter description
+ *
+ *  Adds a chapter to the manifest and to the end of the spine. Chapter fields:
+ *
+ *    * **data** XHTML document or a body fragment, fragments are wrapped into
+ *      a document that links all the stylesheets of the book
+ *    * **title** title for the document and the default table of contents
+ *    * **id**, **href** manifest id and path, generated if missing
+ *    * **toc** set to false to leave the chapter out of the default TOC
+ *    * **linear** set to false for non-linear (auxiliary) content
+ *    * **properties** manifest item properties ("scripted", "svg" etc.)
+ **/
+EPubWriter.prototype.addChapter = function (chapter) {
+    var id = chapter.id || this._uniqueId("chapter");
+
+    this.items.push({
+        id: id,
+        href: chapter.href || id + ".xhtml",
+        mediaType: "application/xhtml+xml",
+        properties: chapter.properties || "",
+        data: chapter.data || "",
+        chapter: true,
+        title: chapter.title || "",
+        toc: chapter.toc !== false
+    });
+    this.spine.push({
+        id: id,
+        linear: chapter.linear !== false
+    });
+    return this;
+};
+
+/**
+ *  EPubWriter#addImage(image) -> EPubWriter
+ *  - image (Object): "href", "data" and optional "id", "mediaType" and "cover"
+ *
+ *  Adds an image to the manifest. The image with "cover" set is marked as
+ *  the cover image (manifest property and <meta name="cover">)
+ **/
+EPubWriter.prototype.addImage = function (image) {
+    this.addFile({
+        id: image.id || this._uniqueId("image"),
+        href: image.href,
+        mediaType: image.mediaType,
+        properties: image.cover ? "cover-image" : image.properties,
+        data: image.data
+    });
+    if (image.cover) {
+        this.coverId = this.items[this.items.length - 1].id;
+    }
+    return this;
+};
+
+/**
+ *  EPubWriter#addStylesheet(stylesheet) -> EPubWriter
+ *  - stylesheet (Object): "href", "data" and optional "id"
+ *
+ *  Adds a CSS file to the manifest
+ **/
+EPubWriter.prototype.addStylesheet = function (stylesheet) {
+    return this.addFile({
+        id: stylesheet.id || this._uniqueId("style"),
+        href: stylesheet.href,
+        mediaType: "text/css",
+        data: stylesheet.data
+    });
+};
+
+/**
+ *  EPubWriter#addFile(item) -> EPubWriter
+ *  - item (Object): "href", "data" and optional "id", "mediaType", "properties"
+ *
+ *  Adds any file (fonts, audio etc.) to the manifest. The media type is
+ *  guessed from the file extension if not set
+ **/
+EPubWriter.prototype.addFile = function (item) {
+    if (!item.href) {
+        throw new Error("Missing href for manifest item");
+    }
+
+    this.items.push({
+        id: item.id || this._uniqueId("item"),
+        href: item.href,
+        mediaType: item.mediaType || MIME_TYPES[pathlib.extname(item.href).substr(1).toLowerCase()] ||
+            "application/octet-stream",
+        properties: item.properties || "",
+        data: item.data || ""
+    });
+    return this;
+};
+
+/**
+ *  EPubWriter#setTOC(entries) -> EPubWriter
+ *  - entries (Array): TOC entries with "title" and "href"
+ *
+ *  Sets the table of contents. Entries are nested with a "children" array
+ *  or listed flat with a "level" number like EPub#toc. Without a TOC every
+ *  chapter with a title gets a top level entry
+ **/
+EPubWriter.prototype.setTOC = function (entries) {
+    this.toc = entries;
+    return this;
+};
+
+/**
+ *  EPubWriter#toBuffer([callback]) -> undefined | Promise
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Serializes the book. Callback gets an error object and the EPUB file
+ *  contents as a Buffer
+ **/
+EPubWriter.prototype.toBuffer = function (callback) {
+    var buffer;
+
+    try {
+        buffer = this._build().toBuffer();
+    } catch (E) {
+        process.nextTick(function () {
+            callback(E);
+        });
+        return;
+    }
+
+    process.nextTick(function () {
+        callback(null, buffer);
+    });
+};
+
+/**
+ *  EPubWriter#write(target[, callback]) -> undefined | Promise
+ *  - target (String | Stream): file path or a writable stream
+ *  - callback (Function): callback function, returns a Promise if omitted
+ *
+ *  Serializes the book into a file or a stream
+ **/
+EPubWriter.prototype.write = function (target, callback) {
+    var zip;
+
+    if (typeof target == "function") {
+        callback = target;
+        target = null;
+    }
+
+    try {
+        zip = this._build();
+    } catch (E) {
+        process.nextTick(function () {
+            callback(E);
+        });
+        return;
+    }
+
+    zip.write(target, callback);
+};
+
+/**
+ *  EPubWriter#_build() -> ZipWriter
+ *
+ *  Generates the package document, NCX and navigation document and
+ *  adds them with all the manifest items to a new archive
+ **/
+EPubWriter.prototype._build = function () {
+    var zip = new ZipWriter(),
+        root = "OEBPS/",
+        metadata = this._normalizeMetadata(),
+        toc = this._tocTree(),
+        items = this.items.map(function (item) {
+            if (item.chapter) {
+                return Object.assign({}, item, {data: this._wrapChapter(item, metadata)});
+            }
+            return item;
+        }, this);
+
+    var ncxId = this._uniqueId("ncx"),
+        navId = this._uniqueId("nav");
+
+    if (!this._isEPUB2()) {
+        items.push({
+            id: navId,
+            href: this._uniqueHref("nav", ".xhtml"),
+            mediaType: "application/xhtml+xml",
+            properties: "nav",
+            data: this._buildNav(metadata, toc, this.landmarks, this.pageList)
+        });
+    }
+    items.push({
+        id: ncxId,
+        href: this._uniqueHref("toc", ".ncx"),
+        mediaType: MIME_TYPES.ncx,
+        data: this._buildNCX(metadata, toc)
+    });
+
+    // the mimetype entry must be the first one and it must not be compressed
+    zip.addFile("mimetype", "application/epub+zip", {store: true});
+    zip.addFile("META-INF/container.xml", [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '  <rootfiles>',
+        '    <rootfile full-path="' + root + 'content.opf" media-type="application/oebps-package+xml"/>',
+        '  </rootfiles>',
+        '</container>',
+        ''
+    ].join("\n"));
+    zip.addFile(root + "content.opf", this._buildPackage(metadata, items, ncxId));
+
+    items.forEach(function (item) {
+        zip.addFile(root + item.href, item.data);
+    });
+
+    return zip;
+};
+
+/**
+ *  EPubWriter#_normalizeMetadata() -> Object
+ *
+ *  Fills the metadata lists (titles, creators, identifiers etc.) from the
+ *  flat fields when they are not set and adds the required defaults
+ **/
+EPubWriter.prototype._normalizeMetadata = function () {
+    var metadata = this.metadata, result = {};
+
+    result.identifiers = (metadata.identifiers || []).slice();
+    if (!result.identifiers.length) {
+        if (metadata.identifier) {
+            result.identifiers.push({value: metadata.identifier});
+        }
+        if (metadata.ISBN) {
+            result.identifiers.push({value: metadata.ISBN, scheme: "ISBN"});
+        }
+        if (metadata.UUID) {
+            result.identifiers.push({value: "urn:uuid:" + metadata.UUID.toLowerCase()});
+        }
+    }
+    if (!result.identifiers.length) {
+        result.identifiers.push({value: "urn:uuid:" + uuid()});
+    }
+    // the first identifier is used as the unique identifier of the package
+    result.identifiers.sort(function (a, b) {
+        return (b.value == metadata.uniqueIdentifier) - (a.value == metadata.uniqueIdentifier);
+    });
+
+    result.titles = metadata.titles && metadata.titles.length ? metadata.titles :
+            [{value: metadata.title || "Untitled", type: "main"}];
+    result.creators = metadata.creators || (metadata.creator ?
+            [{name: metadata.creator, fileAs: metadata.creatorFileAs}] : []);
+    result.contributors = metadata.contributors || [];
+    result.languages = metadata.languages && metadata.languages.length ? metadata.languages :
+            [metadata.language || "en"];
+    result.subjects = metadata.subjects || (metadata.subject ? [metadata.subject] : []);
+    result.collections = metadata.collections || (metadata.series ?
+            [{name: metadata.series.name, type: "series", position: metadata.series.position}] : []);
+
+    TEXT_FIELDS.forEach(function (name) {
+        result[name] = metadata[name] || "";
+    });
+
+    result.modified = metadata.modified || new Date().toISOString().replace(/\.\d+Z$/, "Z");
+    result.cover = this.coverId || metadata.cover || "";
+
+    // <meta> elements from the "metas" list, a flat field with the same
+    // name or property changes the value of the first one
+    var seen = {};
+    result.metas = (metadata.metas || []).map(function (meta) {
+        var key = meta.property || meta.name, value = metadata[key], first = !seen[key];
+        if (meta.refines) {
+            return meta;
+        }
+        seen[key] = true;
+        if (!first || typeof value != "string") {
+            return meta;
+        }
+        return Object.assign({}, meta, meta.property ? {value: value} : {content: value});
+    });
+
+    // other fields are only allowed as properties with a reserved prefix
+    Object.keys(metadata).forEach(function (name) {
+        var value = metadata[name];
+        if (KNOWN_FIELDS.indexOf(name) >= 0 || seen[name] || value === undefined || value === null || value === "") {
+            return;
+        }
+        if (typeof value != "string" || name.indexOf(":") < 1 ||
+                RESERVED_PREFIXES.indexOf(name.substr(0, name.indexOf(":"))) < 0) {
+            throw new Error("Unknown metadata field \"" + name + "\"");
+        }
+        result.metas.push({property: name, value: value});
+    });
+
+    return result;
+};
+
+/**
+ *  EPubWriter#_buildPackage(metadata, items, ncxId) -> String
+ *  - metadata (Object): normalized metadata
+ *  - items (Array): manifest items
+ *  - ncxId (String): manifest id of the NCX file
+ *
+ *  Generates the OPF package document
+ **/
+EPubWriter.prototype._buildPackage = function (metadata, items, ncxId) {
+    var lines = [], refines = [], used = {}, epub2 = this._isEPUB2(),
+        attributes = epub2 ? {} : this.packageAttributes || {};
+
+    // EPUB 2 elements only get an id if they have one, nothing refines them
+    function id(item, prefix) {
+        var value = item.id, n = 1;
+        if (epub2 && !value && prefix != "bookid") {
+            return "";
+        }
+        while (!value || used[value]) {
+            value = prefix + (n++);
+        }
+        used[value] = true;
+        return value;
+    }
+
+    // attrs are the EPUB 2 "opf:" attributes as [name, value] pairs
+    function element(name, value, elementId, lang, attrs) {
+        lines.push('    <dc:' + name + (elementId ? ' id="' + escape(elementId) + '"' : '') +
+            (lang ? ' xml:lang="' + escape(lang) + '"' : '') +
+            (attrs || []).filter(function (attr) {
+                return attr[1];
+            }).map(function (attr) {
+                return ' opf:' + attr[0] + '="' + escape(String(attr[1])) + '"';
+            }).join("") + '>' + escape(value) + '</dc:' + name + '>');
+    }
+
+    // EPUB 2 has no refinements
+    function refine(elementId, property, value, scheme) {
+        if (value && !epub2) {
+            refines.push('    <meta refines="#' + escape(elementId) + '" property="' + property + '"' +
+                (scheme ? ' scheme="' + scheme + '"' : '') + '>' + escape(String(value)) + '</meta>');
+        }
+    }
+
+    // ids of the <meta> elements are kept as they are
+    metadata.metas.forEach(function (meta) {
+        if (meta.id) {
+            used[meta.id] = true;
+        }
+    });
+
+    var uniqueId = id(metadata.identifiers[0], "bookid");
+
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push('<package xmlns="http://www.idpf.org/2007/opf" version="' + escape(this.version) +
+        '" unique-identifier="' + escape(uniqueId) + '"' +
+        (attributes.prefix ? ' prefix="' + escape(attributes.prefix) + '"' : '') +
+        (attributes.lang ? ' xml:lang="' + escape(attributes.lang) + '"' : '') +
+        (attributes.dir ? ' dir="' + escape(attributes.dir) + '"' : '') + '>');
+    lines.push('  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+        (epub2 ? ' xmlns:opf="http://www.idpf.org/2007/opf"' : '') + '>');
+
+    metadata.identifiers.forEach(function (identifier, i) {
+        var elementId = i ? id(identifier, "identifier") : uniqueId;
+        element("identifier", identifier.value, elementId, "", epub2 ? [["scheme", identifier.scheme]] : []);
+        refine(elementId, "identifier-type", identifier.scheme);
+    });
+
+    metadata.titles.forEach(function (title) {
+        var elementId = id(title, "title");
+        element("title", title.value, elementId, title.lang);
+        refine(elementId, "title-type", title.type);
+        refine(elementId, "file-as", title.fileAs);
+        refine(elementId, "display-seq", title.displaySeq);
+    });
+
+    [["creator", metadata.creators], ["contributor", metadata.contributors]].forEach(function (list) {
+        list[1].forEach(function (person) {
+            var elementId = id(person, list[0]);
+            element(list[0], person.name, elementId, person.lang, epub2 ? [["role", person.role],
+                ["file-as", person.fileAs != person.name && person.fileAs]] : []);
+            refine(elementId, "role", person.role, person.roleScheme || "marc:relators");
+            if (person.fileAs != person.name) {
+                refine(elementId, "file-as", person.fileAs);
+            }
+            refine(elementId, "display-seq", person.displaySeq);
+        });
+    });
+
+    metadata.languages.forEach(function (language) {
+        element("language", language);
+    });
+    metadata.subjects.forEach(function (subject) {
+        element("subject", subject);
+    });
+
+    TEXT_FIELDS.forEach(function (name) {
+        if (metadata[name]) {
+            element(name, metadata[name]);
+        }
+    });
+
+    if (!epub2) {
+        lines.push('    <meta property="dcterms:modified">' + escape(metadata.modified) + '</meta>');
+    }
+
+    (epub2 ? [] : metadata.collections).forEach(function (collection) {
+        var elementId = id(collection, "collection");
+        lines.push('    <meta property="belongs-to-collection" id="' + escape(elementId) + '">' +
+            escape(collection.name) + '</meta>');
+        refine(elementId, "collection-type", collection.type);
+        refine(elementId, "group-position", collection.position);
+    });
+
+    if (metadata.cover) {
+        lines.push('    <meta name="cover" content="' + escape(metadata.cover) + '"/>');
+    }
+    metadata.metas.forEach(function (meta) {
+        if (!meta.property) {
+            lines.push('    <meta name="' + escape(meta.name) + '" content="' + escape(meta.content || "") + '"/>');
+            return;
+        }
+        (meta.refines ? refines : lines).push('    <meta' +
+            (meta.refines ? ' refines="' + escape(meta.refines) + '"' : '') +
+            ' property="' + escape(meta.property) + '"' +
+            (meta.id ? ' id="' + escape(meta.id) + '"' : '') +
+            (meta.scheme ? ' scheme="' + escape(meta.scheme) + '"' : '') +
+            (meta.lang ? ' xml:lang="' + escape(meta.lang) + '"' : '') + '>' +
+            escape(String(meta.value)) + '</meta>');
+    });
+
+    lines = lines.concat(refines);
+    lines.push('  </metadata>');
+
+    lines.push('  <manifest>');
+    items.forEach(function (item) {
+        lines.push('    <item id="' + escape(item.id) + '" href="' + escape(encodeHref(item.href)) +
+            '" media-type="' + escape(item.mediaType) + '"' +
+            (item.properties && !epub2 ? ' properties="' + escape(item.properties) + '"' : '') +
+            (item.fallback ? ' fallback="' + escape(item.fallback) + '"' : '') +
+            (item.mediaOverlay && !epub2 ? ' media-overlay="' + escape(item.mediaOverlay) + '"' : '') + '/>');
+    });
+    lines.push('  </manifest>');
+
+    lines.push('  <spine toc="' + escape(ncxId) + '"' + (this.pageProgressionDirection && !epub2 &&
+        this.pageProgressionDirection != "default" ? ' page-progression-direction="' +
+        escape(this.pageProgressionDirection) + '"' : '') + '>');
+    this.spine.forEach(function (itemref) {
+        lines.push('    <itemref idref="' + escape(itemref.id) + '"' + (itemref.linear ? '' : ' linear="no"') +
+            (itemref.properties && !epub2 ? ' properties="' + escape(itemref.properties) + '"' : '') + '/>');
+    });
+    lines.push('  </spine>');
+    if (this.guide.length) {
+        lines.push('  <guide>');
+        this.guide.forEach(function (reference) {
+            lines.push('    <reference type="' + escape(reference.type) + '"' +
+                (reference.title ? ' title="' + escape(reference.title) + '"' : '') +
+                ' href="' + escape(encodeHref(reference.href)) + '"/>');
+        });
+        lines.push('  </guide>');
+    }
+    lines.push('</package>');
+    lines.push('');
+
+    return lines.join("\n");
+};
+
+/**
+ *  EPubWriter#_buildNCX(metadata, toc) -> String
+ *  - metadata (Object): normalized metadata
+ *  - toc (Array): nested TOC entries
+ *
+ *  Generates the NCX table of contents for EPUB 2 readers
+ **/
+EPubWriter.prototype._buildNCX = function (metadata, toc) {
+    var lines = [], order = 0, depth = 0;
+
+    function walk(entries, level) {
+        depth = Math.max(depth, level);
+        entries.forEach(function (entry) {
+            order++;
+            lines.push(indent(level + 2) + '<navPoint id="navpoint-' + order + '" playOrder="' + order + '">');
+            lines.push(indent(level + 3) + '<navLabel><text>' + escape(entry.title) + '</text></navLabel>');
+            lines.push(indent(level + 3) + '<content src="' + escape(encodeHref(entry.href)) + '"/>');
+            walk(entry.children, level + 1);
+            lines.push(indent(level + 2) + '</navPoint>');
+        });
+    }
+
+    walk(toc, 1);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">',
+        '  <head>',
+        '    <meta name="dtb:uid" content="' + escape(metadata.identifiers[0].value) + '"/>',
+        '    <meta name="dtb:depth" content="' + depth + '"/>',
+        '    <meta name="dtb:totalPageCount" content="0"/>',
+        '    <meta name="dtb:maxPageNumber" content="0"/>',
+        '  </head>',
+        '  <docTitle><text>' + escape(metadata.titles[0].value) + '</text></docTitle>',
+        '  <navMap>'
+    ].concat(lines, [
+        '  </navMap>',
+        '</ncx>',
+        ''
+    ]).join("\n");
+};
+
+/**
+ *  EPubWriter#_buildNav(metadata, toc[, landmarks][, pageList]) -> String
+ *  - metadata (Object): normalized metadata
+ *  - toc (Array): nested TOC entries
+ *  - landmarks (Array): {type, title, href} entries
+ *  - pageList (Array): {title, href} entries
+ *
+ *  Generates the EPUB 3 navigation document
+ **/
+EPubWriter.prototype._buildNav = function (metadata, toc, landmarks, pageList) {
+    var lines = [];
+
+    function link(entry) {
+        return '<a' + (entry.type ? ' epub:type="' + escape(entry.type) + '"' : '') +
+            ' href="' + escape(encodeHref(entry.href)) + '">' + escape(entry.title) + '</a>';
+    }
+
+    function walk(entries, level) {
+        if (!entries.length) {
+            return;
+        }
+        lines.push(indent(level) + '<ol>');
+        entries.forEach(function (entry) {
+            if (!entry.children || !entry.children.length) {
+                lines.push(indent(level + 1) + '<li>' + link(entry) + '</li>');
+                return;
+            }
+            lines.push(indent(level + 1) + '<li>' + link(entry));
+            walk(entry.children, level + 2);
+            lines.push(indent(level + 1) + '</li>');
+        });
+        lines.push(indent(level) + '</ol>');
+    }
+
+    lines.push('    <nav epub:type="toc" id="toc">');
+    lines.push('      <h1>' + escape(metadata.titles[0].value) + '</h1>');
+    walk(toc, 3);
+    lines.push('    </nav>');
+
+    if (landmarks && landmarks.length) {
+        lines.push('    <nav epub:type="landmarks" id="landmarks" hidden="hidden">');
+        walk(landmarks, 3);
+        lines.push('    </nav>');
+    }
+    if (pageList && pageList.length) {
+        lines.push('    <nav epub:type="page-list" id="page-list" hidden="hidden">');
+        walk(pageList, 3);
+        lines.push('    </nav>');
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE html>',
+        '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"' +
+            ' xml:lang="' + escape(metadata.languages[0]) + '">',
+        '  <head>',
+        '    <meta charset="utf-8"/>',
+        '    <title>' + escape(metadata.titles[0].value) + '</title>',
+        '  </head>',
+        '  <body>'
+    ].concat(lines, [
+        '  </body>',
+        '</html>',
+        ''
+    ]).join("\n");
+};
+
+/**
+ *  EPubWriter#_wrapChapter(item, metadata) -> String | Buffer
+ *  - item (Object): chapter manifest item
+ *  - metadata (Object): normalized metadata
+ *
+ *  Wraps a body fragment into an XHTML document. Full documents
+ *  are returned as they are
+ **/
+EPubWriter.prototype._wrapChapter = function (item, metadata) {
+    var data = item.data;
+    if (Buffer.isBuffer(data) || /<html[\s>]/i.test(data)) {
+        return data;
+    }
+
+    var links = this.items.filter(function (stylesheet) {
+        return stylesheet.mediaType == "text/css";
+    }).map(function (stylesheet) {
+        var href = pathlib.relative(pathlib.dirname(item.href), stylesheet.href);
+        return '    <link rel="stylesheet" type="text/css" href="' + escape(encodeHref(href)) + '"/>';
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE html>',
+        '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"' +
+            ' xml:lang="' + escape(metadata.languages[0]) + '">',
+        '  <head>',
+        '    <meta charset="utf-8"/>',
+        '    <title>' + escape(item.title) + '</title>'
+    ].concat(links, [
+        '  </head>',
+        '  <body>',
+        data,
+        '  </body>',
+        '</html>',
+        ''
+    ]).join("\n");
+};
+
+/**
+ *  EPubWriter#_tocTree() -> Array
+ *
+ *  Returns the TOC as nested {title, href, children} entries. Flat entries
+ *  with "level" values are nested, the default TOC is built from chapters
+ **/
+EPubWriter.prototype._tocTree = function () {
+    var entries = this.toc, tree = [], stack = [];
+
+    if (!entries) {
+        return this.items.filter(function (item) {
+            return item.chapter && item.toc && item.title;
+        }).map(function (item) {
+            return {title: item.title, href: item.href, children: []};
+        });
+    }
+
+    function nest(list) {
+        return list.map(function (entry) {
+            return {
+                title: entry.title || "",
+                href: entry.href || "",
+                children: nest(entry.children || [])
+            };
+        });
+    }
+
+    if (!entries.some(function (entry) { return typeof entry.level == "number"; })) {
+        return nest(entries);
+    }
+
+    entries.forEach(function (entry) {
+        var node = {title: entry.title || "", href: entry.href || "", children: []},
+            level = entry.level || 0;
+
+        while (stack.length > level) {
+            stack.pop();
+        }
+        (stack.length ? stack[stack.length - 1].children : tree).push(node);
+        stack.push(node);
+    });
+
+    return tree;
+};
+
+/**
+ *  EPubWriter#_uniqueId(prefix) -> String
+ *  - prefix (String): id prefix
+ *
+ *  Generates a manifest id that isn't used yet
+ **/
+EPubWriter.prototype._uniqueId = function (prefix) {
+    var ids = {}, n = 1;
+    this.items.forEach(function (item) {
+        ids[item.id] = true;
+    });
+    while (ids[prefix + n]) {
+        n++;
+    }
+    return prefix + n;
+};
+
+/**
+ *  EPubWriter#_uniqueHref(name, extension) -> String
+ *  - name (String): file name without the extension
+ *  - extension (String): file extension with the dot
+ *
+ *  Generates a path for a generated file that no manifest item uses
+ **/
+EPubWriter.prototype._uniqueHref = function (name, extension) {
+    var hrefs = {}, href = name + extension, n = 1;
+    this.items.forEach(function (item) {
+        hrefs[String(item.href).toLowerCase()] = true;
+    });
+    while (hrefs[href.toLowerCase()]) {
+        href = name + "-" + (n++) + extension;
+    }
+    return href;
+};
+
+/**
+ *  EPubWriter#_isEPUB2() -> Boolean
+ *
+ *  Checks if the book is written as an EPUB 2 book
+ **/
+EPubWriter.prototype._isEPUB2 = function () {
+    return /^2(\.|$)/.test(String(this.version).trim());
+};
+
+["toBuffer", "write"].forEach(function (name) {
+    EPubWriter.prototype[name] = promisify(EPubWriter.prototype[name]);
+});
+
+/**
+ *  escape(str) -> String
+ *
+ *  Escapes a string for XML text and attribute values
+ **/
+function escape(str) {
+    return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").
+        replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ *  encodeHref(href) -> String
+ *
+ *  Percent-encodes an archive path for use as an URL, already
+ *  encoded characters are kept as they are
+ **/
+function encodeHref(href) {
+    return encodeURI(href).replace(/%25([0-9A-F]{2})/gi, "%$1");
+}
+
+/**
+ *  indent(level) -> String
+ *
+ *  Returns whitespace for a nesting level of generated XML
+ **/
+function indent(level) {
+    return new Array(level + 1).join("  ");
+}
+
+/**
+ *  uuid() -> String
+ *
+ *  Generates a random (version 4) UUID for the book identifier
+ **/
+function uuid() {
+    var bytes = crypto.randomBytes(16), hex;
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    hex = bytes.toString("hex");
+    return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join("-");
+}
+
+module.exports = EPubWriter;
+module.exports.MIME_TYPES = MIME_TYPES;
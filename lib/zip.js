@@ -0,0 +1,532 @@
+var fs = require('fs');
+var zlib = require('zlib');
+
+var CRC_TABLE = (function () {
+    var table = [], c, n, k;
+    for (n = 0; n < 256; n++) {
+        c = n;
+        for (k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ *  crc32(data) -> Number
+ *  - data (Buffer): data to checksum
+ *
+ *  Calculates the CRC-32 checksum used by zip archives
+ **/
+function crc32(data) {
+    var crc = 0xFFFFFFFF, i;
+    for (i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ *  new ZipWriter()
+ *
+ *  Builds a zip archive in memory. Unlike adm-zip it keeps the entries in
+ *  the order they were added, which EPUB needs for the "mimetype" entry
+ *
+ *      var zip = new ZipWriter();
+ *      zip.addFile("mimetype", "application/epub+zip", {store: true});
+ *      zip.addFile("OEBPS/content.opf", opf);
+ *      var buffer = zip.toBuffer();
+ **/
+function ZipWriter() {
+    this.entries = [];
+}
+
+/**
+ *  ZipWriter#addFile(name, data[, options]) -> ZipWriter
+ *  - name (String): path of the entry in the archive
+ *  - data (Buffer | String): contents of the entry
+ *  - options (Object): "store" to skip compression, "date" for modification time
+ *
+ *  Adds an entry to the end of the archive
+ **/
+ZipWriter.prototype.addFile = function (name, data, options) {
+    options = options || {};
+    data = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf-8");
+
+    var compressed = options.store ? data : zlib.deflateRawSync(data);
+
+    this.entries.push({
+        name: name,
+        method: options.store ? 0 : 8,
+        crc: crc32(data),
+        size: data.length,
+        data: compressed,
+        date: options.date || new Date()
+    });
+    return this;
+};
+
+/**
+ *  ZipWriter#addRaw(name, entry) -> ZipWriter
+ *  - name (String): path of the entry in the archive
+ *  - entry (Object): "method", "crc", "size" and already compressed "data"
+ *
+ *  Adds an entry copied as-is from another archive, without recompressing it
+ **/
+ZipWriter.prototype.addRaw = function (name, entry) {
+    this.entries.push({
+        name: name,
+        method: entry.method,
+        crc: entry.crc >>> 0,
+        size: entry.size,
+        data: entry.data,
+        date: entry.date || new Date()
+    });
+    return this;
+};
+
+/**
+ *  ZipWriter#toBuffer() -> Buffer
+ *
+ *  Serializes the archive
+ **/
+ZipWriter.prototype.toBuffer = function () {
+    var parts = [], central = [], offset = 0, centralSize = 0;
+
+    this.entries.forEach(function (entry) {
+        var name = Buffer.from(entry.name, "utf-8"),
+            // bit 11 marks UTF-8 entry names
+            flags = /[^\x00-\x7F]/.test(entry.name) ? 0x0800 : 0,
+            time = dosTime(entry.date),
+            local = Buffer.alloc(30),
+            header = Buffer.alloc(46);
+
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(entry.method, 8);
+        local.writeUInt16LE(time.time, 10);
+        local.writeUInt16LE(time.date, 12);
+        local.writeUInt32LE(entry.crc, 14);
+        local.writeUInt32LE(entry.data.length, 18);
+        local.writeUInt32LE(entry.size, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(flags, 8);
+        header.writeUInt16LE(entry.method, 10);
+        header.writeUInt16LE(time.time, 12);
+        header.writeUInt16LE(time.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.data.length, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt32LE(offset, 42);
+
+        parts.push(local, name, entry.data);
+        central.push(header, name);
+
+        offset += local.length + name.length + entry.data.length;
+        centralSize += header.length + name.length;
+    });
+
+    var end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(parts.concat(central, [end]));
+};
+
+/**
+ *  ZipWriter#write(target, callback) -> undefined
+ *  - target (String | Stream): file path or a writable stream
+ *  - callback (Function): callback function
+ *
+ *  Serializes the archive into a file or a stream
+ **/
+ZipWriter.prototype.write = function (target, callback) {
+    var buffer;
+
+    if (!isTarget(target)) {
+        process.nextTick(function () {
+            callback(new Error("Target must be a file path or a writable stream"));
+        });
+        return;
+    }
+
+    try {
+        buffer = this.toBuffer();
+    } catch (E) {
+        process.nextTick(function () {
+            callback(E);
+        });
+        return;
+    }
+
+    if (typeof target == "string") {
+        fs.writeFile(target, buffer, function (err) {
+            callback(err ? new Error("Writing file failed") : null);
+        });
+        return;
+    }
+
+    var done = false;
+    target.once("error", function () {
+        if (!done) {
+            done = true;
+            callback(new Error("Writing stream failed"));
+        }
+    });
+    target.end(buffer, function () {
+        if (!done) {
+            done = true;
+            callback(null);
+        }
+    });
+};
+
+/**
+ *  isTarget(target) -> Boolean
+ *  - target (String | Stream): value given to ZipWriter#write
+ *
+ *  Checks that the target is a file path or a writable stream
+ **/
+function isTarget(target) {
+    return typeof target == "string" && target.length > 0 ||
+        !!target && typeof target.once == "function" && typeof target.end == "function";
+}
+
+/**
+ *  dosTime(date) -> Object
+ *  - date (Date): modification time
+ *
+ *  Converts a date to the MS-DOS "time" and "date" fields of zip headers
+ **/
+function dosTime(date) {
+    var year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ *  new ZipReader(filename)
+ *  - filename (String): path of the zip file
+ *
+ *  Reads a zip archive from disk on demand. open() reads only the central
+ *  directory, the entries are read when they are needed and the file is
+ *  open only while a read is running, so an archive takes neither memory
+ *  nor a file descriptor when it's idle
+ *
+ *      var zip = new ZipReader("book.epub");
+ *      zip.open(function (err) {
+ *          zip.readFile(zip.names[0], function (err, data) {});
+ *      });
+ **/
+function ZipReader(filename) {
+    this.filename = filename;
+    this.names = [];
+    this.count = 0;
+    this.entries = {};
+}
+
+/**
+ *  ZipReader#open(callback) -> undefined
+ *  - callback (Function): callback function
+ *
+ *  Reads the list of entries from the central directory. ZIP64 archives
+ *  are not supported
+ **/
+ZipReader.prototype.open = function (callback) {
+    this._withFile((function (fd, done) {
+        fs.fstat(fd, (function (err, stats) {
+            if (err) {
+                done(err);
+                return;
+            }
+
+            // the end of central directory record is followed by a comment of up to 64 KiB
+            var length = Math.min(stats.size, 22 + 0xFFFF);
+
+            readAt(fd, stats.size - length, length, (function (err, tail) {
+                var pos, offset, size;
+
+                if (err) {
+                    done(err);
+                    return;
+                }
+
+                for (pos = tail.length - 22; pos >= 0 && tail.readUInt32LE(pos) != 0x06054b50; pos--) {}
+                if (pos < 0) {
+                    done(new Error("Invalid zip file"));
+                    return;
+                }
+
+                size = tail.readUInt32LE(pos + 12);
+                offset = tail.readUInt32LE(pos + 16);
+                if (offset == 0xFFFFFFFF || tail.readUInt16LE(pos + 10) == 0xFFFF) {
+                    done(new Error("ZIP64 archives are not supported"));
+                    return;
+                }
+
+                readAt(fd, offset, size, (function (err, central) {
+                    if (err) {
+                        done(err);
+                        return;
+                    }
+                    try {
+                        this._parseCentralDirectory(central);
+                    } catch (E) {
+                        done(E);
+                        return;
+                    }
+                    done(null);
+                }).bind(this));
+            }).bind(this));
+        }).bind(this));
+    }).bind(this), callback);
+};
+
+/**
+ *  ZipReader#_parseCentralDirectory(central) -> undefined
+ *  - central (Buffer): central directory of the archive
+ *
+ *  Collects the entry names and the headers needed to read the entries
+ **/
+ZipReader.prototype._parseCentralDirectory = function (central) {
+    var pos = 0, flags, name, entry;
+
+    while (pos + 46 <= central.length && central.readUInt32LE(pos) == 0x02014b50) {
+        flags = central.readUInt16LE(pos + 8);
+        // bit 11 marks UTF-8 entry names, others are CP437 which is close enough to latin1 for EPUB
+        name = central.toString(flags & 0x0800 ? "utf-8" : "latin1", pos + 46, pos + 46 + central.readUInt16LE(pos + 28));
+        entry = {
+            method: central.readUInt16LE(pos + 10),
+            crc: central.readUInt32LE(pos + 16),
+            compressedSize: central.readUInt32LE(pos + 20),
+            size: central.readUInt32LE(pos + 24),
+            offset: central.readUInt32LE(pos + 42),
+            date: dosDate(central.readUInt16LE(pos + 14), central.readUInt16LE(pos + 12))
+        };
+
+        if (!this.entries.hasOwnProperty(name)) {
+            this.names.push(name);
+        }
+        this.entries[name] = entry;
+
+        pos += 46 + central.readUInt16LE(pos + 28) + central.readUInt16LE(pos + 30) + central.readUInt16LE(pos + 32);
+    }
+
+    if (pos != central.length) {
+        throw new Error("Invalid zip file");
+    }
+    this.count = this.names.length;
+};
+
+/**
+ *  ZipReader#readRaw(name, callback) -> undefined
+ *  - name (String): path of the entry in the archive
+ *  - callback (Function): gets an error object and an object with
+ *    "method", "crc", "size", compressed "data" and "date"
+ *
+ *  Reads the compressed data of an entry as it is stored in the archive
+ **/
+ZipReader.prototype.readRaw = function (name, callback) {
+    var entry = this.entries.hasOwnProperty(name) && this.entries[name];
+
+    if (!entry) {
+        process.nextTick(function () {
+            callback(new Error("Entry not found"));
+        });
+        return;
+    }
+
+    this._withFile(function (fd, done) {
+        readAt(fd, entry.offset, 30, function (err, local) {
+            if (err || local.readUInt32LE(0) != 0x04034b50) {
+                done(err || new Error("Invalid zip file"));
+                return;
+            }
+            // the name and the extra field of the local header can differ from the central directory
+            readAt(fd, entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28), entry.compressedSize, function (err, data) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                done(null, {method: entry.method, crc: entry.crc, size: entry.size, data: data, date: entry.date});
+            });
+        });
+    }, callback);
+};
+
+/**
+ *  ZipReader#readFile(name, callback) -> undefined
+ *  - name (String): path of the entry in the archive
+ *  - callback (Function): gets an error object and the contents as Buffer
+ *
+ *  Reads and uncompresses an entry and checks its CRC-32 checksum
+ **/
+ZipReader.prototype.readFile = function (name, callback) {
+    this.readRaw(name, function (err, raw) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var check = function (err, data) {
+            if (!err && (data.length != raw.size || crc32(data) != raw.crc)) {
+                err = new Error("Invalid zip entry");
+            }
+            callback(err, err ? undefined : data);
+        };
+
+        if (raw.method === 0) {
+            check(null, raw.data);
+        } else if (raw.method == 8) {
+            zlib.inflateRaw(raw.data, check);
+        } else {
+            callback(new Error("Unsupported compression method"));
+        }
+    });
+};
+
+/**
+ *  ZipReader#readRange(name, start, end, callback) -> undefined
+ *  - name (String): path of the entry in the archive
+ *  - start (Number): first byte of the range
+ *  - end (Number): last byte of the range (inclusive), clamped to the size
+ *  - callback (Function): gets an error object, the data as Buffer and
+ *    the uncompressed size of the entry
+ *
+ *  Reads a byte range of an entry. Only the range is read from disk for
+ *  stored entries, deflated entries can't be read from the middle so
+ *  they are uncompressed as a whole. The checksum can only be checked
+ *  when the whole entry is read
+ **/
+ZipReader.prototype.readRange = function (name, start, end, callback) {
+    var entry = this.entries.hasOwnProperty(name) && this.entries[name];
+
+    if (!entry) {
+        process.nextTick(function () {
+            callback(new Error("Entry not found"));
+        });
+        return;
+    }
+
+    end = Math.min(end, entry.size - 1);
+
+    if (entry.method !== 0) {
+        this.readFile(name, function (err, data) {
+            callback(err, err ? undefined : data.slice(start, end + 1), entry.size);
+        });
+        return;
+    }
+
+    this._withFile(function (fd, done) {
+        readAt(fd, entry.offset, 30, function (err, local) {
+            if (err || local.readUInt32LE(0) != 0x04034b50) {
+                done(err || new Error("Invalid zip file"));
+                return;
+            }
+            readAt(fd, entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28) + start,
+                Math.max(0, end - start + 1), function (err, data) {
+                    done(err, err ? undefined : data, entry.size);
+                });
+        });
+    }, callback);
+};
+
+/**
+ *  ZipReader#stat(name) -> Object | null
+ *  - name (String): name of the entry
+ *
+ *  Returns the "crc" and the uncompressed "size" of an entry from the
+ *  central directory, null if there's no such entry
+ **/
+ZipReader.prototype.stat = function (name) {
+    var entry = this.entries.hasOwnProperty(name) && this.entries[name];
+    return entry ? {crc: entry.crc, size: entry.size} : null;
+};
+
+/**
+ *  ZipReader#close() -> undefined
+ *
+ *  Drops the list of entries, the file is not kept open between reads
+ **/
+ZipReader.prototype.close = function () {
+    this.names = [];
+    this.count = 0;
+    this.entries = {};
+};
+
+/**
+ *  ZipReader#_withFile(action, callback) -> undefined
+ *  - action (Function): gets the file descriptor and a "done" function
+ *  - callback (Function): gets the results given to "done"
+ *
+ *  Opens the file for one operation and closes it before the callback
+ **/
+ZipReader.prototype._withFile = function (action, callback) {
+    fs.open(this.filename, "r", function (err, fd) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        action(fd, function () {
+            var args = arguments;
+            fs.close(fd, function () {
+                callback.apply(null, args);
+            });
+        });
+    });
+};
+
+/**
+ *  readAt(fd, position, length, callback) -> undefined
+ *  - fd (Number): file descriptor
+ *  - position (Number): offset in the file
+ *  - length (Number): number of bytes to read
+ *  - callback (Function): gets an error object and the data
+ *
+ *  Reads a byte range of a file, fails if the file is shorter
+ **/
+function readAt(fd, position, length, callback) {
+    var buffer = Buffer.alloc(length);
+
+    if (!length) {
+        callback(null, buffer);
+        return;
+    }
+
+    fs.read(fd, buffer, 0, length, position, function (err, bytesRead) {
+        if (!err && bytesRead != length) {
+            err = new Error("Invalid zip file");
+        }
+        callback(err, buffer);
+    });
+}
+
+/**
+ *  dosDate(date, time) -> Date
+ *  - date (Number): MS-DOS date field of a zip header
+ *  - time (Number): MS-DOS time field of a zip header
+ *
+ *  The counterpart of dosTime()
+ **/
+function dosDate(date, time) {
+    return new Date((date >> 9) + 1980, ((date >> 5) & 15) - 1, date & 31,
+        time >> 11, (time >> 5) & 63, (time & 31) * 2);
+}
+
+module.exports = ZipWriter;
+module.exports.ZipReader = ZipReader;
+module.exports.crc32 = crc32;
+module.exports.isTarget = isTarget;
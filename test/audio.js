@@ -0,0 +1,115 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var pathlib = require('path');
+var EPub = require('../epub');
+
+var dir;
+
+before(function () {
+    dir = fs.mkdtempSync(pathlib.join(os.tmpdir(), "epub-audio-"));
+});
+
+after(function () {
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+/**
+ *  audio() -> Buffer
+ *
+ *  Returns 5000 bytes of audio data
+ **/
+function audio() {
+    var data = Buffer.alloc(5000), i;
+    for (i = 0; i < data.length; i++) {
+        data[i] = i % 253;
+    }
+    return data;
+}
+
+/**
+ *  audioBook(store) -> Promise
+ *  - store (Boolean): store the audio file without compression
+ *
+ *  Writes a book with an audio file into a temporary file and opens it
+ *  with the "lazy" option
+ **/
+function audioBook(store) {
+    var book = new EPub.Writer({title: "Test"}),
+        target = pathlib.join(dir, (store ? "stored" : "deflated") + ".epub"),
+        zip;
+
+    book.addChapter({title: "Chapter 1", data: "<p>Text</p>"});
+    book.addFile({id: "audio1", href: "audio/track.mp3", data: audio()});
+
+    zip = book._build();
+    zip.entries = zip.entries.filter(function (entry) {
+        return entry.name != "OEBPS/audio/track.mp3";
+    });
+    zip.addFile("OEBPS/audio/track.mp3", audio(), {store: store});
+
+    return new Promise(function (resolve, reject) {
+        zip.write(target, function (err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(EPub.open(target, {lazy: true}));
+        });
+    });
+}
+
+/**
+ *  getAudio(epub, range) -> Promise
+ *  - epub (EPub): parsed book
+ *  - range (Object): byte range
+ *
+ *  Reads the audio file and resolves with the data and the full size
+ **/
+function getAudio(epub, range) {
+    return new Promise(function (resolve, reject) {
+        epub.getAudio("audio1", range, function (err, data, mimeType, size) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            assert.strictEqual(mimeType, "audio/mpeg");
+            resolve({data: data, size: size});
+        });
+    });
+}
+
+describe("getAudio", function () {
+    it("reads only the range of a stored file", function () {
+        return audioBook(true).then(function (epub) {
+            epub.zip.readFile = function () {
+                throw new Error("The whole file was read");
+            };
+            return Promise.all([
+                getAudio(epub, {start: 1000, end: 1999}),
+                getAudio(epub, {start: 4990, end: 10000})
+            ]);
+        }).then(function (results) {
+            assert.deepStrictEqual(results[0], {data: audio().slice(1000, 2000), size: 5000});
+            assert.deepStrictEqual(results[1], {data: audio().slice(4990), size: 5000});
+        });
+    });
+
+    it("reads a range of a compressed file", function () {
+        return audioBook(false).then(function (epub) {
+            return getAudio(epub, {start: 1000, end: 1999});
+        }).then(function (result) {
+            assert.deepStrictEqual(result, {data: audio().slice(1000, 2000), size: 5000});
+        });
+    });
+
+    it("fails for a range after the end of the file", function () {
+        return audioBook(true).then(function (epub) {
+            return getAudio(epub, {start: 5000});
+        }).then(function () {
+            throw new Error("Expected an error");
+        }, function (err) {
+            assert.strictEqual(err.message, "Invalid range");
+        });
+    });
+});
@@ -0,0 +1,220 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var pathlib = require('path');
+var EPub = require('../epub');
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+// FileCache directories, removed after the tests
+var dirs = [];
+
+after(function () {
+    dirs.forEach(function (dir) {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+});
+
+/**
+ *  open(options[, source]) -> Promise
+ *  - options (Object): EPub options
+ *  - source (Buffer): book to open instead of the test book
+ *
+ *  Opens the book and records if the package documents were parsed
+ **/
+function open(options, source) {
+    return new Promise(function (resolve, reject) {
+        var epub = new EPub(source || ALICE, options);
+
+        epub.parsedPackage = false;
+        epub._checkMimeType = function () {
+            epub.parsedPackage = true;
+            return EPub.prototype._checkMimeType.apply(epub, arguments);
+        };
+        epub.on("end", function () {
+            resolve(epub);
+        });
+        epub.on("error", reject);
+        epub.parse();
+    });
+}
+
+/**
+ *  keys(store) -> Promise
+ *  - store (Object): cache store
+ *
+ *  Finds the keys the test book is stored with
+ **/
+function keys(store) {
+    var result = [], set = store.set;
+
+    store.set = function (key) {
+        result.push(key);
+        return set.apply(store, arguments);
+    };
+    return open({cache: store}).then(function () {
+        store.set = set;
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 50, result);
+        });
+    });
+}
+
+[
+    ["MemoryCache", function () {
+        return new EPub.MemoryCache();
+    }],
+    ["FileCache", function () {
+        dirs.push(fs.mkdtempSync(pathlib.join(os.tmpdir(), "epub-cache-")));
+        return new EPub.FileCache(dirs[dirs.length - 1]);
+    }]
+].forEach(function (test) {
+    describe(test[0], function () {
+        var store, key, parsed;
+
+        beforeEach(function () {
+            store = test[1]();
+            return keys(store).then(function (result) {
+                assert.equal(result.length, 1);
+                key = result[0];
+                return open({});
+            }).then(function (epub) {
+                parsed = epub;
+            });
+        });
+
+        it("parses and stores the book on a miss", function () {
+            return open({cache: test[1]()}).then(function (epub) {
+                assert.ok(epub.parsedPackage);
+                assert.deepEqual(epub.metadata, parsed.metadata);
+            });
+        });
+
+        it("restores the book on a hit", function () {
+            return open({cache: store}).then(function (epub) {
+                assert.ok(!epub.parsedPackage);
+                assert.deepEqual(epub.metadata, parsed.metadata);
+                assert.deepEqual(epub.toc, parsed.toc);
+                assert.deepEqual(epub.flow.map(function (item) {
+                    return item.id;
+                }), parsed.flow.map(function (item) {
+                    return item.id;
+                }));
+                assert.strictEqual(epub.flow[0], epub.manifest[epub.flow[0].id]);
+                return epub.getChapter(epub.flow[0].id);
+            }).then(function (html) {
+                assert.ok(html.length);
+            });
+        });
+
+        ["{}", "null", "not json", "[]", "{\"manifest\": 1}",
+            JSON.stringify({manifest: {}, metadata: {}, spine: {contents: ["missing"]}})].forEach(function (value) {
+            it("treats " + value + " as a miss", function () {
+                return new Promise(function (resolve, reject) {
+                    store.set(key, value, function (err) {
+                        return err ? reject(err) : resolve();
+                    });
+                }).then(function () {
+                    return open({cache: store});
+                }).then(function (epub) {
+                    assert.ok(epub.parsedPackage);
+                    assert.deepEqual(epub.metadata, parsed.metadata);
+                    // the broken entry is replaced
+                    return new Promise(function (resolve) {
+                        setTimeout(resolve, 50);
+                    });
+                }).then(function () {
+                    return open({cache: store});
+                }).then(function (epub) {
+                    assert.ok(!epub.parsedPackage);
+                });
+            });
+        });
+    });
+});
+
+/**
+ *  links(epub) -> Object
+ *  - epub (EPub): parsed book
+ *
+ *  Lists which TOC and spine entries, the navigation document and the
+ *  cover are the same objects as their manifest items
+ **/
+function links(epub) {
+    var linked = function (element) {
+        return !!element && epub.manifest[element.id] === element;
+    };
+
+    return {
+        toc: epub.toc.map(linked),
+        flow: epub.flow.map(linked),
+        navFile: linked(epub.navFile),
+        cover: linked(epub.cover)
+    };
+}
+
+describe("cached parse", function () {
+    it("has the same data and manifest links as a fresh parse", function () {
+        var book = new EPub.Writer({title: "Test"}), cache = new EPub.MemoryCache(), data, fresh;
+
+        book.addChapter({title: "Chapter 1", href: "chapter1.xhtml", data: "<p>One</p>"});
+        book.addChapter({title: "Chapter 2", href: "chapter2.xhtml", data: "<p>Two</p>"});
+        book.addImage({id: "cover", href: "cover.png", data: Buffer.from("png"), properties: "cover-image"});
+
+        return book.toBuffer().then(function (result) {
+            data = result;
+            return open({cache: cache}, data);
+        }).then(function (result) {
+            fresh = result;
+            return open({cache: cache}, data);
+        }).then(function (cached) {
+            assert.ok(!cached.parsedPackage);
+            assert.ok(fresh.parsedPackage);
+            ["metadata", "manifest", "toc", "flow", "landmarks", "guide", "navFile", "cover"].forEach(function (name) {
+                assert.deepStrictEqual(cached[name], fresh[name], name);
+            });
+            assert.deepStrictEqual(links(cached), links(fresh));
+            assert.deepStrictEqual(links(cached).toc, [true, true]);
+
+            // changes to a manifest item show in the TOC and the spine
+            cached.manifest[cached.flow[0].id].title = fresh.manifest[fresh.flow[0].id].title = "Changed";
+            assert.strictEqual(cached.toc[0].title, "Changed");
+            assert.strictEqual(cached.flow[0].title, fresh.toc[0].title);
+        });
+    });
+});
+
+describe("cache stores", function () {
+    it("fall back to parsing when the store fails", function () {
+        var store = {
+            get: function () {
+                throw new Error("down");
+            },
+            set: function (key, value, callback) {
+                callback(new Error("down"));
+            }
+        };
+
+        return open({cache: store}).then(function (epub) {
+            assert.ok(epub.parsedPackage);
+            assert.ok(epub.metadata.title);
+        });
+    });
+
+    it("MemoryCache drops the least recently used entries", function (done) {
+        var cache = new EPub.MemoryCache({max: 2});
+
+        cache.set("a", "1");
+        cache.set("b", "2");
+        cache.get("a", function () {
+            cache.set("c", "3");
+            cache.get("b", function (err, value) {
+                assert.strictEqual(value, null);
+                cache.get("a", function (err, value) {
+                    assert.equal(value, "1");
+                    done();
+                });
+            });
+        });
+    });
+});
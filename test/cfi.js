@@ -0,0 +1,164 @@
+var assert = require('assert');
+var pathlib = require('path');
+var EPub = require('../epub');
+var dom = require('../lib/dom');
+var cfi = require('../lib/cfi');
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+describe("CFI", function () {
+    describe("parseCFI", function () {
+        it("parses the steps, assertions and offset", function () {
+            var parsed = EPub.parseCFI("epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:10)");
+
+            assert.deepEqual(parsed.steps, [
+                {index: 6, id: "", indirect: false},
+                {index: 4, id: "chap01ref", indirect: false},
+                {index: 4, id: "body01", indirect: true},
+                {index: 10, id: "para05", indirect: false},
+                {index: 3, id: "", indirect: false}
+            ]);
+            assert.deepEqual(parsed.offset, {chars: 10});
+        });
+
+        it("parses the steps without the epubcfi() wrapper", function () {
+            assert.deepEqual(EPub.parseCFI("/6/4!/4/10/3:10"), EPub.parseCFI("epubcfi(/6/4!/4/10/3:10)"));
+        });
+
+        it("parses ranges", function () {
+            var parsed = EPub.parseCFI("epubcfi(/6/4[chap01ref]!/4[body01]/10[para05],/2/1:1,/3:4)");
+
+            assert.deepEqual(parsed.start.steps.map(function (step) {
+                return step.index;
+            }), [6, 4, 4, 10, 2, 1]);
+            assert.deepEqual(parsed.start.offset, {chars: 1});
+            assert.deepEqual(parsed.end.steps.map(function (step) {
+                return step.index;
+            }), [6, 4, 4, 10, 3]);
+            assert.deepEqual(parsed.end.offset, {chars: 4});
+        });
+
+        it("parses text assertions and the side bias", function () {
+            assert.deepEqual(EPub.parseCFI("epubcfi(/6/4!/4/10/3:10[yyy;s=b])").offset,
+                {chars: 10, assertion: "yyy", side: "b"});
+            assert.deepEqual(EPub.parseCFI("epubcfi(/6/4!/4/10/3:10[;s=a])").offset, {chars: 10, side: "a"});
+        });
+
+        it("unescapes assertions", function () {
+            var parsed = EPub.parseCFI("epubcfi(/6/4[chap^[01^]ref]!/4/10/3:10[a^,b^;c^^d])");
+
+            assert.equal(parsed.steps[1].id, "chap[01]ref");
+            assert.equal(parsed.offset.assertion, "a,b;c^d");
+        });
+
+        it("parses temporal and spatial offsets", function () {
+            assert.deepEqual(EPub.parseCFI("epubcfi(/6/4!/4/16[video1]~23.5)").offset, {time: 23.5});
+            assert.deepEqual(EPub.parseCFI("epubcfi(/6/4!/4/16[img1]@100:200)").offset, {x: 100, y: 200});
+            assert.deepEqual(EPub.parseCFI("epubcfi(/6/4!/4/16[video1]~23.5@5.75:97.6)").offset,
+                {time: 23.5, x: 5.75, y: 97.6});
+        });
+
+        it("throws on syntax errors", function () {
+            ["", "epubcfi()", "/6/4!", "/6/x", "/6/4[abc", "/6/4,/2", "/6:3/4"].forEach(function (str) {
+                assert.throws(function () {
+                    EPub.parseCFI(str);
+                }, /Invalid CFI/, str);
+            });
+        });
+    });
+
+    describe("compareCFI", function () {
+        it("orders CFIs by their position in the book", function () {
+            var sorted = [
+                "epubcfi(/6/4!/4/10/3:10)",
+                "epubcfi(/6/2!/4/2/1:0)",
+                "epubcfi(/6/4!/4/10)",
+                "epubcfi(/6/4!/4/10/3:2)",
+                "epubcfi(/6/4!/4/2/1:99)",
+                "epubcfi(/6/14!/2)"
+            ].sort(EPub.compareCFI);
+
+            assert.deepEqual(sorted, [
+                "epubcfi(/6/2!/4/2/1:0)",
+                "epubcfi(/6/4!/4/2/1:99)",
+                "epubcfi(/6/4!/4/10)",
+                "epubcfi(/6/4!/4/10/3:2)",
+                "epubcfi(/6/4!/4/10/3:10)",
+                "epubcfi(/6/14!/2)"
+            ]);
+        });
+
+        it("returns 0 for the same position", function () {
+            assert.equal(EPub.compareCFI("epubcfi(/6/4[a]!/4/10/3:10)", "/6/4!/4[b]/10/3:10"), 0);
+        });
+
+        it("compares ranges by their start and end", function () {
+            assert.ok(EPub.compareCFI("epubcfi(/6/4!/4/10,/1:1,/1:4)", "epubcfi(/6/4!/4/10,/1:1,/1:8)") < 0);
+            assert.ok(EPub.compareCFI("epubcfi(/6/4!/4/10,/1:2,/1:4)", "epubcfi(/6/4!/4/10,/1:1,/1:8)") > 0);
+        });
+    });
+
+    describe("generateCFI and resolveCFI", function () {
+        var epub;
+
+        before(function () {
+            return EPub.open(ALICE).then(function (result) {
+                epub = result;
+            });
+        });
+
+        it("resolves a generated CFI to the same position", function () {
+            var id = epub.flow[0].id;
+
+            return epub.generateCFI(id, {path: [0], offset: 120}).then(function (str) {
+                assert.ok(/^epubcfi\(\/6\/2(\[[^\]]*\])?!\/4\/2\/\d+:\d+\)$/.test(str), str);
+                return epub.resolveCFI(str);
+            }).then(function (position) {
+                assert.equal(position.id, id);
+                assert.deepEqual(position.path, [0]);
+                assert.equal(position.offset, 120);
+            });
+        });
+
+        it("resolves a CFI made from a plain text offset", function () {
+            var id = epub.flow[0].id, raw;
+
+            return epub.getChapterRaw(id).then(function (str) {
+                raw = str;
+                return epub.getChapterText(id);
+            }).then(function (chapter) {
+                return epub.generateCFI(id, {textOffset: chapter.text.indexOf("White Rabbit")});
+            }).then(function (str) {
+                return epub.resolveCFI(str);
+            }).then(function (position) {
+                var element = dom.find(dom.parse(raw), "body");
+
+                position.path.forEach(function (index) {
+                    element = cfi.elements(element)[index];
+                });
+                assert.equal(dom.textNodes(element).map(function (node) {
+                    return node.value;
+                }).join("").substr(position.offset, 12), "White Rabbit");
+            });
+        });
+
+        it("resolves element CFIs without an offset", function () {
+            var id = epub.flow[0].id;
+
+            return epub.generateCFI(id, {path: [0]}).then(function (str) {
+                return epub.resolveCFI(str);
+            }).then(function (position) {
+                assert.deepEqual(position.path, [0]);
+                assert.strictEqual(position.offset, null);
+            });
+        });
+
+        it("fails for steps that don't exist", function () {
+            return epub.resolveCFI("epubcfi(/6/2!/4/9998/2)").then(function () {
+                assert.fail("resolved");
+            }, function (err) {
+                assert.ok(err instanceof Error);
+            });
+        });
+    });
+});
@@ -0,0 +1,100 @@
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var pathlib = require('path');
+var EPub = require('../epub');
+
+var CLI = pathlib.join(__dirname, "..", "bin", "epub.js");
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+var dir;
+
+before(function () {
+    dir = fs.mkdtempSync(pathlib.join(os.tmpdir(), "epub-cli-"));
+});
+
+after(function () {
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+/**
+ *  run(args) -> Promise
+ *  - args (Array): command line arguments
+ *
+ *  Runs the command line tool and resolves with the exit "code", "stdout"
+ *  and "stderr"
+ **/
+function run(args) {
+    return new Promise(function (resolve) {
+        childProcess.execFile(process.execPath, [CLI].concat(args), {cwd: dir}, function (err, stdout, stderr) {
+            resolve({code: err ? err.code : 0, stdout: stdout, stderr: stderr});
+        });
+    });
+}
+
+/**
+ *  writeBook(name, entries) -> String
+ *  - name (String): file name of the book in the temporary directory
+ *  - entries (Object): extra archive entries by their name
+ *
+ *  Writes a one chapter book with extra entries and returns its path
+ **/
+function writeBook(name, entries) {
+    var book = new EPub.Writer({title: "Test"}),
+        target = pathlib.join(dir, name),
+        zip;
+
+    book.addChapter({title: "Chapter 1", href: "chapter1.xhtml", data: '<p><img src="missing.png" alt=""/></p>'});
+
+    zip = book._build();
+    Object.keys(entries).forEach(function (entry) {
+        zip.addFile(entry, entries[entry]);
+    });
+    fs.writeFileSync(target, zip.toBuffer());
+    return target;
+}
+
+describe("command line tool", function () {
+    it("doesn't extract entries outside of the target directory", function () {
+        var absolute = pathlib.join(dir, "absolute.txt"),
+            entries = {"../evil.txt": "evil"},
+            file;
+
+        entries[absolute] = "absolute";
+        file = writeBook("unsafe.epub", entries);
+
+        return run(["extract", file, "out", "--json"]).then(function (result) {
+            var output = JSON.parse(result.stdout);
+
+            assert.strictEqual(result.code, 0);
+            assert.ok(output.extracted.indexOf("OEBPS/chapter1.xhtml") >= 0);
+            assert.deepStrictEqual(output.skipped, [
+                {name: "../evil.txt", reason: "unsafe path"},
+                {name: absolute, reason: "unsafe path"}
+            ]);
+            assert.ok(fs.existsSync(pathlib.join(dir, "out", "OEBPS", "chapter1.xhtml")));
+            assert.ok(!fs.existsSync(pathlib.join(dir, "evil.txt")));
+            assert.ok(!fs.existsSync(absolute));
+        });
+    });
+
+    it("exits with 1 for an invalid book", function () {
+        return run(["validate", writeBook("invalid.epub", {}), "--json"]).then(function (result) {
+            var output = JSON.parse(result.stdout);
+
+            assert.strictEqual(result.code, 1);
+            assert.strictEqual(output.valid, false);
+            assert.deepStrictEqual(output.diagnostics.map(function (diagnostic) {
+                return diagnostic.code;
+            }), ["RESOURCE_MISSING"]);
+        });
+    });
+
+    it("exits with 0 for a valid book", function () {
+        return run(["validate", ALICE, "--json"]).then(function (result) {
+            assert.strictEqual(result.code, 0);
+            assert.strictEqual(JSON.parse(result.stdout).valid, true);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+var assert = require('assert');
+var pathlib = require('path');
+var EPub = require('../epub');
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+describe("close", function () {
+    [{}, {lazy: true}, {cache: new EPub.MemoryCache()}].forEach(function (options) {
+        describe("with " + (Object.keys(options)[0] || "default") + " options", function () {
+            it("stops a running parse with EPUB_CLOSED", function () {
+                var epub = new EPub(ALICE, options), ended = false;
+
+                return new Promise(function (resolve) {
+                    epub.on("end", function () {
+                        ended = true;
+                    });
+                    epub.on("error", resolve);
+                    epub.parse();
+                    epub.close();
+                }).then(function (err) {
+                    assert.equal(err.code, "EPUB_CLOSED");
+                    return new Promise(function (resolve) {
+                        setTimeout(resolve, 50);
+                    });
+                }).then(function () {
+                    assert.ok(!ended);
+                });
+            });
+
+            it("doesn't throw without error listeners", function (done) {
+                var epub = new EPub(ALICE, options);
+                epub.parse();
+                epub.close(function () {
+                    setTimeout(done, 50);
+                });
+            });
+        });
+    });
+
+    it("fails reads with EPUB_CLOSED after close", function () {
+        return EPub.open(ALICE).then(function (epub) {
+            return epub.close().then(function () {
+                assert.strictEqual(epub.zip, null);
+                assert.ok(epub.metadata.title);
+                return epub.getChapter(epub.flow[0].id);
+            });
+        }).then(function () {
+            assert.fail("read a closed book");
+        }, function (err) {
+            assert.equal(err.code, "EPUB_CLOSED");
+        });
+    });
+
+    it("finishes running reads and fails the queued ones", function () {
+        return EPub.open(ALICE, {lazy: true, concurrency: 1}).then(function (epub) {
+            var reads = Object.keys(epub.manifest).map(function (id) {
+                return epub.getFile(id).then(function () {
+                    return "ok";
+                }, function (err) {
+                    return err.code;
+                });
+            });
+            return epub.close().then(function () {
+                return Promise.all(reads);
+            });
+        }).then(function (results) {
+            assert.equal(results[0], "ok");
+            results.slice(1).forEach(function (result) {
+                assert.equal(result, "EPUB_CLOSED");
+            });
+        });
+    });
+
+    it("fails reads with EPUB_NOT_PARSED before the end event", function () {
+        var epub = new EPub(ALICE);
+        epub.parse();
+        return epub.getChapter("item32").then(function () {
+            assert.fail("read an unparsed book");
+        }, function (err) {
+            assert.equal(err.code, "EPUB_NOT_PARSED");
+        });
+    });
+
+    it("reads lazily the same files", function () {
+        return Promise.all([EPub.open(ALICE), EPub.open(ALICE, {lazy: true})]).then(function (books) {
+            assert.deepEqual(books[0].zip.names, books[1].zip.names);
+            return Promise.all(Object.keys(books[0].manifest).map(function (id) {
+                return Promise.all([books[0].getFile(id), books[1].getFile(id)]).then(function (files) {
+                    assert.ok(files[0][0].equals(files[1][0]), id);
+                });
+            }));
+        });
+    });
+});
@@ -0,0 +1,134 @@
+var assert = require('assert');
+var EPub = require('../epub');
+var ZipWriter = require('../lib/zip');
+
+/**
+ *  coverBook(metas, items, guide, page) -> Promise
+ *  - metas (Array): <meta> elements of the package
+ *  - items (Array): manifest items next to the first page and the images
+ *  - guide (Array): <reference> elements of the guide
+ *  - page (String): body of the first page in the spine
+ *
+ *  Builds and parses a book with the images "images/a.png", "images/b.png"
+ *  and "images/c.png" (ids "a", "b" and "c") and the page "cover.xhtml"
+ *  that has "c" as its only image
+ **/
+function coverBook(metas, items, guide, page) {
+    var zip = new ZipWriter();
+
+    zip.addFile("mimetype", "application/epub+zip", {store: true});
+    zip.addFile("META-INF/container.xml", [
+        '<?xml version="1.0"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '  <rootfiles><rootfile full-path="OPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+        '</container>'
+    ].join("\n"));
+    zip.addFile("OPS/content.opf", [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">',
+        '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '    <dc:identifier id="uid">urn:uuid:12345678-1234-1234-1234-123456789abc</dc:identifier>',
+        '    <dc:title>Test</dc:title>'
+    ].concat(metas, [
+        '  </metadata>',
+        '  <manifest>',
+        '    <item id="page" href="page.xhtml" media-type="application/xhtml+xml"/>',
+        '    <item id="cover-page" href="cover.xhtml" media-type="application/xhtml+xml"/>'
+    ], items.concat(["a", "b", "c"].filter(function (id) {
+        return !items.some(function (item) {
+            return item.indexOf('id="' + id + '"') >= 0;
+        });
+    }).map(function (id) {
+        return '    <item id="' + id + '" href="images/' + id + '.png" media-type="image/png"/>';
+    })), [
+        '  </manifest>',
+        '  <spine><itemref idref="page"/></spine>',
+        '  <guide>'
+    ], guide, [
+        '  </guide>',
+        '</package>'
+    ]).join("\n"));
+    zip.addFile("OPS/page.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Page</title></head>' +
+        '<body>' + page + '</body></html>');
+    zip.addFile("OPS/cover.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Cover</title></head>' +
+        '<body><img src="images/c.png" alt=""/></body></html>');
+    ["a", "b", "c"].forEach(function (id) {
+        zip.addFile("OPS/images/" + id + ".png", "image " + id);
+    });
+
+    return EPub.open(zip.toBuffer());
+}
+
+/**
+ *  coverId(epub) -> String | null
+ *  - epub (EPub): parsed book
+ *
+ *  Returns the manifest id of the cover of the book
+ **/
+function coverId(epub) {
+    return epub.cover ? epub.cover.id : null;
+}
+
+describe("cover", function () {
+    it("uses the EPUB 3 cover-image item first", function () {
+        return coverBook(['<meta name="cover" content="b"/>'],
+            ['<item id="a" href="images/a.png" media-type="image/png" properties="cover-image"/>'],
+            ['<reference type="cover" href="cover.xhtml"/>'], '<img src="images/b.png" alt=""/>').then(function (epub) {
+            assert.strictEqual(coverId(epub), "a");
+        });
+    });
+
+    it("uses the EPUB 2 cover meta by id or by href", function () {
+        return Promise.all([
+            coverBook(['<meta name="cover" content="b"/>'], [], ['<reference type="cover" href="cover.xhtml"/>'], ""),
+            coverBook(['<meta name="cover" content="images/b.png"/>'], [], [], "")
+        ]).then(function (books) {
+            assert.deepStrictEqual(books.map(coverId), ["b", "b"]);
+        });
+    });
+
+    it("uses the guide cover reference to an image or to a page with one image", function () {
+        return Promise.all([
+            coverBook([], [], ['<reference type="cover" href="images/b.png"/>'], '<img src="images/a.png" alt=""/>'),
+            coverBook([], [], ['<reference type="Cover" href="cover.xhtml"/>'], '<img src="images/a.png" alt=""/>')
+        ]).then(function (books) {
+            assert.deepStrictEqual(books.map(coverId), ["b", "c"]);
+        });
+    });
+
+    it("uses the only image of the first page in the spine", function () {
+        return Promise.all([
+            coverBook([], [], [], '<p><img src="images/a.png" alt=""/></p>'),
+            coverBook([], [], [], '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+                '<image xlink:href="images/b.png" width="10" height="10"/></svg>'),
+            coverBook([], [], [], '<img src="images/a.png" alt=""/><img src="images/b.png" alt=""/>'),
+            coverBook([], [], [], '<p>No images</p>')
+        ]).then(function (books) {
+            assert.deepStrictEqual(books.map(coverId), ["a", "b", null, null]);
+        });
+    });
+
+    it("skips a cover meta that isn't an image", function () {
+        return coverBook(['<meta name="cover" content="cover-page"/>'], [], [], '<img src="images/a.png" alt=""/>').then(function (epub) {
+            assert.strictEqual(coverId(epub), "a");
+        });
+    });
+
+    it("loads the cover image with getCover", function () {
+        return coverBook(['<meta name="cover" content="b"/>'], [], [], "").then(function (epub) {
+            return epub.getCover();
+        }).then(function (result) {
+            assert.deepStrictEqual(result, [Buffer.from("image b"), "image/png"]);
+        });
+    });
+
+    it("fails getCover without a cover", function () {
+        return coverBook([], [], [], "").then(function (epub) {
+            return epub.getCover();
+        }).then(function () {
+            assert.fail("found a cover");
+        }, function (err) {
+            assert.strictEqual(err.message, "Cover not found");
+        });
+    });
+});
@@ -0,0 +1,41 @@
+var assert = require('assert');
+var css = require('../lib/css');
+var EPub = require('../epub');
+
+describe("css", function () {
+    it("splits the @import rules off a stylesheet", function () {
+        assert.deepStrictEqual(css.imports('@charset "utf-8";\n@import url("a.css") layer(base) ' +
+            'supports(display: grid) screen;\n@import \'b.css\';\np { color: red }\n@import "c.css";'), {
+            imports: [
+                {url: "a.css", layer: "base", supports: "display: grid", media: "screen"},
+                {url: "b.css", layer: null, supports: "", media: ""}
+            ],
+            css: '@charset "utf-8";\np { color: red }\n@import "c.css";'
+        });
+    });
+
+    it("removes @import rules when scoping", function () {
+        assert.strictEqual(css.scope('@import "a.css";\np { color: red }\n@import url(b.css);', "#reader"),
+            "\n#reader p { color: red }");
+    });
+
+    it("inlines and scopes imported stylesheets", function () {
+        var book = new EPub.Writer({title: "Test"});
+
+        book.addStylesheet({href: "main.css", data: '@import "print.css" print;\n@import "remote.css";\n' +
+            '@import url(http://example.com/x.css);\nbody { margin: 0 }'});
+        book.addFile({href: "print.css", mediaType: "text/css", data: '@import "main.css";\nh1 { color: black }'});
+        book.addChapter({title: "Chapter 1", data: "<p>Text</p>"});
+
+        return book.toBuffer().then(function (buffer) {
+            return EPub.open(buffer, {styleScope: "#reader"});
+        }).then(function (epub) {
+            return epub.getChapterStyles(epub.flow[0].id);
+        }).then(function (styles) {
+            // print.css is linked from the chapter as well, its import of
+            // main.css doesn't import print.css again
+            assert.strictEqual(styles, "@media print {\n#reader h1 { color: black }\n}\n#reader { margin: 0 }\n" +
+                "#reader { margin: 0 }\n#reader h1 { color: black }");
+        });
+    });
+});
@@ -0,0 +1,87 @@
+var assert = require('assert');
+var iconv = require('iconv-lite');
+var EPub = require('../epub');
+var encoding = require('../lib/encoding');
+
+/**
+ *  chapter(text[, head][, declaration]) -> String
+ *  - text (String): text of the paragraph
+ *  - head (String): more elements for <head>
+ *  - declaration (String): XML declaration
+ *
+ *  Returns an XHTML document with one paragraph
+ **/
+function chapter(text, head, declaration) {
+    return (declaration || "") + '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Chapter</title>' +
+        (head || "") + '</head><body><p>' + text + '</p></body></html>';
+}
+
+/**
+ *  encodedBook() -> Promise
+ *
+ *  Builds a book with chapters and a stylesheet in other encodings than
+ *  UTF-8 and parses it
+ **/
+function encodedBook() {
+    var book = new EPub.Writer({title: "Test"}),
+        files = {
+            "OEBPS/xml.xhtml": iconv.encode(chapter("吾輩は猫である", "",
+                '<?xml version="1.0" encoding="Shift_JIS"?>\n'), "shift_jis"),
+            "OEBPS/meta.xhtml": iconv.encode(chapter("你好世界", '<meta charset="gbk"/>'), "gbk"),
+            "OEBPS/bom.xhtml": iconv.encode("\ufeff" + chapter("Привет, мир"), "utf-16le"),
+            "OEBPS/style.css": iconv.encode('@charset "Shift_JIS";\np::after { content: "猫"; }\n', "shift_jis")
+        },
+        zip;
+
+    ["xml", "meta", "bom"].forEach(function (id) {
+        book.addChapter({id: id, title: id, href: id + ".xhtml", data: chapter("")});
+    });
+    book.addChapter({id: "css", title: "css", href: "css.xhtml",
+        data: chapter("Text", '<link rel="stylesheet" type="text/css" href="style.css"/>')});
+    book.addStylesheet({href: "style.css", data: ""});
+
+    zip = book._build();
+    zip.entries = zip.entries.filter(function (entry) {
+        return !files.hasOwnProperty(entry.name);
+    });
+    Object.keys(files).forEach(function (name) {
+        zip.addFile(name, files[name]);
+    });
+    return EPub.open(zip.toBuffer());
+}
+
+describe("encoding", function () {
+    it("detects the declared encoding", function () {
+        assert.strictEqual(encoding.detect(Buffer.from('<?xml version="1.0" encoding="Shift_JIS"?><html/>')), "shift_jis");
+        assert.strictEqual(encoding.detect(Buffer.from('<html><head><meta charset="GBK"/>')), "gbk");
+        assert.strictEqual(encoding.detect(Buffer.from([0xFF, 0xFE, 0x3C, 0x00])), "utf-16le");
+        assert.strictEqual(encoding.detect(Buffer.from('@charset "Shift_JIS";')), "shift_jis");
+        assert.strictEqual(encoding.detect(Buffer.from('<html/>')), "utf-8");
+    });
+
+    it("decodes chapters declared by the XML declaration, <meta charset> and a byte order mark", function () {
+        var epub;
+        return encodedBook().then(function (result) {
+            epub = result;
+            return Promise.all(["xml", "meta", "bom"].map(function (id) {
+                return Promise.all([epub.getChapter(id), epub.getChapterText(id)]);
+            }));
+        }).then(function (results) {
+            assert.deepStrictEqual(results.map(function (result) {
+                return [result[0].trim(), result[1].text.trim()];
+            }), [
+                ["<p>吾輩は猫である</p>", "吾輩は猫である"],
+                ["<p>你好世界</p>", "你好世界"],
+                ["<p>Привет, мир</p>", "Привет, мир"]
+            ]);
+        });
+    });
+
+    it("decodes stylesheets declared by @charset", function () {
+        return encodedBook().then(function (epub) {
+            return epub.getChapterStyles("css");
+        }).then(function (css) {
+            assert.match(css, /content: "猫"/);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+var assert = require('assert');
+var fs = require('fs');
+var pathlib = require('path');
+var stream = require('stream');
+var EPub = require('../epub');
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+/**
+ *  summary(epub) -> Promise
+ *  - epub (EPub): parsed book
+ *
+ *  Resolves with the metadata, the spine ids and the text of the first
+ *  chapter of the book
+ **/
+function summary(epub) {
+    return epub.getChapter(epub.flow[0].id).then(function (chapter) {
+        return {
+            metadata: epub.metadata,
+            flow: epub.flow.map(function (item) {
+                return item.id;
+            }),
+            chapter: chapter
+        };
+    });
+}
+
+describe("input", function () {
+    var expected;
+
+    before(function () {
+        return EPub.open(ALICE).then(summary).then(function (result) {
+            expected = result;
+        });
+    });
+
+    it("opens a Buffer", function () {
+        return EPub.open(fs.readFileSync(ALICE)).then(summary).then(function (result) {
+            assert.deepStrictEqual(result, expected);
+        });
+    });
+
+    it("opens a readable stream", function () {
+        var epub;
+
+        return EPub.open(fs.createReadStream(ALICE, {highWaterMark: 4096})).then(function (result) {
+            epub = result;
+            assert.ok(Buffer.isBuffer(epub.filename));
+            return summary(epub);
+        }).then(function (result) {
+            assert.deepStrictEqual(result, expected);
+        });
+    });
+
+    it("fails with STREAM_READ_FAILED when the stream errors partway", function () {
+        var data = fs.readFileSync(ALICE),
+            input = new stream.Readable({read: function () {}}),
+            ended = false;
+
+        return new Promise(function (resolve) {
+            var epub = new EPub(input);
+            epub.on("end", function () {
+                ended = true;
+            });
+            epub.on("error", resolve);
+            epub.parse();
+
+            input.push(data.slice(0, 4096));
+            setImmediate(function () {
+                input.destroy(new Error("Disk gone"));
+            });
+        }).then(function (err) {
+            assert.strictEqual(err.code, "STREAM_READ_FAILED");
+            assert.strictEqual(err.message, "Reading stream failed");
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 50);
+            });
+        }).then(function () {
+            assert.ok(!ended);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+var assert = require('assert');
+var EPub = require('../epub');
+
+/**
+ *  brokenBook(changes) -> Buffer
+ *  - changes (Object): new contents of archive entries by their name, null
+ *    removes the entry
+ *
+ *  Builds a book with a chapter and an image and changes its entries
+ **/
+function brokenBook(changes) {
+    var book = new EPub.Writer({title: "Test"}), zip;
+
+    book.addChapter({title: "Chapter 1", href: "chapter1.xhtml", data: "<p>Text</p>"});
+    book.addImage({id: "image", href: "image.png", data: Buffer.from("png")});
+
+    zip = book._build();
+    zip.entries = zip.entries.filter(function (entry) {
+        return !changes.hasOwnProperty(entry.name);
+    });
+    Object.keys(changes).forEach(function (name) {
+        if (changes[name] !== null) {
+            zip.addFile(name, changes[name]);
+        }
+    });
+    return zip.toBuffer();
+}
+
+/**
+ *  parse(data, options) -> Promise
+ *  - data (Buffer): contents of the book
+ *  - options (Object): EPub options
+ *
+ *  Parses the book and resolves with the book and the codes of the
+ *  emitted warnings
+ **/
+function parse(data, options) {
+    return new Promise(function (resolve, reject) {
+        var epub = new EPub(data, options), warnings = [];
+
+        epub.on("warning", function (warning) {
+            warnings.push(warning.code);
+        });
+        epub.on("end", function () {
+            resolve({epub: epub, warnings: warnings});
+        });
+        epub.on("error", reject);
+        epub.parse();
+    });
+}
+
+var CONTAINER = '<?xml version="1.0"?><container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+    '<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles></container>';
+
+describe("lenient mode", function () {
+    it("guesses the rootfile when the container points to a missing file", function () {
+        var data = brokenBook({"META-INF/container.xml": CONTAINER});
+
+        return parse(data, {lenient: true}).then(function (result) {
+            assert.deepStrictEqual(result.warnings, ["ROOTFILE_NOT_FOUND", "ROOTFILE_GUESSED"]);
+            assert.strictEqual(result.epub.rootFile, "OEBPS/content.opf");
+            assert.strictEqual(result.epub.metadata.title, "Test");
+            return parse(data, {});
+        }).then(function () {
+            assert.fail("parsed a broken container without the lenient option");
+        }, function (err) {
+            assert.strictEqual(err.code, "ROOTFILE_NOT_FOUND");
+        });
+    });
+
+    it("ignores a wrong mimetype file", function () {
+        var data = brokenBook({mimetype: "application/zip"});
+
+        return parse(data, {lenient: true}).then(function (result) {
+            assert.deepStrictEqual(result.warnings, ["MIMETYPE_INVALID"]);
+            assert.strictEqual(result.epub.flow.length, 1);
+            return parse(data, {});
+        }).then(function () {
+            assert.fail("parsed a wrong mimetype without the lenient option");
+        }, function (err) {
+            assert.strictEqual(err.code, "MIMETYPE_INVALID");
+        });
+    });
+
+    it("warns about whitespace in the mimetype file without the lenient option", function () {
+        return parse(brokenBook({mimetype: "application/epub+zip\n"}), {}).then(function (result) {
+            assert.deepStrictEqual(result.warnings, ["MIMETYPE_INVALID"]);
+            assert.deepStrictEqual(result.epub.diagnostics, [{
+                severity: "warning",
+                code: "MIMETYPE_INVALID",
+                path: "mimetype",
+                message: "Mime type file has extra whitespace or different case"
+            }]);
+        });
+    });
+
+    it("skips a manifest item with a missing file", function () {
+        return parse(brokenBook({"OEBPS/image.png": null}), {lenient: true}).then(function (result) {
+            assert.deepStrictEqual(result.warnings, ["MANIFEST_FILE_MISSING"]);
+            assert.ok(!result.epub.manifest.image);
+            assert.strictEqual(result.epub.flow.length, 1);
+        });
+    });
+});
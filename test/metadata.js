@@ -0,0 +1,164 @@
+var assert = require('assert');
+var EPub = require('../epub');
+var ZipWriter = require('../lib/zip');
+
+/**
+ *  packageBook(version, metadata) -> Promise
+ *  - version (String): EPUB version of the package document
+ *  - metadata (Array): lines of the <metadata> element
+ *
+ *  Builds and parses a one chapter book with the given metadata
+ **/
+function packageBook(version, metadata) {
+    var zip = new ZipWriter();
+
+    zip.addFile("mimetype", "application/epub+zip", {store: true});
+    zip.addFile("META-INF/container.xml", [
+        '<?xml version="1.0"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '  <rootfiles><rootfile full-path="content.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+        '</container>'
+    ].join("\n"));
+    zip.addFile("content.opf", [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<package xmlns="http://www.idpf.org/2007/opf" version="' + version + '" unique-identifier="uid">',
+        '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">'
+    ].concat(metadata.map(function (line) {
+        return "    " + line;
+    }), [
+        '  </metadata>',
+        '  <manifest><item id="chapter1" href="chapter1.xhtml" media-type="application/xhtml+xml"/></manifest>',
+        '  <spine><itemref idref="chapter1"/></spine>',
+        '</package>'
+    ]).join("\n"));
+    zip.addFile("chapter1.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><body><p>Text</p></body></html>');
+
+    return EPub.open(zip.toBuffer());
+}
+
+describe("metadata", function () {
+    describe("EPUB 3 refinements", function () {
+        var metadata;
+
+        before(function () {
+            return packageBook("3.0", [
+                '<dc:identifier id="uid">urn:uuid:12345678-1234-1234-1234-123456789abc</dc:identifier>',
+                '<dc:identifier id="isbn">9780000000002</dc:identifier>',
+                '<meta refines="#isbn" property="identifier-type" scheme="onix:codelist5">15</meta>',
+                '<dc:title id="t2">A Subtitle</dc:title>',
+                '<dc:title id="t1">The Title</dc:title>',
+                '<meta refines="#t1" property="title-type">main</meta>',
+                '<meta refines="#t1" property="file-as">Title, The</meta>',
+                '<meta refines="#t1" property="display-seq">1</meta>',
+                '<meta refines="#t2" property="title-type">subtitle</meta>',
+                '<meta refines="#t2" property="display-seq">2</meta>',
+                '<dc:creator id="c1">Second Author</dc:creator>',
+                '<meta refines="#c1" property="role" scheme="marc:relators">aut</meta>',
+                '<meta refines="#c1" property="file-as">Author, Second</meta>',
+                '<meta refines="#c1" property="display-seq">2</meta>',
+                '<dc:creator id="c2" xml:lang="fi">First Illustrator</dc:creator>',
+                '<meta refines="#c2" property="role" scheme="marc:relators">ill</meta>',
+                '<meta refines="#c2" property="display-seq">1</meta>',
+                '<dc:contributor id="e1">An Editor</dc:contributor>',
+                '<meta refines="#e1" property="role" scheme="marc:relators">edt</meta>',
+                '<dc:contributor>A Translator</dc:contributor>',
+                '<dc:language>en</dc:language>',
+                '<meta property="belongs-to-collection" id="s1">The Series</meta>',
+                '<meta refines="#s1" property="collection-type">series</meta>',
+                '<meta refines="#s1" property="group-position">2</meta>',
+                '<meta property="belongs-to-collection" id="s2">A Set</meta>',
+                '<meta refines="#s2" property="collection-type">set</meta>',
+                '<meta property="dcterms:modified">2020-01-01T00:00:00Z</meta>'
+            ]).then(function (epub) {
+                metadata = epub.metadata;
+            });
+        });
+
+        it("applies title-type, file-as and display-seq to the titles", function () {
+            assert.deepStrictEqual(metadata.titles, [
+                {value: "The Title", type: "main", fileAs: "Title, The", displaySeq: 1, lang: "", id: "t1"},
+                {value: "A Subtitle", type: "subtitle", fileAs: "", displaySeq: 2, lang: "", id: "t2"}
+            ]);
+            assert.strictEqual(metadata.title, "The Title");
+        });
+
+        it("sorts the creators by display-seq and applies role and file-as", function () {
+            assert.deepStrictEqual(metadata.creators, [
+                {name: "First Illustrator", role: "ill", roleScheme: "marc:relators", fileAs: "First Illustrator",
+                    displaySeq: 1, lang: "fi", id: "c2"},
+                {name: "Second Author", role: "aut", roleScheme: "marc:relators", fileAs: "Author, Second",
+                    displaySeq: 2, lang: "", id: "c1"}
+            ]);
+            assert.strictEqual(metadata.creator, "First Illustrator");
+            assert.strictEqual(metadata.creatorFileAs, "First Illustrator");
+        });
+
+        it("lists the contributors with and without refinements", function () {
+            assert.deepStrictEqual(metadata.contributors, [
+                {name: "An Editor", role: "edt", roleScheme: "marc:relators", fileAs: "An Editor",
+                    displaySeq: 0, lang: "", id: "e1"},
+                {name: "A Translator", role: "", roleScheme: "", fileAs: "A Translator",
+                    displaySeq: 0, lang: "", id: ""}
+            ]);
+        });
+
+        it("reads the identifier-type of the identifiers", function () {
+            assert.deepStrictEqual(metadata.identifiers, [
+                {value: "urn:uuid:12345678-1234-1234-1234-123456789abc", scheme: "", id: "uid"},
+                {value: "9780000000002", scheme: "ISBN", id: "isbn"}
+            ]);
+            assert.strictEqual(metadata.ISBN, "9780000000002");
+            assert.strictEqual(metadata.UUID, "12345678-1234-1234-1234-123456789ABC");
+        });
+
+        it("reads belongs-to-collection with collection-type and group-position", function () {
+            assert.deepStrictEqual(metadata.collections, [
+                {name: "The Series", type: "series", position: 2, id: "s1"},
+                {name: "A Set", type: "set", position: 0, id: "s2"}
+            ]);
+            assert.deepStrictEqual(metadata.series, {name: "The Series", position: 2});
+        });
+    });
+
+    describe("EPUB 2 attributes", function () {
+        var metadata;
+
+        before(function () {
+            return packageBook("2.0", [
+                '<dc:identifier id="uid" opf:scheme="UUID">urn:uuid:12345678-1234-1234-1234-123456789abc</dc:identifier>',
+                '<dc:identifier opf:scheme="ISBN">9780000000002</dc:identifier>',
+                '<dc:title>The Title</dc:title>',
+                '<dc:creator opf:role="aut" opf:file-as="Author, First">First Author</dc:creator>',
+                '<dc:creator opf:role="aut" opf:file-as="Author, Second">Second Author</dc:creator>',
+                '<dc:contributor opf:role="edt">An Editor</dc:contributor>',
+                '<dc:language>en</dc:language>',
+                '<meta name="calibre:series" content="The Series"/>',
+                '<meta name="calibre:series_index" content="3"/>'
+            ]).then(function (epub) {
+                metadata = epub.metadata;
+            });
+        });
+
+        it("applies opf:role and opf:file-as to multiple creators and contributors", function () {
+            assert.deepStrictEqual(metadata.creators.map(function (creator) {
+                return [creator.name, creator.role, creator.roleScheme, creator.fileAs];
+            }), [
+                ["First Author", "aut", "marc:relators", "Author, First"],
+                ["Second Author", "aut", "marc:relators", "Author, Second"]
+            ]);
+            assert.deepStrictEqual(metadata.contributors.map(function (contributor) {
+                return [contributor.name, contributor.role, contributor.fileAs];
+            }), [["An Editor", "edt", "An Editor"]]);
+            assert.strictEqual(metadata.creatorFileAs, "Author, First");
+        });
+
+        it("reads opf:scheme of the identifiers and the calibre series", function () {
+            assert.deepStrictEqual(metadata.identifiers, [
+                {value: "urn:uuid:12345678-1234-1234-1234-123456789abc", scheme: "UUID", id: "uid"},
+                {value: "9780000000002", scheme: "ISBN", id: ""}
+            ]);
+            assert.deepStrictEqual(metadata.collections, []);
+            assert.deepStrictEqual(metadata.series, {name: "The Series", position: 3});
+        });
+    });
+});
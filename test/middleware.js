@@ -0,0 +1,243 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var pathlib = require('path');
+var EPub = require('../epub');
+var crc32 = require('../lib/zip').crc32;
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+var dir;
+
+before(function () {
+    dir = fs.mkdtempSync(pathlib.join(os.tmpdir(), "epub-middleware-"));
+});
+
+after(function () {
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+/**
+ *  audioBook() -> Promise
+ *
+ *  Writes a book with 5000 bytes of audio stored without compression into
+ *  a temporary file and opens it with the "lazy" option
+ **/
+function audioBook() {
+    var book = new EPub.Writer({title: "Test"}),
+        target = pathlib.join(dir, "audio.epub"),
+        data = Buffer.alloc(5000),
+        zip, i;
+
+    for (i = 0; i < data.length; i++) {
+        data[i] = i % 253;
+    }
+
+    book.addChapter({title: "Chapter 1", data: "<p>Text</p>"});
+    book.addFile({id: "audio1", href: "audio/track.mp3", data: data});
+
+    zip = book._build();
+    zip.entries = zip.entries.filter(function (entry) {
+        return entry.name != "OEBPS/audio/track.mp3";
+    });
+    zip.addFile("OEBPS/audio/track.mp3", data, {store: true});
+
+    return new Promise(function (resolve, reject) {
+        zip.write(target, function (err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(EPub.open(target, {lazy: true}));
+        });
+    });
+}
+
+/**
+ *  request(handler, url[, headers]) -> Promise
+ *  - handler (Function): request handler from middleware()
+ *  - url (String): request URL
+ *  - headers (Object): request headers
+ *
+ *  Runs a GET request through the handler with a fake response object
+ **/
+function request(handler, url, headers) {
+    return new Promise(function (resolve) {
+        var res = {
+            writeHead: function (status, headers) {
+                res.status = status;
+                res.headers = headers;
+            },
+            end: function (body) {
+                res.body = body;
+                resolve(res);
+            }
+        };
+        handler({method: "GET", url: url, headers: headers || {}}, res);
+    });
+}
+
+describe("middleware", function () {
+    var epub, handler;
+
+    before(function () {
+        return EPub.open(ALICE).then(function (result) {
+            epub = result;
+            handler = epub.middleware();
+        });
+    });
+
+    it("serves chapters under linkroot through the sanitizer", function () {
+        var chapter = epub.flow[0];
+
+        return request(handler, epub.linkroot + chapter.id + "/" + chapter.href).then(function (res) {
+            assert.equal(res.status, 200);
+            assert.equal(res.headers["Content-Type"], "text/html; charset=utf-8");
+            assert.ok(!/<html|<\?xml/i.test(String(res.body)));
+        });
+    });
+
+    it("doesn't serve chapters under imageroot", function () {
+        var chapter = epub.flow[0];
+
+        return request(handler, epub.imageroot + chapter.id + "/" + chapter.href).then(function (res) {
+            assert.equal(res.status, 404);
+        });
+    });
+
+    it("serves images under imageroot", function () {
+        var image = Object.keys(epub.manifest).map(function (id) {
+            return epub.manifest[id];
+        }).filter(function (item) {
+            return item['media-type'].substr(0, 6) == "image/" && item['media-type'] != "image/svg+xml";
+        })[0];
+
+        return request(handler, epub.imageroot + image.id + "/" + image.href).then(function (res) {
+            assert.equal(res.status, 200);
+            assert.equal(res.headers["Content-Type"], image['media-type']);
+        });
+    });
+
+    it("uses the checksum and size of the archive entry as ETag", function () {
+        var image = epub.manifest.item1,
+            url = epub.imageroot + image.id + "/" + image.href,
+            getImage = epub.getImage,
+            reads = 0;
+
+        return request(handler, url).then(function (res) {
+            assert.strictEqual(res.headers.ETag,
+                '"' + crc32(res.body).toString(16) + "-" + res.body.length.toString(16) + '"');
+
+            epub.getImage = function () {
+                reads++;
+                return getImage.apply(this, arguments);
+            };
+            return request(handler, url, {"if-none-match": res.headers.ETag});
+        }).then(function (res) {
+            epub.getImage = getImage;
+            assert.strictEqual(res.status, 304);
+            assert.strictEqual(reads, 0);
+        }, function (err) {
+            epub.getImage = getImage;
+            throw err;
+        });
+    });
+
+    it("hashes replaced files and sanitized chapters for the ETag", function () {
+        var chapter = epub.flow[0];
+
+        return EPub.open(ALICE).then(function (book) {
+            var css = book.manifest.item29;
+
+            book.replaceItem(css.id, "p { color: red; }");
+            return Promise.all([
+                request(book.middleware(), book.imageroot + css.id + "/" + css.href),
+                request(handler, epub.linkroot + chapter.id + "/" + chapter.href)
+            ]);
+        }).then(function (responses) {
+            responses.forEach(function (res) {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.headers.ETag,
+                    '"' + crypto.createHash("sha1").update(res.body).digest("hex") + '"');
+            });
+            assert.strictEqual(String(responses[0].body), "p { color: red; }");
+        });
+    });
+
+    describe("range requests for audio", function () {
+        var book, audioHandler, url, ranges;
+
+        before(function () {
+            return audioBook().then(function (result) {
+                var readRange = result.zip.readRange;
+
+                book = result;
+                audioHandler = book.middleware();
+                url = book.imageroot + "audio1/" + book.manifest.audio1.href;
+                result.zip.readRange = function (name, start, end, callback) {
+                    ranges.push([start, end]);
+                    return readRange.apply(this, arguments);
+                };
+            });
+        });
+
+        beforeEach(function () {
+            ranges = [];
+        });
+
+        it("reads only the requested range from the archive", function () {
+            return request(audioHandler, url, {range: "bytes=100-199"}).then(function (res) {
+                assert.strictEqual(res.status, 206);
+                assert.strictEqual(res.headers["Content-Type"], "audio/mpeg");
+                assert.strictEqual(res.headers["Content-Range"], "bytes 100-199/5000");
+                assert.strictEqual(res.body.length, 100);
+                assert.strictEqual(res.body[0], 100);
+                assert.deepStrictEqual(ranges, [[100, 199]]);
+            });
+        });
+
+        it("answers open and suffix ranges", function () {
+            return Promise.all([
+                request(audioHandler, url, {range: "bytes=4900-"}),
+                request(audioHandler, url, {range: "bytes=-10"})
+            ]).then(function (responses) {
+                assert.deepStrictEqual(responses.map(function (res) {
+                    return [res.status, res.headers["Content-Range"], res.body.length];
+                }), [
+                    [206, "bytes 4900-4999/5000", 100],
+                    [206, "bytes 4990-4999/5000", 10]
+                ]);
+                assert.deepStrictEqual(ranges, [[4900, 4999], [4990, 4999]]);
+            });
+        });
+
+        it("answers a range outside of the file with 416 without reading it", function () {
+            return request(audioHandler, url, {range: "bytes=6000-"}).then(function (res) {
+                assert.strictEqual(res.status, 416);
+                assert.strictEqual(res.headers["Content-Range"], "bytes */5000");
+                assert.deepStrictEqual(ranges, []);
+            });
+        });
+
+        it("serves the whole file without a range", function () {
+            return request(audioHandler, url).then(function (res) {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body.length, 5000);
+                assert.deepStrictEqual(ranges, []);
+            });
+        });
+    });
+
+    it("sends a Content-Security-Policy with every response", function () {
+        return Promise.all([
+            request(handler, "/book.json"),
+            request(handler, "/nothing/here")
+        ]).then(function (responses) {
+            responses.forEach(function (res) {
+                assert.ok(/default-src 'none'/.test(res.headers["Content-Security-Policy"]));
+                assert.ok(/sandbox/.test(res.headers["Content-Security-Policy"]));
+            });
+        });
+    });
+});
@@ -0,0 +1,66 @@
+var assert = require('assert');
+var EPub = require('../epub');
+
+/**
+ *  navBook(list) -> Promise
+ *  - list (String): markup of the TOC <ol>
+ *
+ *  Builds a book with three chapters and a navigation document with the
+ *  given TOC and parses it
+ **/
+function navBook(list) {
+    var book = new EPub.Writer({title: "Test"});
+
+    book.addFile({href: "toc.xhtml", mediaType: "application/xhtml+xml", properties: "nav", data: [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+        '<head><title>TOC</title></head>',
+        '<body><nav epub:type="toc">' + list + '</nav></body>',
+        '</html>'
+    ].join("\n")});
+    ["one", "two", "three"].forEach(function (name) {
+        book.addChapter({id: name, href: name + ".xhtml", title: name, data: "<p>" + name + "</p>", toc: false});
+    });
+
+    return book.toBuffer().then(EPub.open);
+}
+
+/**
+ *  entries(epub) -> Array
+ *  - epub (EPub): parsed book
+ *
+ *  Lists the TOC entries as [level, title, href]
+ **/
+function entries(epub) {
+    return epub.toc.map(function (entry) {
+        return [entry.level, entry.title, entry.href];
+    });
+}
+
+describe("navigation document", function () {
+    it("reads nested lists", function () {
+        return navBook('<ol><li><a href="one.xhtml">One</a><ol><li><a href="two.xhtml#a">Two</a>' +
+            '<ol><li><a href="three.xhtml#b">Three</a></li></ol></li></ol></li></ol>').then(function (epub) {
+            assert.deepStrictEqual(entries(epub), [
+                [0, "One", "OEBPS/one.xhtml"],
+                [1, "Two", "OEBPS/two.xhtml#a"],
+                [2, "Three", "OEBPS/three.xhtml#b"]
+            ]);
+        });
+    });
+
+    it("reads every nested list of an entry", function () {
+        return navBook('<ol><li><span>Part</span><ol><li><a href="one.xhtml">One</a></li></ol>' +
+            '<ol><li><a href="two.xhtml">Two</a></li><li><a href="three.xhtml">Three</a></li></ol></li></ol>')
+            .then(function (epub) {
+                assert.deepStrictEqual(entries(epub), [
+                    [1, "One", "OEBPS/one.xhtml"],
+                    [1, "Two", "OEBPS/two.xhtml"],
+                    [1, "Three", "OEBPS/three.xhtml"]
+                ]);
+                assert.deepStrictEqual(epub.toc.map(function (entry) {
+                    return entry.order;
+                }), [2, 3, 4]);
+            });
+    });
+});
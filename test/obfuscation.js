@@ -0,0 +1,115 @@
+var assert = require('assert');
+var EPub = require('../epub');
+var obfuscation = require('../lib/obfuscation');
+
+var UUID = "urn:uuid:0d9a3f5c-5b8e-4c2a-9d43-6c1e2b7a8f10";
+// SHA-1 of the identifier
+var IDPF_KEY = Buffer.from("9dec8118195b4d1ffc55e56e6fa28cc701bb6308", "hex");
+// bytes of the UUID
+var ADOBE_KEY = Buffer.from("0d9a3f5c5b8e4c2a9d436c1e2b7a8f10", "hex");
+
+/**
+ *  font() -> Buffer
+ *
+ *  Returns 2000 bytes of font data
+ **/
+function font() {
+    var data = Buffer.alloc(2000), i;
+    for (i = 0; i < data.length; i++) {
+        data[i] = i % 251;
+    }
+    return data;
+}
+
+/**
+ *  obfuscated(key, length) -> Buffer
+ *  - key (Buffer): obfuscation key
+ *  - length (Number): number of obfuscated bytes at the start
+ *
+ *  Returns font() with the start XORed with the repeated key
+ **/
+function obfuscated(key, length) {
+    var data = font(), i;
+    for (i = 0; i < length; i++) {
+        data[i] ^= key[i % key.length];
+    }
+    return data;
+}
+
+/**
+ *  encryptedBook(algorithms) -> Promise
+ *  - algorithms (Object): algorithm URIs by the path of the file in OEBPS
+ *
+ *  Builds a book with a font and a DRM-encrypted image and parses it
+ **/
+function encryptedBook(algorithms) {
+    var book = new EPub.Writer({title: "Test", identifier: UUID}), zip;
+
+    book.addChapter({title: "Chapter 1", data: "<p>Text</p>"});
+    book.addFile({id: "font", href: "fonts/font.otf", data: algorithms["fonts/font.otf"] == obfuscation.IDPF_ALGORITHM ?
+        obfuscated(IDPF_KEY, 1040) : obfuscated(ADOBE_KEY, 1024)});
+    book.addFile({id: "image", href: "images/image.png", data: "encrypted"});
+
+    zip = book._build();
+    zip.addFile("META-INF/encryption.xml", [
+        '<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container"',
+        '    xmlns:enc="http://www.w3.org/2001/04/xmlenc#">'
+    ].concat(Object.keys(algorithms).map(function (href) {
+        return [
+            '  <enc:EncryptedData>',
+            '    <enc:EncryptionMethod Algorithm="' + algorithms[href] + '"/>',
+            '    <enc:CipherData><enc:CipherReference URI="OEBPS/' + href + '"/></enc:CipherData>',
+            '  </enc:EncryptedData>'
+        ].join("\n");
+    }), ['</encryption>']).join("\n"));
+    return EPub.open(zip.toBuffer());
+}
+
+describe("obfuscation", function () {
+    it("calculates the IDPF key from the identifier without whitespace", function () {
+        assert.deepStrictEqual(obfuscation.idpfKey(UUID), IDPF_KEY);
+        assert.deepStrictEqual(obfuscation.idpfKey(" urn:uuid:0d9a3f5c-5b8e-4c2a-9d43-\n6c1e2b7a8f10\t"), IDPF_KEY);
+    });
+
+    it("calculates the Adobe key from an UUID", function () {
+        assert.deepStrictEqual(obfuscation.adobeKey(UUID), ADOBE_KEY);
+        assert.strictEqual(obfuscation.adobeKey("urn:isbn:9780000000002"), null);
+    });
+
+    it("de-obfuscates the first 1040 bytes with the IDPF algorithm", function () {
+        assert.deepStrictEqual(obfuscation.deobfuscate(obfuscated(IDPF_KEY, 1040), obfuscation.IDPF_ALGORITHM, IDPF_KEY),
+            font());
+    });
+
+    it("de-obfuscates the first 1024 bytes with the Adobe algorithm", function () {
+        assert.deepStrictEqual(obfuscation.deobfuscate(obfuscated(ADOBE_KEY, 1024), obfuscation.ADOBE_ALGORITHM, ADOBE_KEY),
+            font());
+    });
+
+    [obfuscation.IDPF_ALGORITHM, obfuscation.ADOBE_ALGORITHM].forEach(function (algorithm) {
+        it("reads fonts obfuscated with " + algorithm, function () {
+            var algorithms = {"fonts/font.otf": algorithm};
+            return encryptedBook(algorithms).then(function (epub) {
+                assert.strictEqual(epub.manifest.font.encrypted, undefined);
+                return epub.getFile("font");
+            }).then(function (results) {
+                assert.deepStrictEqual(results[0], font());
+            });
+        });
+    });
+
+    it("marks encrypted files in the manifest", function () {
+        return encryptedBook({
+            "fonts/font.otf": obfuscation.IDPF_ALGORITHM,
+            "images/image.png": "http://www.w3.org/2001/04/xmlenc#aes128-cbc"
+        }).then(function (epub) {
+            assert.strictEqual(epub.manifest.image.encrypted, true);
+            assert.strictEqual(epub.manifest.font.encrypted, undefined);
+            return epub.getFile("image").then(function () {
+                throw new Error("Expected an error");
+            }, function (err) {
+                assert.strictEqual(err.code, "RESOURCE_ENCRYPTED");
+            });
+        });
+    });
+});
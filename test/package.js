@@ -0,0 +1,139 @@
+var assert = require('assert');
+var EPub = require('../epub');
+var ZipWriter = require('../lib/zip');
+
+/**
+ *  packageBook(lines, files) -> Promise
+ *  - lines (Array): lines of the package document after the XML declaration
+ *  - files (Object): contents of the other files in "OPS/" by their name
+ *
+ *  Builds and parses a book with the package document "OPS/content.opf"
+ **/
+function packageBook(lines, files) {
+    var zip = new ZipWriter();
+
+    zip.addFile("mimetype", "application/epub+zip", {store: true});
+    zip.addFile("META-INF/container.xml", [
+        '<?xml version="1.0"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '  <rootfiles><rootfile full-path="OPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+        '</container>'
+    ].join("\n"));
+    zip.addFile("OPS/content.opf", ['<?xml version="1.0" encoding="UTF-8"?>'].concat(lines).join("\n"));
+    Object.keys(files).forEach(function (name) {
+        zip.addFile("OPS/" + name, files[name]);
+    });
+
+    return EPub.open(zip.toBuffer());
+}
+
+/**
+ *  page(id) -> String
+ *  - id (String): id of the paragraph
+ *
+ *  Returns an XHTML document with one paragraph
+ **/
+function page(id) {
+    return '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Page</title></head>' +
+        '<body><p id="' + id + '">Text</p></body></html>';
+}
+
+describe("package document", function () {
+    var epub;
+
+    before(function () {
+        return packageBook([
+            '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">',
+            '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            '    <dc:identifier id="uid">urn:uuid:12345678-1234-1234-1234-123456789abc</dc:identifier>',
+            '    <dc:title>Test</dc:title>',
+            '    <dc:language>ja</dc:language>',
+            '  </metadata>',
+            '  <manifest>',
+            '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+            '    <item id="p1" href="p1.xhtml" media-type="application/xhtml+xml" properties="svg scripted"/>',
+            '    <item id="p2" href="p2.xhtml" media-type="application/xhtml+xml"/>',
+            '    <item id="p3" href="p3.xhtml" media-type="application/xhtml+xml"/>',
+            '    <item id="notes" href="notes.xhtml" media-type="application/xhtml+xml"/>',
+            '    <item id="video" href="video.webm" media-type="video/webm" fallback="image"/>',
+            '    <item id="image" href="image.webp" media-type="image/webp" fallback="png"/>',
+            '    <item id="png" href="image.png" media-type="image/png"/>',
+            '  </manifest>',
+            '  <spine page-progression-direction="rtl">',
+            '    <itemref idref="p1" properties="page-spread-right"/>',
+            '    <itemref idref="p2" properties="page-spread-left"/>',
+            '    <itemref idref="p3" properties="rendition:page-spread-center"/>',
+            '    <itemref idref="notes" linear="no"/>',
+            '  </spine>',
+            '  <guide>',
+            '    <reference type="cover" title="Cover" href="p1.xhtml"/>',
+            '    <reference type="text" title="Start" href="p2.xhtml#top"/>',
+            '  </guide>',
+            '</package>'
+        ], {
+            "nav.xhtml": '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">' +
+                '<body><nav epub:type="toc"><ol><li><a href="p1.xhtml">Page 1</a></li></ol></nav></body></html>',
+            "p1.xhtml": page("p1"),
+            "p2.xhtml": page("top"),
+            "p3.xhtml": page("p3"),
+            "notes.xhtml": page("notes"),
+            "video.webm": "webm",
+            "image.webp": "webp",
+            "image.png": "png"
+        }).then(function (result) {
+            epub = result;
+        });
+    });
+
+    it("parses the guide", function () {
+        assert.deepStrictEqual(epub.guide, [
+            {type: "cover", title: "Cover", href: "OPS/p1.xhtml", id: "p1"},
+            {type: "text", title: "Start", href: "OPS/p2.xhtml#top", id: "p2"}
+        ]);
+    });
+
+    it("reads linear, the properties and the page spread of the spine items", function () {
+        assert.deepStrictEqual(epub.flow.map(function (chapter) {
+            return [chapter.id, chapter.linear, chapter.spineProperties, chapter.pageSpread];
+        }), [
+            ["p1", true, ["page-spread-right"], "right"],
+            ["p2", true, ["page-spread-left"], "left"],
+            ["p3", true, ["rendition:page-spread-center"], "center"],
+            ["notes", false, [], ""]
+        ]);
+        assert.strictEqual(epub.spine.pageProgressionDirection, "rtl");
+    });
+
+    it("lists the properties and the fallback chain of the manifest items", function () {
+        assert.deepStrictEqual(Object.keys(epub.manifest).map(function (id) {
+            return [id, epub.manifest[id].propertyList, epub.manifest[id].fallbacks];
+        }), [
+            ["nav", ["nav"], []],
+            ["p1", ["svg", "scripted"], []],
+            ["p2", [], []],
+            ["p3", [], []],
+            ["notes", [], []],
+            ["video", [], ["image", "png"]],
+            ["image", [], ["png"]],
+            ["png", [], []]
+        ]);
+        assert.strictEqual(epub.manifest.video.fallback, "image");
+    });
+
+    it("defaults the page progression direction and linear", function () {
+        return packageBook([
+            '<package xmlns="http://www.idpf.org/2007/opf" version="2.0" unique-identifier="uid">',
+            '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            '    <dc:identifier id="uid">urn:uuid:12345678-1234-1234-1234-123456789abc</dc:identifier>',
+            '    <dc:title>Test</dc:title>',
+            '  </metadata>',
+            '  <manifest><item id="p1" href="p1.xhtml" media-type="application/xhtml+xml"/></manifest>',
+            '  <spine><itemref idref="p1" linear="yes"/></spine>',
+            '</package>'
+        ], {"p1.xhtml": page("p1")}).then(function (result) {
+            assert.strictEqual(result.spine.pageProgressionDirection, "default");
+            assert.strictEqual(result.flow[0].linear, true);
+            assert.deepStrictEqual(result.guide, []);
+        });
+    });
+});
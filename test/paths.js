@@ -0,0 +1,40 @@
+var assert = require('assert');
+var paths = require('../lib/paths');
+
+describe("paths", function () {
+    describe("resolveHref", function () {
+        it("resolves relative paths against the directory of the base", function () {
+            assert.strictEqual(paths.resolveHref("OEBPS/text/ch1.xhtml", "ch2.xhtml"), "OEBPS/text/ch2.xhtml");
+            assert.strictEqual(paths.resolveHref("OEBPS/text/ch1.xhtml", "./../images/a.png"), "OEBPS/images/a.png");
+            assert.strictEqual(paths.resolveHref("content.opf", "text/ch1.xhtml"), "text/ch1.xhtml");
+        });
+
+        it("decodes percent-encoded characters", function () {
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "images/a%20b%C3%A4.png"), "OEBPS/images/a bä.png");
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "a%2.png"), "OEBPS/a%2.png");
+        });
+
+        it("drops the query and keeps the fragment", function () {
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "ch2.xhtml?x=1#note"), "OEBPS/ch2.xhtml#note");
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "#note"), "OEBPS/ch1.xhtml#note");
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "ch2.xhtml#a%20b"), "OEBPS/ch2.xhtml#a%20b");
+        });
+
+        it("resolves absolute paths from the archive root", function () {
+            assert.strictEqual(paths.resolveHref("OEBPS/text/ch1.xhtml", "/OEBPS/images/a.png"), "OEBPS/images/a.png");
+            assert.strictEqual(paths.resolveHref("OEBPS/text/ch1.xhtml", "/a/../b.png"), "b.png");
+        });
+
+        it("keeps URLs with a scheme", function () {
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "http://example.com/a/../b"), "http://example.com/a/../b");
+        });
+
+        it("returns null for paths above the archive root", function () {
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "../../secret.txt"), null);
+            assert.strictEqual(paths.resolveHref("ch1.xhtml", "../ch1.xhtml"), null);
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "/../OEBPS/ch1.xhtml"), null);
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "a/../../../b.png"), null);
+            assert.strictEqual(paths.resolveHref("OEBPS/ch1.xhtml", "../b.png"), "b.png");
+        });
+    });
+});
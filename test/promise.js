@@ -0,0 +1,112 @@
+var assert = require('assert');
+var pathlib = require('path');
+var EPub = require('../epub');
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+describe("promises", function () {
+    describe("EPub.open", function () {
+        it("resolves with the parsed book", function () {
+            return EPub.open(ALICE).then(function (epub) {
+                assert.ok(epub instanceof EPub);
+                assert.ok(epub.metadata.title);
+                assert.ok(epub.flow.length);
+            });
+        });
+
+        it("rejects with the error of the error event", function () {
+            return EPub.open(Buffer.from("not a zip")).then(function () {
+                assert.fail("opened an invalid book");
+            }, function (err) {
+                assert.strictEqual(err.code, "ARCHIVE_INVALID");
+            });
+        });
+    });
+
+    describe("getters", function () {
+        var epub;
+
+        before(function () {
+            return EPub.open(ALICE).then(function (result) {
+                epub = result;
+            });
+        });
+
+        it("return a Promise without a callback", function () {
+            var chapter = epub.getChapter(epub.flow[0].id),
+                raw = epub.getChapterRaw(epub.flow[0].id);
+
+            assert.ok(chapter instanceof Promise);
+            assert.ok(raw instanceof Promise);
+            return Promise.all([chapter, raw]).then(function (results) {
+                assert.strictEqual(typeof results[0], "string");
+                assert.ok(!/<html/.test(results[0]));
+                assert.ok(/<html/.test(results[1]));
+            });
+        });
+
+        it("resolve with an array when the callback gets more than one value", function () {
+            return Promise.all([epub.getImage("item1"), epub.getFile("item29")]).then(function (results) {
+                assert.ok(Buffer.isBuffer(results[0][0]));
+                assert.strictEqual(results[0][1], "image/jpeg");
+                assert.ok(Buffer.isBuffer(results[1][0]));
+                assert.strictEqual(results[1][1], "text/css");
+            });
+        });
+
+        it("reject with the callback error", function () {
+            return epub.getImage("item29").then(function () {
+                assert.fail("read a stylesheet as an image");
+            }, function (err) {
+                assert.ok(err instanceof Error);
+            });
+        });
+
+        it("still take a callback", function (done) {
+            var result = epub.getImage("item1", function (err, data, mimeType) {
+                assert.ifError(err);
+                assert.ok(Buffer.isBuffer(data));
+                assert.strictEqual(mimeType, "image/jpeg");
+                done();
+            });
+            assert.strictEqual(result, undefined);
+        });
+    });
+
+    describe("before the end event", function () {
+        it("rejects reads with EPUB_NOT_PARSED", function () {
+            var epub = new EPub(ALICE);
+
+            return Promise.all(["getChapter", "getChapterRaw", "getFile"].map(function (name) {
+                return epub[name]("item32").then(function () {
+                    assert.fail(name + " read an unparsed book");
+                }, function (err) {
+                    return err.code;
+                });
+            })).then(function (codes) {
+                assert.deepStrictEqual(codes, ["EPUB_NOT_PARSED", "EPUB_NOT_PARSED", "EPUB_NOT_PARSED"]);
+            });
+        });
+
+        it("rejects reads while parsing", function () {
+            var epub = new EPub(ALICE), read;
+
+            return new Promise(function (resolve, reject) {
+                epub.on("end", resolve);
+                epub.on("error", reject);
+                epub.parse();
+                read = epub.getChapter("item32").then(function () {
+                    assert.fail("read a book that is being parsed");
+                }, function (err) {
+                    assert.strictEqual(err.code, "EPUB_NOT_PARSED");
+                });
+            }).then(function () {
+                return read;
+            }).then(function () {
+                return epub.getChapter("item32");
+            }).then(function (data) {
+                assert.ok(data.length);
+            });
+        });
+    });
+});
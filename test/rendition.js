@@ -0,0 +1,132 @@
+var assert = require('assert');
+var EPub = require('../epub');
+var ZipWriter = require('../lib/zip');
+
+/**
+ *  fixedLayoutBook(metas, itemrefs, files) -> Promise
+ *  - metas (Array): <meta> elements of the package
+ *  - itemrefs (Array): <itemref> elements of the spine
+ *  - files (Object): contents of the chapters in "OPS/" by their name
+ *
+ *  Builds and parses an EPUB 3 book. Files ending with ".svg" are SVG
+ *  chapters, the others XHTML
+ **/
+function fixedLayoutBook(metas, itemrefs, files) {
+    var zip = new ZipWriter();
+
+    zip.addFile("mimetype", "application/epub+zip", {store: true});
+    zip.addFile("META-INF/container.xml", [
+        '<?xml version="1.0"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '  <rootfiles><rootfile full-path="OPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+        '</container>'
+    ].join("\n"));
+    zip.addFile("OPS/content.opf", [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">',
+        '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '    <dc:identifier id="uid">urn:uuid:12345678-1234-1234-1234-123456789abc</dc:identifier>',
+        '    <dc:title>Test</dc:title>'
+    ].concat(metas.map(function (meta) {
+        return "    " + meta;
+    }), [
+        '  </metadata>',
+        '  <manifest>'
+    ], Object.keys(files).map(function (name) {
+        return '    <item id="' + name.split(".")[0] + '" href="' + name + '" media-type="' +
+            (/\.svg$/.test(name) ? "image/svg+xml" : "application/xhtml+xml") + '"/>';
+    }), [
+        '  </manifest>',
+        '  <spine>'
+    ], itemrefs.map(function (itemref) {
+        return "    " + itemref;
+    }), [
+        '  </spine>',
+        '</package>'
+    ]).join("\n"));
+    Object.keys(files).forEach(function (name) {
+        zip.addFile("OPS/" + name, files[name]);
+    });
+
+    return EPub.open(zip.toBuffer());
+}
+
+/**
+ *  page([head]) -> String
+ *  - head (String): more elements for <head>
+ *
+ *  Returns an XHTML document with one paragraph
+ **/
+function page(head) {
+    return '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Page</title>' + (head || "") +
+        '</head><body><p>Text</p></body></html>';
+}
+
+describe("rendition", function () {
+    var epub;
+
+    before(function () {
+        return fixedLayoutBook([
+            '<meta property="rendition:layout">pre-paginated</meta>',
+            '<meta property="rendition:orientation">portrait</meta>',
+            '<meta property="rendition:spread">landscape</meta>',
+            '<meta property="rendition:viewport">width=1000, height=1500</meta>'
+        ], [
+            '<itemref idref="p1"/>',
+            '<itemref idref="p2" properties="rendition:spread-none rendition:orientation-landscape"/>',
+            '<itemref idref="p3"/>',
+            '<itemref idref="notes" properties="rendition:layout-reflowable"/>'
+        ], {
+            "p1.xhtml": page('<meta name="viewport" content="width=1200, height=1600"/>'),
+            "p2.xhtml": page(),
+            "p3.svg": '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 600"><rect width="800" height="600"/></svg>',
+            "notes.xhtml": page('<meta name="viewport" content="width=10, height=10"/>')
+        }).then(function (result) {
+            epub = result;
+        });
+    });
+
+    it("reads the rendition properties of the package", function () {
+        assert.deepStrictEqual(epub.rendition, {
+            layout: "pre-paginated",
+            orientation: "portrait",
+            spread: "landscape",
+            viewport: {width: 1000, height: 1500}
+        });
+    });
+
+    it("applies the itemref overrides and the viewports of the chapters", function () {
+        assert.deepStrictEqual(epub.flow.map(function (chapter) {
+            return [chapter.id, chapter.rendition];
+        }), [
+            ["p1", {layout: "pre-paginated", orientation: "portrait", spread: "landscape",
+                viewport: {width: 1200, height: 1600}}],
+            ["p2", {layout: "pre-paginated", orientation: "landscape", spread: "none",
+                viewport: {width: 1000, height: 1500}}],
+            ["p3", {layout: "pre-paginated", orientation: "portrait", spread: "landscape",
+                viewport: {width: 800, height: 600}}],
+            ["notes", {layout: "reflowable", orientation: "portrait", spread: "landscape", viewport: null}]
+        ]);
+    });
+
+    it("defaults to a reflowable book without a viewport", function () {
+        return fixedLayoutBook([], ['<itemref idref="p1"/>'], {
+            "p1.xhtml": page('<meta name="viewport" content="width=1200, height=1600"/>')
+        }).then(function (result) {
+            var reflowable = {layout: "reflowable", orientation: "auto", spread: "auto", viewport: null};
+
+            assert.deepStrictEqual(result.rendition, reflowable);
+            assert.deepStrictEqual(result.flow[0].rendition, reflowable);
+        });
+    });
+
+    it("reads the viewport of a fixed-layout itemref in a reflowable book", function () {
+        return fixedLayoutBook([], ['<itemref idref="p1" properties="rendition:layout-pre-paginated"/>'], {
+            "p1.xhtml": page('<meta name="viewport" content="width=1200, height=1600"/>')
+        }).then(function (result) {
+            assert.strictEqual(result.rendition.layout, "reflowable");
+            assert.deepStrictEqual(result.flow[0].rendition, {layout: "pre-paginated", orientation: "auto",
+                spread: "auto", viewport: {width: 1200, height: 1600}});
+        });
+    });
+});
@@ -0,0 +1,75 @@
+var assert = require('assert');
+var EPub = require('../epub');
+
+/**
+ *  spacedBook() -> Promise
+ *
+ *  Builds and parses a book with spaces and non-ASCII characters in the
+ *  file names
+ **/
+function spacedBook() {
+    var book = new EPub.Writer({title: "Test"});
+
+    book.addChapter({id: "chapter1", title: "Chapter 1", href: "Text/Chapter 1.xhtml",
+        data: '<p><img src="../Images/cover%201%20%C3%A4.png" alt=""/><a href="Chapter%202.xhtml#end">Next</a></p>'});
+    book.addChapter({id: "chapter2", title: "Chapter 2", href: "Text/Chapter 2.xhtml", data: '<p id="end">End</p>'});
+    book.addImage({id: "cover", href: "Images/cover 1 ä.png", data: Buffer.from("png")});
+
+    return book.toBuffer().then(EPub.open);
+}
+
+/**
+ *  request(handler, url) -> Promise
+ *  - handler (Function): request handler from middleware()
+ *  - url (String): request URL
+ *
+ *  Runs a GET request through the handler and resolves with the status
+ **/
+function request(handler, url) {
+    return new Promise(function (resolve) {
+        var res = {
+            writeHead: function (status) {
+                res.status = status;
+            },
+            end: function () {
+                resolve(res.status);
+            }
+        };
+        handler({method: "GET", url: url, headers: {}}, res);
+    });
+}
+
+describe("URL resolvers", function () {
+    it("percent-encodes every path segment with the prefix resolver", function () {
+        var epub;
+
+        return spacedBook().then(function (result) {
+            epub = result;
+            return epub.getChapter("chapter1");
+        }).then(function (html) {
+            var image = "/images/cover/OEBPS/Images/cover%201%20%C3%A4.png",
+                link = "/links/chapter2/OEBPS/Text/Chapter%202.xhtml#end";
+
+            assert.ok(html.indexOf('src="' + image + '"') >= 0, html);
+            assert.ok(html.indexOf('href="' + link + '"') >= 0, html);
+            return Promise.all([image, link.split("#")[0]].map(function (url) {
+                return request(epub.middleware(), url);
+            }));
+        }).then(function (statuses) {
+            assert.deepStrictEqual(statuses, [200, 200]);
+        });
+    });
+
+    it("percent-encodes the manifest id", function (done) {
+        EPub.URL_RESOLVERS.prefix.call({linkroot: "/links/", imageroot: "/images/"}, {
+            kind: "image",
+            item: {id: "img 1?"},
+            path: "OPS/a.png",
+            fragment: ""
+        }, function (err, url) {
+            assert.ifError(err);
+            assert.strictEqual(url, "/images/img%201%3F/OPS/a.png");
+            done();
+        });
+    });
+});
@@ -0,0 +1,90 @@
+var assert = require('assert');
+var dom = require('../lib/dom');
+var sanitize = require('../lib/sanitizer');
+var EPub = require('../epub');
+
+/**
+ *  clean(html) -> String
+ *  - html (String): chapter markup
+ *
+ *  Sanitizes the <body> of a document with the default allowlists
+ **/
+function clean(html) {
+    var root = dom.parse("<html><body>" + html + "</body></html>");
+    return dom.serialize(sanitize(dom.find(root, "body"), {}));
+}
+
+describe("sanitizer", function () {
+    it("removes scripts and event handlers", function () {
+        var html = clean("<p onclick=\"alert(1)\">a<script>alert(2)</script></p><a href=\"javascript:alert(3)\">b</a>");
+
+        assert.ok(!/alert/.test(html), html);
+        assert.ok(/<p>a<\/p>/.test(html), html);
+    });
+
+    it("replaces <object>, <embed> and <param> with their contents", function () {
+        var html = clean("<object data=\"data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;\">" +
+            "<param name=\"src\" value=\"x\"/>fallback</object><embed src=\"data:image/svg+xml,&lt;svg onload=alert(1)&gt;\"/>");
+
+        assert.ok(!/object|embed|param|data:/.test(html), html);
+        assert.ok(/fallback/.test(html), html);
+    });
+
+    it("removes data: URLs except raster images on <img>", function () {
+        var html = clean("<img src=\"data:image/png;base64,AAAA\"/><img src=\"data:image/svg+xml,&lt;svg/&gt;\"/>" +
+            "<a href=\"data:text/html,x\">x</a><video poster=\"data:image/png;base64,AAAA\"></video>" +
+            "<img srcset=\"data:text/html,x 1x, a.png 2x\"/><span style=\"background: url(data:image/png;base64,AAAA)\">y</span>");
+
+        assert.ok(/<img src="data:image\/png;base64,AAAA"/.test(html), html);
+        assert.ok(!/svg\+xml|text\/html/.test(html), html);
+        assert.ok(!/poster/.test(html), html);
+        assert.ok(/srcset="[^"]*a.png 2x"/.test(html), html);
+        assert.ok(/url\(&quot;&quot;\)/.test(html), html);
+    });
+
+    it("ignores whitespace inside the scheme", function () {
+        var html = clean("<a href=\" java&#9;script:alert(1)\">x</a><img src=\"da&#10;ta:text/html,x\"/>");
+
+        assert.ok(!/href|src/.test(html), html);
+    });
+
+    it("removes name attributes", function () {
+        var html = clean("<img name=\"getElementById\" src=\"a.png\"/><a name=\"cookie\" id=\"x\">x</a>");
+
+        assert.ok(!/name=/.test(html), html);
+        assert.ok(/id="x"/.test(html), html);
+    });
+
+    it("rewrites the URLs of sanitized nodes", function () {
+        var root = dom.parse("<html><body><a href=\"b.xhtml\">x</a><img srcset=\"a.png 1x, b.png 2x\"/>" +
+                "<span style=\"background: url(c.png)\">y</span></body></html>"),
+            nodes = sanitize(dom.find(root, "body"), {}),
+            urls = [];
+
+        sanitize.rewriteUrls(nodes, function (url, kind) {
+            urls.push(kind + " " + url);
+            return "/book/" + url;
+        });
+
+        assert.deepStrictEqual(urls, ["link b.xhtml", "resource a.png", "resource b.png", "resource c.png"]);
+        assert.strictEqual(dom.serialize(nodes), "<a href=\"/book/b.xhtml\">x</a><img srcset=\"/book/a.png 1x, /book/b.png 2x\"/>" +
+            "<span style=\"background: url(&quot;/book/c.png&quot;)\">y</span>");
+    });
+
+    it("doesn't replace text that looks like a reference in chapters", function () {
+        var book = new EPub.Writer({title: "Test"});
+
+        book.addImage({href: "a.png", data: Buffer.from("png")});
+        book.addStylesheet({href: "style.css", data: "p::after { content: \"\u00000\u0000\" }"});
+        book.addChapter({title: "Chapter 1", data: "<p title=\"\u00000\u0000\">\u00000\u0000</p><img src=\"a.png\"/>"});
+
+        return book.toBuffer().then(function (buffer) {
+            return EPub.open(buffer, {includeStyles: true, imageroot: "/images/"});
+        }).then(function (epub) {
+            return epub.getChapter(epub.flow[0].id);
+        }).then(function (html) {
+            assert.strictEqual(html.match(/\/images\//g).length, 1, html);
+            assert.ok(/<img src="\/images\/[^"]*a\.png"/.test(html), html);
+        });
+    });
+});
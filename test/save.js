@@ -0,0 +1,309 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var pathlib = require('path');
+var EPub = require('../epub');
+var obfuscation = require('../lib/obfuscation');
+var ZipWriter = require('../lib/zip');
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+var UUID = "urn:uuid:0d9a3f5c-5b8e-4c2a-9d43-6c1e2b7a8f10";
+
+var dir;
+
+before(function () {
+    dir = fs.mkdtempSync(pathlib.join(os.tmpdir(), "epub-save-"));
+});
+
+after(function () {
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+/**
+ *  resave(epub) -> Promise
+ *  - epub (EPub): parsed book
+ *
+ *  Saves the book into a temporary file and parses the saved file
+ **/
+function resave(epub) {
+    var target = pathlib.join(dir, Math.random().toString(36).substr(2) + ".epub");
+    return epub.save(target).then(function () {
+        return EPub.open(target);
+    });
+}
+
+/**
+ *  font() -> Buffer
+ *
+ *  Returns 2000 bytes of font data
+ **/
+function font() {
+    var data = Buffer.alloc(2000), i;
+    for (i = 0; i < data.length; i++) {
+        data[i] = i % 251;
+    }
+    return data;
+}
+
+/**
+ *  fontBook(metadata) -> Promise
+ *  - metadata (Object): book metadata, "identifier" is the obfuscation key
+ *
+ *  Builds a book with an IDPF-obfuscated font and parses it
+ **/
+function fontBook(metadata) {
+    var book = new EPub.Writer(metadata), zip;
+
+    book.addChapter({title: "Chapter 1", data: "<p>Text</p>"});
+    book.addFile({href: "fonts/font.otf", data: obfuscation.obfuscate(font(), obfuscation.IDPF_ALGORITHM,
+        obfuscation.idpfKey(metadata.identifier))});
+
+    zip = book._build();
+    zip.addFile("META-INF/encryption.xml", [
+        '<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container"',
+        '    xmlns:enc="http://www.w3.org/2001/04/xmlenc#">',
+        '  <enc:EncryptedData>',
+        '    <enc:EncryptionMethod Algorithm="' + obfuscation.IDPF_ALGORITHM + '"/>',
+        '    <enc:CipherData><enc:CipherReference URI="OEBPS/fonts/font.otf"/></enc:CipherData>',
+        '  </enc:EncryptedData>',
+        '</encryption>'
+    ].join("\n"));
+    return EPub.open(zip.toBuffer());
+}
+
+/**
+ *  ibooksBook() -> Promise
+ *
+ *  Parses an EPUB 3 book with package attributes, a prefixed meta and the
+ *  Dublin Core elements that have no list of their own
+ **/
+function ibooksBook() {
+    var zip = new ZipWriter();
+
+    zip.addFile("mimetype", "application/epub+zip", {store: true});
+    zip.addFile("META-INF/container.xml", [
+        '<?xml version="1.0"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '  <rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+        '</container>'
+    ].join("\n"));
+    zip.addFile("OPS/package.opf", [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="en" dir="ltr"',
+        '    prefix="ibooks: http://vocabulary.itunes.apple.com/rdf/ibooks/vocabulary-extensions-1.0/">',
+        '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '    <dc:identifier id="uid">' + UUID + '</dc:identifier>',
+        '    <dc:title id="t1">Test</dc:title>',
+        '    <dc:creator id="c1">Someone</dc:creator>',
+        '    <dc:language>en</dc:language>',
+        '    <dc:type>Text</dc:type>',
+        '    <dc:format>application/epub+zip</dc:format>',
+        '    <dc:coverage>Finland</dc:coverage>',
+        '    <dc:relation>urn:isbn:9780000000002</dc:relation>',
+        '    <meta property="dcterms:modified">2020-01-01T00:00:00Z</meta>',
+        '    <meta property="ibooks:specified-fonts">true</meta>',
+        '    <meta refines="#c1" property="role" scheme="marc:relators">aut</meta>',
+        '    <meta refines="#c1" property="file-as">One, Some</meta>',
+        '  </metadata>',
+        '  <manifest>',
+        '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '    <item id="chapter1" href="chapter1.xhtml" media-type="application/xhtml+xml"/>',
+        '  </manifest>',
+        '  <spine><itemref idref="chapter1"/></spine>',
+        '</package>'
+    ].join("\n"));
+    zip.addFile("OPS/nav.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">' +
+        '<body><nav epub:type="toc"><ol><li><a href="chapter1.xhtml">Chapter 1</a></li></ol></nav></body></html>');
+    zip.addFile("OPS/chapter1.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><body><p>Text</p></body></html>');
+
+    return EPub.open(zip.toBuffer());
+}
+
+/**
+ *  chapters(epub) -> Promise
+ *  - epub (EPub): parsed book
+ *
+ *  Reads the raw contents of every chapter in the spine
+ **/
+function chapters(epub) {
+    return Promise.all(epub.flow.map(function (chapter) {
+        return epub.getChapterRaw(chapter.id);
+    }));
+}
+
+describe("save", function () {
+    it("keeps the book when it's parsed again", function () {
+        var original;
+        return EPub.open(ALICE).then(function (epub) {
+            original = epub;
+            return resave(epub);
+        }).then(function (saved) {
+            assert.strictEqual(saved.version, "2.0");
+            assert.strictEqual(saved.navFile, false);
+            ["titles", "creators", "contributors", "identifiers", "subjects", "languages", "metas"].forEach(function (name) {
+                assert.deepStrictEqual(saved.metadata[name], original.metadata[name], name);
+            });
+            assert.strictEqual(saved.metadata.uniqueIdentifier, original.metadata.uniqueIdentifier);
+            assert.deepStrictEqual(Object.keys(saved.manifest).filter(function (id) {
+                return id != saved.spine.toc.id;
+            }).map(function (id) {
+                return [id, saved.manifest[id].href, saved.manifest[id]["media-type"]];
+            }), Object.keys(original.manifest).filter(function (id) {
+                return id != original.spine.toc.id;
+            }).map(function (id) {
+                return [id, original.manifest[id].href, original.manifest[id]["media-type"]];
+            }));
+            assert.deepStrictEqual(saved.toc.map(function (entry) {
+                return [entry.level, entry.title, entry.href];
+            }), original.toc.map(function (entry) {
+                return [entry.level, entry.title, entry.href];
+            }));
+            return Promise.all([chapters(original), chapters(saved)]);
+        }).then(function (results) {
+            assert.deepStrictEqual(results[1], results[0]);
+        });
+    });
+
+    it("keeps the metadata and the package attributes of an unchanged book", function () {
+        var original;
+        return ibooksBook().then(function (epub) {
+            original = epub;
+            return resave(epub);
+        }).then(function (saved) {
+            var metadata = Object.assign({}, saved.metadata);
+
+            assert.notStrictEqual(metadata.modified, original.metadata.modified);
+            // save() sets a new modification date
+            metadata.modified = metadata["dcterms:modified"] = original.metadata.modified;
+            assert.deepStrictEqual(metadata, original.metadata);
+            assert.deepStrictEqual(saved.refinements, original.refinements);
+            assert.deepStrictEqual(saved.packageAttributes, {
+                prefix: "ibooks: http://vocabulary.itunes.apple.com/rdf/ibooks/vocabulary-extensions-1.0/",
+                lang: "en",
+                dir: "ltr"
+            });
+            assert.strictEqual(saved.metadata.type, "Text");
+            assert.strictEqual(saved.metadata["ibooks:specified-fonts"], "true");
+        });
+    });
+
+    it("keeps the metas and refinements of an EPUB 3 book", function () {
+        var book = new EPub.Writer({
+            title: "Test",
+            creators: [{name: "Someone", id: "creator1"}],
+            "rendition:layout": "pre-paginated",
+            metas: [
+                {name: "generator", content: "test suite"},
+                {property: "schema:accessMode", value: "textual", id: "mode", lang: "en"},
+                {property: "alternate-script", value: "Jemand", refines: "#creator1", scheme: "test"}
+            ]
+        });
+        book.addChapter({title: "Chapter 1", data: "<p>Text</p>"});
+
+        return book.toBuffer().then(EPub.open).then(function (epub) {
+            epub.setMetadata({generator: "changed"});
+            return resave(epub);
+        }).then(function (saved) {
+            assert.strictEqual(saved.version, "3.0");
+            assert.strictEqual(saved.rendition.layout, "pre-paginated");
+            assert.deepStrictEqual(saved.metadata.metas, [
+                {name: "generator", content: "changed"},
+                {property: "schema:accessMode", value: "textual", id: "mode", scheme: "", lang: "en"},
+                {property: "rendition:layout", value: "pre-paginated", id: "", scheme: "", lang: ""}
+            ]);
+            assert.deepStrictEqual(saved.refinements.creator1, [
+                {property: "alternate-script", value: "Jemand", scheme: "test"}
+            ]);
+        });
+    });
+
+    it("doesn't overwrite files with the generated navigation document", function () {
+        var book = new EPub.Writer({title: "Test"});
+        book.addChapter({title: "Chapter 1", href: "nav.xhtml", data: "<p>Chapter</p>"});
+
+        return book.toBuffer().then(EPub.open).then(function (epub) {
+            assert.notStrictEqual(epub.navFile.href, "OEBPS/nav.xhtml");
+            epub.removeItem(epub.navFile.id);
+            return resave(epub);
+        }).then(function (saved) {
+            assert.ok(saved.navFile);
+            assert.notStrictEqual(saved.navFile.href, "OEBPS/nav.xhtml");
+            return saved.getChapterRaw(saved.flow[0].id);
+        }).then(function (data) {
+            assert.match(data, /<p>Chapter<\/p>/);
+        });
+    });
+
+    it("obfuscates fonts again when the unique identifier changes", function () {
+        return fontBook({title: "Test", identifier: UUID}).then(function (epub) {
+            epub.setMetadata({identifiers: [{value: "urn:isbn:9780000000002", scheme: "ISBN", id: ""}]});
+            return epub.readFile("OEBPS/fonts/font.otf").then(function (data) {
+                assert.deepStrictEqual(data, font());
+                return resave(epub);
+            });
+        }).then(function (saved) {
+            assert.strictEqual(saved.metadata.uniqueIdentifier, "urn:isbn:9780000000002");
+            return saved.readFile("OEBPS/fonts/font.otf");
+        }).then(function (data) {
+            assert.deepStrictEqual(data, font());
+        });
+    });
+
+    it("copies the compressed entries when the zip backend can't read them", function () {
+        var target = pathlib.join(dir, "copied.epub"),
+            original = new ZipWriter.ZipReader(ALICE),
+            saved = new ZipWriter.ZipReader(target);
+
+        // like the native zipfile backend, which has no readRaw
+        return EPub.open(ALICE).then(function (epub) {
+            epub.zip.readRaw = null;
+            epub.zip.readFile = function () {
+                throw new Error("Entry was uncompressed");
+            };
+            return epub.save(target);
+        }).then(function () {
+            return Promise.all([original, saved].map(function (zip) {
+                return new Promise(function (resolve, reject) {
+                    zip.open(function (err) {
+                        return err ? reject(err) : resolve();
+                    });
+                });
+            }));
+        }).then(function () {
+            var name = original.names.filter(function (name) {
+                return /\.(x?html|jpg|png|css)$/.test(name);
+            })[0];
+
+            return Promise.all([original, saved].map(function (zip) {
+                return new Promise(function (resolve, reject) {
+                    zip.readRaw(name, function (err, raw) {
+                        return err ? reject(err) : resolve(raw);
+                    });
+                });
+            }));
+        }).then(function (raws) {
+            assert.strictEqual(raws[1].method, raws[0].method);
+            assert.deepStrictEqual(raws[1].data, raws[0].data);
+        });
+    });
+
+    it("fails instead of recompressing when the entries can't be copied", function () {
+        return EPub.open(fs.readFileSync(ALICE)).then(function (epub) {
+            epub.zip.readRaw = null;
+            return epub.save(pathlib.join(dir, "failed.epub"));
+        }).then(function () {
+            throw new Error("Expected an error");
+        }, function (err) {
+            assert.strictEqual(err.message, "Zip backend can't copy files without recompressing them");
+        });
+    });
+
+    it("fails for a missing target", function (done) {
+        EPub.open(ALICE).then(function (epub) {
+            epub.save(function (err) {
+                assert.strictEqual(err.message, "Target must be a file path or a writable stream");
+                done();
+            });
+        }).catch(done);
+    });
+});
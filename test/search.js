@@ -0,0 +1,47 @@
+var assert = require('assert');
+var pathlib = require('path');
+var EPub = require('../epub');
+var search = require('../lib/search');
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+describe("search", function () {
+    it("folds case and diacritics and maps the positions back", function () {
+        var folded = search.fold("Café Ünï", {});
+        assert.strictEqual(folded.text, "cafe uni");
+        assert.deepStrictEqual(folded.map, [0, 1, 2, 3, 4, 5, 6, 7]);
+
+        folded = search.fold("Café 𝄞", {});
+        assert.strictEqual(folded.text, "cafe 𝄞");
+        assert.deepStrictEqual(folded.map, [0, 1, 2, 3, 5, 6, 7]);
+    });
+
+    it("compiles regular expressions that need the u flag or break with it", function () {
+        assert.ok(search.compile("\\p{Lu}", {regex: true, caseSensitive: true}).test("A"));
+        assert.ok(search.compile("foo\\-bar", {regex: true}).test("foo-bar"));
+        assert.ok(search.compile("foo\\-bar", {regex: true, wholeWord: true}).test("a foo-bar."));
+        assert.ok(!search.compile("foo\\-bar", {regex: true, wholeWord: true}).test("äfoo-bar"));
+        assert.ok(!search.compile("bar", {wholeWord: true}).test("ébar"));
+    });
+
+    it("reports an invalid regular expression to the callback", function (done) {
+        EPub.open(ALICE).then(function (epub) {
+            epub.search("(rabbit", {regex: true}, function (err, results) {
+                assert.strictEqual(err.message, "Invalid search query");
+                assert.strictEqual(results, undefined);
+                done();
+            });
+        }).catch(done);
+    });
+
+    it("finds matches of a regular expression with escapes", function () {
+        return EPub.open(ALICE).then(function (epub) {
+            return epub.search("white\\ rabbit", {regex: true, limit: 3});
+        }).then(function (results) {
+            assert.strictEqual(results.length, 3);
+            results.forEach(function (result) {
+                assert.strictEqual(result.snippet.match.toLowerCase(), "white rabbit");
+            });
+        });
+    });
+});
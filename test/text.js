@@ -0,0 +1,104 @@
+var assert = require('assert');
+var EPub = require('../epub');
+
+/**
+ *  textBook() -> Promise
+ *
+ *  Builds and parses a book with a chapter of headings, lists, links,
+ *  footnote references and a footnote
+ **/
+function textBook() {
+    var book = new EPub.Writer({title: "Test"});
+
+    book.addChapter({id: "chapter1", title: "Chapter 1", href: "chapter1.xhtml", data: [
+        '<h1 id="top">Chapter *One*</h1>',
+        '<p>First <em>para</em>graph with a <a href="chapter2.xhtml#end">link</a> and a note<a epub:type="noteref" href="#n1">1</a>.</p>',
+        '<p>Line one<br/>line two, see<sup><a href="#n2">2</a></sup>.</p>',
+        '<h2>Lists</h2>',
+        '<ul><li>Apples</li><li>Pears</li></ul>',
+        '<ol><li>First</li><li>Second</li></ol>',
+        '<blockquote><p>Quoted</p></blockquote>',
+        '<aside epub:type="footnote" id="n1"><p>The note.</p></aside>'
+    ].join("\n")});
+    book.addChapter({id: "chapter2", title: "Chapter 2", href: "chapter2.xhtml", data: '<p id="end">End</p>'});
+
+    return book.toBuffer().then(EPub.open);
+}
+
+describe("getChapterText", function () {
+    var epub;
+
+    before(function () {
+        return textBook().then(function (result) {
+            epub = result;
+        });
+    });
+
+    it("separates blocks with an empty line and keeps line breaks", function () {
+        return epub.getChapterText("chapter1").then(function (result) {
+            assert.strictEqual(result.text, [
+                "Chapter *One*",
+                "First paragraph with a link and a note1.",
+                "Line one\nline two, see2.",
+                "Lists",
+                "Apples",
+                "Pears",
+                "First",
+                "Second",
+                "Quoted",
+                "The note."
+            ].join("\n\n"));
+        });
+    });
+
+    it("returns the offsets and anchors of the paragraphs", function () {
+        return epub.getChapterText("chapter1").then(function (result) {
+            assert.deepStrictEqual(result.offsets.map(function (offset) {
+                return [offset.type, offset.level, result.text.substring(offset.start, offset.end), offset.id];
+            }), [
+                ["h1", 1, "Chapter *One*", "top"],
+                ["p", 0, "First paragraph with a link and a note1.", ""],
+                ["p", 0, "Line one\nline two, see2.", ""],
+                ["h2", 2, "Lists", ""],
+                ["li", 0, "Apples", ""],
+                ["li", 0, "Pears", ""],
+                ["li", 0, "First", ""],
+                ["li", 0, "Second", ""],
+                ["p", 0, "Quoted", ""],
+                ["p", 0, "The note.", ""]
+            ]);
+            assert.strictEqual(result.offsets[0].chapter, "chapter1");
+            assert.deepStrictEqual(result.anchors, {top: 0, n1: result.offsets[9].start});
+        });
+    });
+
+    it("converts headings, lists, links and emphasis to Markdown", function () {
+        return epub.getChapterText("chapter1", {format: "markdown"}).then(function (result) {
+            assert.strictEqual(result.text, [
+                "# Chapter \\*One\\*",
+                "First *para*graph with a [link](OEBPS/chapter2.xhtml#end) and a note[1](OEBPS/chapter1.xhtml#n1).",
+                "Line one\\\nline two, see[2](OEBPS/chapter1.xhtml#n2).",
+                "## Lists",
+                "- Apples",
+                "- Pears",
+                "1. First",
+                "2. Second",
+                "> Quoted",
+                "The note."
+            ].join("\n\n"));
+        });
+    });
+
+    it("drops footnote references with footnoteMarkers false", function () {
+        return Promise.all([
+            epub.getChapterText("chapter1", {footnoteMarkers: false}),
+            epub.getChapterText("chapter1", {format: "markdown", footnoteMarkers: false})
+        ]).then(function (results) {
+            assert.strictEqual(results[0].offsets.length, 10);
+            assert.strictEqual(results[0].text.split("\n\n")[1], "First paragraph with a link and a note.");
+            assert.strictEqual(results[0].text.split("\n\n")[2], "Line one\nline two, see.");
+            assert.strictEqual(results[1].text.split("\n\n")[1],
+                "First *para*graph with a [link](OEBPS/chapter2.xhtml#end) and a note.");
+        });
+    });
+});
@@ -0,0 +1,65 @@
+var assert = require('assert');
+var pathlib = require('path');
+var EPub = require('../epub');
+
+var ALICE = pathlib.join(__dirname, "..", "example", "alice.epub");
+
+/**
+ *  brokenBook() -> Buffer
+ *
+ *  Builds a book with a chapter that references a missing and an
+ *  undeclared file
+ **/
+function brokenBook() {
+    var book = new EPub.Writer({title: "Test"}), zip;
+
+    book.addChapter({title: "Chapter 1", href: "chapter1.xhtml", data: [
+        '<style>p { background: url(images/undeclared.png); }</style>',
+        '<p><img src="images/missing.png" alt=""/></p>',
+        '<p>Write src="images/text.png" to add an image.</p>'
+    ].join("\n")});
+
+    zip = book._build();
+    zip.addFile("OEBPS/images/undeclared.png", "png");
+    return zip.toBuffer();
+}
+
+describe("validate", function () {
+    it("reports references found in the markup", function () {
+        return new EPub(brokenBook()).validate().then(function (diagnostics) {
+            assert.deepStrictEqual(diagnostics.map(function (diagnostic) {
+                return [diagnostic.code, diagnostic.path, diagnostic.message];
+            }), [
+                ["RESOURCE_MISSING", "OEBPS/chapter1.xhtml", "Referenced file \"OEBPS/images/missing.png\" not found from archive"],
+                ["RESOURCE_UNDECLARED", "OEBPS/chapter1.xhtml", "Referenced file \"OEBPS/images/undeclared.png\" is not in the manifest"]
+            ]);
+        });
+    });
+
+    it("leaves the listeners and the state of the book alone", function () {
+        var ends = 0;
+
+        return new Promise(function (resolve, reject) {
+            var epub = new EPub(ALICE);
+            epub.on("end", function () {
+                ends++;
+                resolve(epub);
+            });
+            epub.on("error", reject);
+            epub.parse();
+        }).then(function (epub) {
+            var manifest = epub.manifest;
+            epub.setMetadata({title: "Changed"});
+
+            return epub.validate().then(function (diagnostics) {
+                assert.ok(Array.isArray(diagnostics));
+                assert.strictEqual(ends, 1);
+                assert.strictEqual(epub.manifest, manifest);
+                assert.strictEqual(epub.metadata.title, "Changed");
+                return epub.getChapterRaw(epub.flow[0].id);
+            });
+        }).then(function (data) {
+            assert.ok(data.length);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+var assert = require('assert');
+var EPub = require('../epub');
+
+/**
+ *  build(metadata) -> Promise
+ *  - metadata (Object): book metadata
+ *
+ *  Writes a one chapter book and parses it again
+ **/
+function build(metadata) {
+    var book = new EPub.Writer(metadata);
+
+    book.addChapter({title: "Chapter 1", data: "<p>Text</p>"});
+    return book.toBuffer().then(function (buffer) {
+        return EPub.open(buffer);
+    });
+}
+
+describe("EPubWriter metadata", function () {
+    it("uses the identifier field as the unique identifier", function () {
+        return build({title: "Test", identifier: "urn:isbn:9780000000002"}).then(function (epub) {
+            assert.strictEqual(epub.metadata.uniqueIdentifier, "urn:isbn:9780000000002");
+            assert.strictEqual(epub.metadata.identifiers.length, 1);
+            assert.deepStrictEqual(epub.metadata.metas, []);
+        });
+    });
+
+    it("writes fields with a reserved prefix as property metas", function () {
+        return build({title: "Test", "rendition:layout": "pre-paginated", "schema:accessMode": "textual"})
+            .then(function (epub) {
+                assert.strictEqual(epub.rendition.layout, "pre-paginated");
+                assert.deepStrictEqual(epub.metadata.metas.map(function (meta) {
+                    return [meta.property, meta.value];
+                }), [["rendition:layout", "pre-paginated"], ["schema:accessMode", "textual"]]);
+            });
+    });
+
+    it("writes the metas list with its attributes", function () {
+        return build({
+            title: "Test",
+            generator: "test suite",
+            metas: [
+                {name: "generator", content: "old"},
+                {property: "dcterms:creator", value: "Someone", id: "c1", lang: "en"},
+                {property: "schema:name", value: "Alias", refines: "#c1"}
+            ]
+        }).then(function (epub) {
+            assert.strictEqual(epub.metadata.generator, "test suite");
+            assert.deepStrictEqual(epub.metadata.metas, [
+                {name: "generator", content: "test suite"},
+                {property: "dcterms:creator", value: "Someone", id: "c1", scheme: "", lang: "en"}
+            ]);
+            assert.deepStrictEqual(epub.refinements.c1, [{property: "schema:name", value: "Alias", scheme: ""}]);
+        });
+    });
+
+    it("rejects unknown fields", function () {
+        return Promise.all([{generator: "test"}, {"calibre:series": "Alice"}, {"rendition:spread": 1}].map(function (metadata) {
+            return build(metadata).then(function () {
+                throw new Error("Expected an error");
+            }, function (err) {
+                assert.match(err.message, /^Unknown metadata field/);
+            });
+        }));
+    });
+});